@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { MAX_STAY_NIGHTS, countNights } = require('../utils/inventory');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -150,6 +152,50 @@ const roomValidation = [
   body('pricing.basePrice')
     .isFloat({ min: 0 })
     .withMessage('Base price must be a positive number'),
+  body('pricing.discounts.*.type')
+    .optional()
+    .isIn(['early_bird', 'last_minute', 'extended_stay', 'seasonal'])
+    .withMessage('Invalid discount type'),
+  body('pricing.discounts.*.value')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount value must be a percentage between 0 and 100'),
+  body('pricing.discounts.*.minStay')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Discount minimum stay must be at least 1 night'),
+  body('pricing.discountPolicy')
+    .optional()
+    .isIn(['best', 'stack'])
+    .withMessage('Discount policy must be best or stack'),
+  body('ratePlans.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rate plan name is required and cannot exceed 100 characters'),
+  body('ratePlans.*.adjustment.type')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Rate plan adjustment must be percentage or fixed'),
+  body('ratePlans.*.adjustment.value')
+    .optional()
+    .isFloat()
+    .withMessage('Rate plan adjustment value must be a number'),
+  body('ratePlans.*.mealPlan')
+    .optional()
+    .isIn(['room_only', 'breakfast', 'half_board', 'full_board'])
+    .withMessage('Invalid meal plan'),
+  body('ratePlans.*.cancellation.refundable')
+    .optional()
+    .isBoolean()
+    .withMessage('Rate plan refundable flag must be true or false'),
+  body('ratePlans.*.cancellation.freeCancellationHours')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Free cancellation window must be zero or more hours'),
+  body('bookingMode')
+    .optional({ nullable: true })
+    .isIn(['instant', 'request'])
+    .withMessage('Booking mode must be instant or request'),
   body('capacity.adults')
     .isInt({ min: 1, max: 10 })
     .withMessage('Adult capacity must be between 1 and 10'),
@@ -163,6 +209,44 @@ const roomValidation = [
   handleValidationErrors
 ];
 
+// Numbered room (RoomUnit) validation rules
+const roomUnitValidation = [
+  body('roomId')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('number')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Room number must be between 1 and 20 characters'),
+  body('floor')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Floor must be zero or more'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+const housekeepingValidation = [
+  body('status')
+    .isIn(['ready', 'occupied', 'dirty', 'cleaning', 'maintenance', 'blocked'])
+    .withMessage('Status must be ready, occupied, dirty, cleaning, maintenance or blocked'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Housekeeping notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Refuse stays longer than one booking may cover
+const checkStayLength = (checkIn, checkOut) => {
+  if (countNights(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    throw new Error(`A stay cannot be longer than ${MAX_STAY_NIGHTS} nights`);
+  }
+};
+
 // Booking validation rules
 const bookingValidation = [
   body('roomId')
@@ -190,6 +274,7 @@ const bookingValidation = [
       if (checkOut <= checkIn) {
         throw new Error('Check-out date must be after check-in date');
       }
+      checkStayLength(checkIn, checkOut);
       return true;
     }),
   body('bookingDetails.guests.adults')
@@ -202,6 +287,371 @@ const bookingValidation = [
   body('bookingDetails.numberOfRooms')
     .isInt({ min: 1 })
     .withMessage('At least one room is required'),
+  body('ratePlanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid rate plan ID'),
+  body('loyaltyPoints')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Loyalty points must be a whole number'),
+  body('contactDetails.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('contactDetails.phone')
+    .matches(/^[+]?\d[\d\s\-]{6,15}$/)
+    .withMessage('Please provide a valid phone number (digits, spaces, hyphens allowed)'),
+  // Totals are computed by the pricing engine; never accept them from the client
+  body('totalAmount')
+    .not().exists()
+    .withMessage('totalAmount is calculated by the server and must not be sent'),
+  body('pricing')
+    .not().exists()
+    .withMessage('pricing is calculated by the server and must not be sent'),
+  handleValidationErrors
+];
+
+// Room rate calendar validation rules
+const roomRateValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rate name is required and cannot exceed 100 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    }),
+  body('daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Nightly price must be a positive number'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+// Cancellation policy validation rules
+const cancellationPolicyValidation = [
+  body('tiers')
+    .isArray({ max: 10 })
+    .withMessage('Tiers must be an array of at most 10 entries'),
+  body('tiers.*.hoursBeforeCheckIn')
+    .isInt({ min: 0 })
+    .withMessage('Hours before check-in must be zero or more'),
+  body('tiers.*.refundPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund percentage must be between 0 and 100'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Policy description cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Balance policy validation rules
+const balancePolicyValidation = [
+  body('collect')
+    .isIn(['before_check_in', 'at_check_out'])
+    .withMessage('Collect must be before_check_in or at_check_out'),
+  body('daysBeforeCheckIn')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Days before check-in must be between 0 and 60'),
+  handleValidationErrors
+];
+
+// Booking mode validation rules
+const bookingModeValidation = [
+  body('mode')
+    .isIn(['instant', 'request'])
+    .withMessage('Mode must be instant or request'),
+  body('responseHours')
+    .optional()
+    .isInt({ min: 1, max: 72 })
+    .withMessage('Response time must be between 1 and 72 hours'),
+  handleValidationErrors
+];
+
+// Tax rule validation rules
+const taxRuleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tax name is required and cannot exceed 100 characters'),
+  body('country')
+    .trim()
+    .notEmpty()
+    .withMessage('Country is required'),
+  body('state')
+    .optional({ nullable: true })
+    .trim(),
+  body('city')
+    .optional({ nullable: true })
+    .trim(),
+  body('type')
+    .isIn(['percentage', 'per_night', 'per_guest'])
+    .withMessage('Tax type must be percentage, per_night or per_guest'),
+  body('rate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be between 0 and 100'),
+  body('slabs')
+    .optional()
+    .isArray()
+    .withMessage('Slabs must be an array'),
+  body('slabs.*.upTo')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Slab upper tariff must be a positive number'),
+  body('slabs.*.rate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Slab rate must be between 0 and 100'),
+  body('amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('includeChildren')
+    .optional()
+    .isBoolean()
+    .withMessage('Include children must be true or false'),
+  body('maxNights')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum nights must be at least 1'),
+  body('validFrom')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date'),
+  handleValidationErrors
+];
+
+// Folio charge validation rules
+const folioChargeValidation = [
+  body('category')
+    .isIn(['minibar', 'room_service', 'restaurant', 'laundry', 'spa', 'telephone', 'damage', 'other'])
+    .withMessage('Invalid charge category'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description is required and cannot exceed 200 characters'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Quantity must be between 1 and 1000'),
+  body('unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100'),
+  body('taxInclusive')
+    .optional()
+    .isBoolean()
+    .withMessage('taxInclusive must be true or false'),
+  handleValidationErrors
+];
+
+// Promo code validation rules
+const promoCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Promo code must be 3-30 letters, digits, dashes or underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number')
+    .custom((value, { req }) => {
+      if (req.body.discountType === 'percentage' && Number(value) > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+      return true;
+    }),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a positive number'),
+  body('validFrom')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.validFrom && new Date(value) < new Date(req.body.validFrom)) {
+        throw new Error('Valid to cannot be before valid from');
+      }
+      return true;
+    }),
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be at least 1'),
+  body('perCustomerLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-customer limit must be at least 1'),
+  body('hotelId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid hotel ID'),
+  body('roomTypes')
+    .optional()
+    .isArray()
+    .withMessage('Room types must be an array'),
+  body('roomTypes.*')
+    .isIn(['Single', 'Double', 'Twin', 'Triple', 'Quad', 'Suite', 'Presidential Suite', 'Deluxe', 'Standard', 'Economy', 'Family Room'])
+    .withMessage('Invalid room type'),
+  body('minNights')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum nights must be at least 1'),
+  body('minSpend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum spend must be a positive number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+// Checkout hold validation rules
+const holdValidation = [
+  body('roomId')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('bookingDetails.checkIn')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom((value) => {
+      const today = new Date(); today.setHours(0,0,0,0);
+      const checkIn = new Date(value); checkIn.setHours(0,0,0,0);
+      if (checkIn < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+  body('bookingDetails.checkOut')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      const checkIn = new Date(req.body.bookingDetails?.checkIn);
+      if (new Date(value) <= checkIn) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      checkStayLength(checkIn, value);
+      return true;
+    }),
+  body('bookingDetails.numberOfRooms')
+    .isInt({ min: 1 })
+    .withMessage('At least one room is required'),
+  handleValidationErrors
+];
+
+// Dates of a stay being priced or moved, without the rest of a booking
+const stayDatesValidation = [
+  body('bookingDetails.checkIn')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date'),
+  body('bookingDetails.checkOut')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      const checkIn = new Date(req.body.bookingDetails?.checkIn);
+      if (new Date(value) <= checkIn) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      checkStayLength(checkIn, value);
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Multi-room reservation validation rules (one stay, several room types)
+const reservationValidation = [
+  body('hotelId')
+    .isMongoId()
+    .withMessage('Invalid hotel ID'),
+  body('bookingDetails.checkIn')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom((value) => {
+      const today = new Date(); today.setHours(0,0,0,0);
+      const checkIn = new Date(value); checkIn.setHours(0,0,0,0);
+      if (checkIn < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+  body('bookingDetails.checkOut')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      const checkIn = new Date(req.body.bookingDetails?.checkIn);
+      if (new Date(value) <= checkIn) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      checkStayLength(checkIn, value);
+      return true;
+    }),
+  body('items')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Between 1 and 10 room types are required'),
+  body('items.*.roomId')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('items.*.numberOfRooms')
+    .isInt({ min: 1 })
+    .withMessage('At least one room is required'),
+  body('items.*.guests.adults')
+    .isInt({ min: 1 })
+    .withMessage('At least one adult is required'),
+  body('items.*.guests.children')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Children count must be non-negative'),
+  body('items.*.ratePlanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid rate plan ID'),
   body('contactDetails.email')
     .isEmail()
     .normalizeEmail()
@@ -209,6 +659,10 @@ const bookingValidation = [
   body('contactDetails.phone')
     .matches(/^[+]?\d[\d\s\-]{6,15}$/)
     .withMessage('Please provide a valid phone number (digits, spaces, hyphens allowed)'),
+  // Totals are computed by the pricing engine; never accept them from the client
+  body('pricing')
+    .not().exists()
+    .withMessage('pricing is calculated by the server and must not be sent'),
   handleValidationErrors
 ];
 
@@ -282,7 +736,16 @@ const searchValidation = [
   query('checkOut')
     .optional()
     .isISO8601()
-    .withMessage('Check-out date must be a valid date'),
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (!req.query.checkIn) return true;
+      const checkIn = new Date(req.query.checkIn);
+      if (new Date(value) <= checkIn) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      checkStayLength(checkIn, value);
+      return true;
+    }),
   query('guests')
     .optional()
     .isInt({ min: 1 })
@@ -295,6 +758,11 @@ const searchValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Maximum price must be non-negative'),
+  query('currency')
+    .optional()
+    .toUpperCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Unsupported currency'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -306,6 +774,36 @@ const searchValidation = [
   handleValidationErrors
 ];
 
+// Room availability lookup validation rules
+const availabilityValidation = [
+  query('hotelId')
+    .isMongoId()
+    .withMessage('Invalid hotel ID'),
+  query('roomId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  query('checkIn')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date'),
+  query('checkOut')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      const checkIn = new Date(req.query.checkIn);
+      if (new Date(value) <= checkIn) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      checkStayLength(checkIn, value);
+      return true;
+    }),
+  query('rooms')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('At least one room is required'),
+  handleValidationErrors
+];
+
 // ID parameter validation
 const validateObjectId = [
   param('id')
@@ -314,16 +812,38 @@ const validateObjectId = [
   handleValidationErrors
 ];
 
+// Same check for route params not named `id` (e.g. /rooms/:id/rates/:rateId)
+const validateObjectIdParam = (name) => [
+  param(name)
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  handleValidationErrors
+];
+
 module.exports = {
   userRegistrationValidation,
   userLoginValidation,
   customerProfileValidation,
   hotelProfileValidation,
   roomValidation,
+  roomUnitValidation,
+  housekeepingValidation,
   bookingValidation,
+  roomRateValidation,
+  promoCodeValidation,
+  cancellationPolicyValidation,
+  balancePolicyValidation,
+  bookingModeValidation,
+  taxRuleValidation,
+  folioChargeValidation,
+  holdValidation,
+  stayDatesValidation,
+  reservationValidation,
   reviewValidation,
   grievanceValidation,
   searchValidation,
+  availabilityValidation,
   validateObjectId,
+  validateObjectIdParam,
   handleValidationErrors
 };
@@ -1,4 +1,165 @@
 const mongoose = require('mongoose');
+const { appError } = require('../utils/errors');
+
+// Copy of the Room.ratePlans entry sold with the booking, so later edits to
+// the plan do not change the terms of existing reservations
+const ratePlanSnapshotSchema = new mongoose.Schema({
+  planId: mongoose.Schema.Types.ObjectId,
+  name: String,
+  description: String,
+  adjustment: {
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: Number
+  },
+  mealPlan: String,
+  cancellation: {
+    refundable: Boolean,
+    freeCancellationHours: Number
+  }
+}, { _id: false });
+
+// Refund rules in force when the booking was made (hotel tiers combined with
+// the rate plan's terms), used by every cancel route
+const cancellationPolicySnapshotSchema = new mongoose.Schema({
+  refundable: {
+    type: Boolean,
+    default: true
+  },
+  tiers: [{
+    _id: false,
+    hoursBeforeCheckIn: Number,
+    refundPercentage: Number
+  }]
+}, { _id: false });
+
+// One room type in a multi-room reservation (see utils/reservations.js),
+// priced and cancellable on its own. Single-room bookings have no items and
+// use roomId / bookingDetails.numberOfRooms; with items, those hold the first
+// item's room and the total of the active items.
+const bookingItemSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  roomName: String,
+  numberOfRooms: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one room is required']
+  },
+  guests: {
+    adults: {
+      type: Number,
+      required: true,
+      min: [1, 'At least one adult is required']
+    },
+    children: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  ratePlan: ratePlanSnapshotSchema,
+  cancellationPolicy: cancellationPolicySnapshotSchema,
+  pricing: {
+    roomPrice: Number,
+    discountTotal: Number,
+    taxes: Number,
+    serviceFee: Number,
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    lineItems: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['room', 'discount', 'tax', 'fee']
+      },
+      description: String,
+      amount: Number
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: String,
+      enum: ['customer', 'hotel', 'admin']
+    },
+    reason: String,
+    refundPercentage: Number,
+    cancellationFee: Number,
+    refundAmount: Number
+  }
+});
+
+// When the rest of the price is owed after a deposit (the hotel's
+// balancePolicy at the time of booking); sets pricing.balanceDueAt
+const balancePolicySnapshotSchema = new mongoose.Schema({
+  collect: {
+    type: String,
+    enum: ['before_check_in', 'at_check_out']
+  },
+  daysBeforeCheckIn: Number
+}, { _id: false });
+
+// The status changes a booking may go through, and who may make each one
+// ('system' is the platform's own jobs). Statuses not listed as a key are
+// final. Every change goes through booking.transitionTo(). Check-in and
+// check-out are the hotel's: their routes also assign rooms and settle the
+// folio.
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['hotel', 'admin', 'system'],
+    rejected: ['hotel', 'admin', 'system'],
+    cancelled: ['customer', 'hotel', 'admin', 'system']
+  },
+  confirmed: {
+    checked_in: ['hotel'],
+    cancelled: ['customer', 'hotel', 'admin', 'system'],
+    no_show: ['hotel', 'admin', 'system']
+  },
+  checked_in: {
+    checked_out: ['hotel']
+  },
+  checked_out: {
+    completed: ['hotel', 'admin', 'system']
+  }
+};
+
+// A booking is created awaiting the hotel or already confirmed
+const INITIAL_STATUSES = ['pending', 'confirmed'];
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'hotel', 'admin', 'system']
+  },
+  reason: String
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   customerId: {
@@ -70,6 +231,10 @@ const bookingSchema = new mongoose.Schema({
       min: 1
     }
   },
+  ratePlan: ratePlanSnapshotSchema,
+  cancellationPolicy: cancellationPolicySnapshotSchema,
+  balancePolicy: balancePolicySnapshotSchema,
+  items: [bookingItemSchema],
   guestDetails: [{
     firstName: {
       type: String,
@@ -131,6 +296,22 @@ const bookingSchema = new mongoose.Schema({
       },
       reason: String
     },
+    promoCode: String,
+    // Loyalty points spent on this booking (see utils/loyalty.js)
+    loyaltyPointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Itemized breakdown produced by utils/pricing at the time of sale
+    lineItems: [{
+      type: {
+        type: String,
+        enum: ['room', 'discount', 'tax', 'fee']
+      },
+      description: String,
+      amount: Number
+    }],
     totalAmount: {
       type: Number,
       required: true,
@@ -159,13 +340,15 @@ const bookingSchema = new mongoose.Schema({
     depositPaid: {
       type: Boolean,
       default: false
-    }
+    },
+    balanceDueAt: Date
   },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'rejected', 'cancelled', 'checked_in', 'checked_out', 'completed', 'no_show'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot exceed 500 characters']
@@ -181,6 +364,15 @@ const bookingSchema = new mongoose.Schema({
       enum: ['customer', 'hotel', 'admin']
     },
     reason: String,
+    refundPercentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    cancellationFee: {
+      type: Number,
+      min: 0
+    },
     refundAmount: {
       type: Number,
       min: 0
@@ -188,8 +380,17 @@ const bookingSchema = new mongoose.Schema({
     refundStatus: {
       type: String,
       enum: ['pending', 'processed', 'failed']
-    }
+    },
+    // When a refund was last started (see utils/refunds.js startRefund).
+    // Unset while a cancellation's refund waits for the cancellation-refunds job
+    refundRequestedAt: Date
   },
+  // Numbered rooms the guests stay in (see utils/roomUnits.js), assigned by
+  // the hotel before or at check-in
+  roomUnits: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomUnit'
+  }],
   checkInDetails: {
     actualCheckIn: Date,
     checkInNotes: String
@@ -201,13 +402,25 @@ const bookingSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
-    }
+    },
+    folioSettledAt: Date
   },
   confirmedAt: Date,
+  // Request-to-book: when the hotel must have answered a pending booking by;
+  // it is rejected automatically after that
+  responseDueAt: Date,
+  // Set once what the guest paid has been settled with the hotel
+  payout: {
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout'
+    },
+    settledAt: Date
+  },
   notifications: [{
     type: {
       type: String,
-      enum: ['booking_confirmed', 'payment_received', 'check_in_reminder', 'check_out_reminder', 'cancellation']
+      enum: ['booking_confirmed', 'payment_received', 'check_in_reminder', 'check_out_reminder', 'cancellation', 'balance_reminder', 'balance_overdue', 'booking_request', 'booking_rejected']
     },
     sentAt: Date,
     method: {
@@ -230,6 +443,59 @@ const bookingSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     }
+  }],
+  // Incidental charges posted by the hotel during the stay (see
+  // utils/folio.js); settled at check-out
+  folio: [{
+    category: {
+      type: String,
+      enum: ['minibar', 'room_service', 'restaurant', 'laundry', 'spa', 'telephone', 'damage', 'other'],
+      required: true
+    },
+    description: {
+      type: String,
+      required: true,
+      maxlength: 200
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // taxInclusive: unitPrice already includes taxRate
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    },
+    amount: Number,
+    taxAmount: Number,
+    total: Number,
+    status: {
+      type: String,
+      enum: ['open', 'settled', 'voided'],
+      default: 'open'
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voidedAt: Date,
+    voidReason: String
   }]
 }, {
   timestamps: true
@@ -250,14 +516,88 @@ bookingSchema.pre('validate', function(next) {
     const diffTime = this.bookingDetails.checkOut - this.bookingDetails.checkIn;
     this.bookingDetails.totalNights = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   }
+
+  // Follow the stay's dates; bookings made before balance policies owe the
+  // balance at check-in
+  if (this.bookingDetails.checkIn) {
+    const policy = this.balancePolicy || {};
+    if (policy.collect === 'at_check_out') {
+      this.pricing.balanceDueAt = this.bookingDetails.checkOut;
+    } else {
+      const due = new Date(this.bookingDetails.checkIn);
+      due.setDate(due.getDate() - (policy.daysBeforeCheckIn || 0));
+      this.pricing.balanceDueAt = due;
+    }
+  }
+  
+  // Status changes made without transitionTo() are still checked and
+  // recorded. savedStatus is unknown when status was not selected.
+  if (this.isNew) {
+    if (!INITIAL_STATUSES.includes(this.status)) {
+      this.invalidate('status', `A booking cannot be created ${this.status}`);
+    } else if (!this.statusHistory.length) {
+      this.statusHistory.push({ to: this.status });
+    }
+  } else if (this.isModified('status') && this.$locals.savedStatus !== undefined) {
+    const from = this.$locals.savedStatus;
+    if (!STATUS_TRANSITIONS[from]?.[this.status]) {
+      this.invalidate('status', `A ${from} booking cannot become ${this.status}`);
+    } else {
+      const last = this.statusHistory[this.statusHistory.length - 1];
+      if (!last || last.from !== from || last.to !== this.status) {
+        this.statusHistory.push({ from, to: this.status });
+      }
+    }
+  }
   
   next();
 });
 
+bookingSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+bookingSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// @desc  Statuses the booking can move to next, optionally only those `role`
+//        may make
+bookingSchema.methods.nextStatuses = function(role) {
+  return Object.entries(STATUS_TRANSITIONS[this.status] || {})
+    .filter(([, roles]) => !role || roles.includes(role))
+    .map(([status]) => status);
+};
+
+// @desc  Move the booking to `status` and record who did it. Throws a 409
+//        TRANSITION_INVALID error for a change the table does not allow.
+//        Returns the previous status.
+bookingSchema.methods.transitionTo = function(status, { user, role = 'system', reason, at = new Date() } = {}) {
+  const from = this.status;
+  const roles = STATUS_TRANSITIONS[from]?.[status];
+  if (!roles || !roles.includes(role)) {
+    const allowed = this.nextStatuses(role);
+    const message = roles
+      ? `A ${role} cannot mark a ${from} booking ${status}`
+      : `A ${from} booking cannot become ${status}` + (allowed.length ? `; it can become ${allowed.join(', ')}` : '');
+    throw appError('TRANSITION_INVALID', message, 409, { from, to: status, allowed });
+  }
+
+  this.status = status;
+  this.statusHistory.push({ from, to: status, at, by: user?._id, role, reason });
+  return from;
+};
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Create indexes for efficient queries
 bookingSchema.index({ customerId: 1, createdAt: -1 });
 bookingSchema.index({ hotelId: 1, 'bookingDetails.checkIn': 1 });
 bookingSchema.index({ status: 1, 'bookingDetails.checkIn': 1 });
 bookingSchema.index({ bookingReference: 1 });
+bookingSchema.index({ 'pricing.paymentStatus': 1, 'pricing.balanceDueAt': 1 });
+bookingSchema.index({ status: 1, 'payout.payoutId': 1 });
+bookingSchema.index({ status: 1, responseDueAt: 1 });
+bookingSchema.index({ roomUnits: 1, status: 1 });
 
 module.exports = mongoose.model('Booking', bookingSchema);
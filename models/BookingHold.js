@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A short-lived reservation of inventory made while the guest fills in the
+// checkout form. The rooms are counted as `held` in the inventory ledger until
+// the hold is redeemed by POST /api/customer/bookings, released by the guest
+// or expired by the hold sweeper. There is deliberately no TTL index: deleting
+// the document would not give the held rooms back to the ledger.
+const bookingHoldSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date,
+    required: true
+  },
+  numberOfRooms: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+bookingHoldSchema.index({ status: 1, expiresAt: 1 });
+bookingHoldSchema.index({ customerId: 1, status: 1 });
+
+module.exports = mongoose.model('BookingHold', bookingHoldSchema);
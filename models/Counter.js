@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. invoice-2026). Incremented with $inc inside the
+// transaction that uses the number, so numbers are gapless and never reused.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Currencies prices can be set, shown and paid in. Rates can only be stored
+// for these; Hotel and Room prices and search take the same list.
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'];
+
+// How many units of a currency one unit of the platform's base currency buys
+// (see BASE_CURRENCY in utils/currency.js). Set by admins or loaded from a
+// rates file with scripts/loadExchangeRates.js.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    enum: SUPPORTED_CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'file'],
+    default: 'admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.statics.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
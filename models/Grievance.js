@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Hours from filing to the resolution deadline (dueDate), by priority
+const GRIEVANCE_SLA_HOURS = {
+  urgent: 4,
+  high: 24,
+  medium: 72,
+  low: 120
+};
+
 const grievanceSchema = new mongoose.Schema({
   grievanceNumber: {
     type: String,
@@ -214,6 +222,8 @@ const grievanceSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set from GRIEVANCE_SLA_HOURS unless given; reminderSent once the
+  // grievance-sla-reminders job has chased it
   dueDate: Date,
   reminderSent: {
     type: Boolean,
@@ -236,6 +246,11 @@ grievanceSchema.pre('save', function(next) {
     this.grievanceNumber = `GRV${year}${timestamp}${random}`.toUpperCase();
   }
   
+  if (!this.dueDate) {
+    const filedAt = this.createdAt || new Date();
+    this.dueDate = new Date(filedAt.getTime() + GRIEVANCE_SLA_HOURS[this.priority || 'medium'] * 60 * 60 * 1000);
+  }
+  
   this.lastUpdated = new Date();
   next();
 });
@@ -272,5 +287,8 @@ grievanceSchema.index({ hotelId: 1, status: 1 });
 grievanceSchema.index({ category: 1, priority: 1 });
 grievanceSchema.index({ status: 1, createdAt: -1 });
 grievanceSchema.index({ grievanceNumber: 1 });
+grievanceSchema.index({ reminderSent: 1, dueDate: 1 });
+
+grievanceSchema.statics.SLA_HOURS = GRIEVANCE_SLA_HOURS;
 
 module.exports = mongoose.model('Grievance', grievanceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('./ExchangeRate');
 
 const hotelSchema = new mongoose.Schema({
   userId: {
@@ -145,7 +146,7 @@ const hotelSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'INR',
-      enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']
+      enum: SUPPORTED_CURRENCIES
     }
   },
   checkInTime: {
@@ -172,6 +173,85 @@ const hotelSchema = new mongoose.Schema({
       maxlength: 300
     }
   },
+  // Machine-readable refund rules behind policies.cancellation: a guest who
+  // cancels at least hoursBeforeCheckIn hours before check-in gets
+  // refundPercentage of the booking back. Empty = platform default tiers.
+  cancellationPolicy: {
+    tiers: [{
+      hoursBeforeCheckIn: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      refundPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }]
+  },
+  // Printed on invoices; the hotel name and address are used when unset
+  legalDetails: {
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    registrationNumber: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    registeredAddress: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    }
+  },
+  // When guests who paid a deposit owe the rest: daysBeforeCheckIn days
+  // before check-in, or at check-out
+  balancePolicy: {
+    collect: {
+      type: String,
+      enum: ['before_check_in', 'at_check_out'],
+      default: 'before_check_in'
+    },
+    daysBeforeCheckIn: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 7
+    }
+  },
+  // Instant bookings are confirmed straight away; with 'request' the hotel
+  // confirms or rejects each booking within responseHours (see
+  // utils/bookingRequests.js). Rooms may override the mode.
+  bookingMode: {
+    mode: {
+      type: String,
+      enum: ['instant', 'request'],
+      default: 'instant'
+    },
+    responseHours: {
+      type: Number,
+      min: 1,
+      max: 72,
+      default: 24
+    }
+  },
+  // Platform commission on guest payments, in percent. Set by admins; unset
+  // means the platform default (see utils/payouts.js).
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   isVerified: {
     type: Boolean,
     default: false
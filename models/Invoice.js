@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: String,
+  amount: Number,
+  // Incidentals only
+  taxRate: Number,
+  taxAmount: Number,
+  total: Number
+}, { _id: false });
+
+// An invoice number issued for a booking, with what was invoiced under it.
+// The charges are fixed when the number is issued; if the booking's charges
+// change later, the next request issues a new number that supersedes this
+// one. Payments are shown as they stand whenever the PDF is rendered.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // issued: the booking's current invoice; superseded: replaced after its
+  // charges changed
+  status: {
+    type: String,
+    enum: ['issued', 'superseded'],
+    default: 'issued'
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  supersededAt: Date,
+  // What was invoiced (see utils/invoices.js invoiceSnapshot)
+  currency: String,
+  stay: {
+    description: String,
+    checkIn: Date,
+    checkOut: Date,
+    nights: Number
+  },
+  stayLines: [invoiceLineSchema],
+  folioLines: [invoiceLineSchema],
+  adjustmentLines: [invoiceLineSchema],
+  taxLines: [invoiceLineSchema],
+  taxes: Number,
+  total: Number,
+  // Hash of the snapshot, to tell whether the booking's charges have changed
+  contentHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One current invoice per booking
+invoiceSchema.index({ bookingId: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+invoiceSchema.index({ hotelId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One line of a booking's account: something the guest owes (charge,
+// adjustment) or money that moved (payment, refund). Entries are never edited;
+// a change is a new adjustment. The balance due is computed from these, see
+// utils/ledger.js.
+const ledgerEntrySchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  // charge/payment/refund amounts are positive; an adjustment is signed
+  // (negative credits the guest)
+  type: {
+    type: String,
+    enum: ['charge', 'adjustment', 'payment', 'refund'],
+    required: true
+  },
+  // stay: the room charge and its changes; folio: incidentals posted during
+  // the stay; manual: posted by an admin
+  category: {
+    type: String,
+    enum: ['stay', 'folio', 'manual', 'payment', 'refund'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Booking.folio item the entry charges or voids
+  folioItemId: mongoose.Schema.Types.ObjectId,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByRole: {
+    type: String,
+    enum: ['customer', 'hotel', 'admin', 'system'],
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ bookingId: 1, createdAt: 1 });
+// A gateway payment is entered once
+ledgerEntrySchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: 'payment', paymentId: { $exists: true } } }
+);
+ledgerEntrySchema.index({ paymentId: 1, type: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// How loyalty points are earned on completed stays. An earn rule sets the base
+// rate (a hotel's own rule wins over a platform-wide one); bonus rules add to
+// it, e.g. double points at a hotel for a season. Spend is measured in the
+// platform's base currency. See utils/loyalty.js.
+const loyaltyRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'bonus'],
+    required: [true, 'Rule type is required']
+  },
+  // earn: points per unit of spend (0.01 = 1 point per 100)
+  pointsPerUnit: {
+    type: Number,
+    min: 0
+  },
+  // bonus: multiplies the base points (2 = double points)
+  multiplier: {
+    type: Number,
+    min: 1
+  },
+  // bonus: flat points on top
+  bonusPoints: {
+    type: Number,
+    min: 0
+  },
+  // Unset = every hotel
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel'
+  },
+  minSpend: {
+    type: Number,
+    min: 0
+  },
+  // Compared with the stay's check-out date
+  validFrom: Date,
+  validTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyRuleSchema.pre('validate', function(next) {
+  if (this.type === 'earn' && this.pointsPerUnit === undefined) {
+    this.invalidate('pointsPerUnit', 'An earn rule needs points per unit of spend');
+  }
+  if (this.type === 'bonus' && !this.multiplier && !this.bonusPoints) {
+    this.invalidate('multiplier', 'A bonus rule needs a multiplier or bonus points');
+  }
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to cannot be before valid from');
+  }
+  next();
+});
+
+loyaltyRuleSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('LoyaltyRule', loyaltyRuleSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One movement of a customer's loyalty points. Positive transactions (earn,
+// return, positive adjust) are lots that expire; spending takes points from
+// the lots expiring soonest and lowers their `remaining`. Customer.loyaltyPoints
+// is the running balance. See utils/loyalty.js.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // earn: for a completed stay; redeem: spent on a booking; return: redeemed
+  // points given back (booking cancelled or repriced); reverse: earned points
+  // taken back after a refund; expire: lot ran out; adjust: by an admin
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'return', 'reverse', 'expire', 'adjust'],
+    required: true
+  },
+  // Signed: positive adds to the balance
+  points: {
+    type: Number,
+    required: true
+  },
+  // Lots only: points not yet spent or expired
+  remaining: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: Date,
+  // earn only: what the guest paid for the stay (booking currency), so a
+  // later refund takes back the matching share of the points
+  spend: Number,
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByRole: {
+    type: String,
+    enum: ['customer', 'hotel', 'admin', 'system'],
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyTransactionSchema.index({ customerId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ bookingId: 1, type: 1 });
+loyaltyTransactionSchema.index({ customerId: 1, expiresAt: 1 }, { partialFilterExpression: { remaining: { $gt: 0 } } });
+loyaltyTransactionSchema.index({ expiresAt: 1 }, { partialFilterExpression: { remaining: { $gt: 0 } } });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One attempt to collect money for a booking through the payment gateway
+// (a Stripe PaymentIntent). Booking.pricing only changes when a payment here
+// is confirmed as succeeded by the gateway.
+const paymentSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  providerPaymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['full', 'deposit', 'balance'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment', 'processing', 'authorized', 'succeeded', 'failed', 'canceled'],
+    default: 'requires_payment'
+  },
+  // Manual: the card is only authorized while the booking awaits the hotel,
+  // then captured or released (see settleAuthorizations)
+  captureMethod: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+  // Refunded so far, as reported by the gateway
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  failureMessage: String,
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
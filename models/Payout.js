@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// What the platform owes a hotel for one payout period, in one currency.
+// Built by utils/payouts.js from completed bookings (and refunds made on
+// bookings already paid out); admins mark it paid once the transfer is made.
+const payoutLineSchema = new mongoose.Schema({
+  // booking: a completed stay settled for the first time; refund: money
+  // returned to a guest after the booking was paid out
+  type: {
+    type: String,
+    enum: ['booking', 'refund'],
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingReference: String,
+  checkOut: Date,
+  // The refund LedgerEntry a refund line settles
+  ledgerEntryId: mongoose.Schema.Types.ObjectId,
+  // Paid through the platform, and at the hotel's front desk
+  collected: {
+    type: Number,
+    default: 0
+  },
+  collectedByHotel: {
+    type: Number,
+    default: 0
+  },
+  refunded: {
+    type: Number,
+    default: 0
+  },
+  commissionRate: Number,
+  // Charged on everything the guest kept paid; negative on a refund line
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // collected - refunded - commission: what the line adds to the payout
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  lines: [payoutLineSchema],
+  totals: {
+    collected: { type: Number, default: 0 },
+    collectedByHotel: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    // Negative when the hotel owes the platform (e.g. commission on stays
+    // paid at the desk)
+    amount: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank transfer or other reference for the payment
+  paymentReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ hotelId: 1, periodStart: 1, currency: 1 }, { unique: true });
+payoutSchema.index({ status: 1, periodStart: -1 });
+payoutSchema.index({ 'lines.ledgerEntryId': 1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A discount code created by an admin (platform-wide or for one hotel) or by a
+// hotel for its own rooms. Checked and applied by utils/promotions; every use
+// is recorded as a PromoRedemption.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: 0,
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  // Upper bound on the discount of a percentage code
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  validFrom: Date,
+  validTo: Date,
+  // Total redemptions allowed across all customers (unset = unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  timesUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Unset hotelId = every hotel; empty roomTypes = every room type
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel'
+  },
+  roomTypes: [{
+    type: String
+  }],
+  minNights: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Minimum room charge after room discounts
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByRole: {
+    type: String,
+    enum: ['admin', 'hotel']
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ hotelId: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One use of a PromoCode on a booking. A booking holds at most one applied
+// redemption per code; replacing or losing the code, or the booking being
+// cancelled or rejected, reverses it and gives the use back to the code's
+// limits.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel'
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index(
+  { promoCodeId: 1, bookingId: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+promoRedemptionSchema.index({ promoCodeId: 1, customerId: 1, status: 1 });
+promoRedemptionSchema.index({ bookingId: 1, status: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
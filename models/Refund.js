@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Money sent back to a guest against one Payment through the gateway. A
+// refund is retried a few times when the gateway fails it; each retry is a new
+// gateway refund, recorded in `attempts`.
+const refundSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // pending: sent to (or waiting to be retried with) the gateway
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  providerRefundId: String,
+  attempts: [{
+    _id: false,
+    providerRefundId: String,
+    status: String,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  nextRetryAt: Date,
+  failureMessage: String,
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  initiatedByRole: {
+    type: String,
+    enum: ['admin', 'hotel', 'system']
+  },
+  succeededAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ bookingId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, nextRetryAt: 1 });
+refundSchema.index({ providerRefundId: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('./ExchangeRate');
 
 const roomSchema = new mongoose.Schema({
   hotelId: {
@@ -81,7 +82,7 @@ const roomSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'INR',
-      enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']
+      enum: SUPPORTED_CURRENCIES
     },
     taxes: {
       type: Number,
@@ -104,14 +105,82 @@ const roomSchema = new mongoose.Schema({
         min: 0,
         max: 100 // percentage
       },
+      // Nights of the stay falling inside [validFrom, validTo] are discounted;
+      // either bound may be left open
       validFrom: Date,
       validTo: Date,
       minStay: {
         type: Number,
         default: 1
+      },
+      // Days between booking and check-in: early_bird needs at least
+      // minLeadDays (default 30), last_minute at most maxLeadDays (default 3)
+      minLeadDays: {
+        type: Number,
+        min: 0
+      },
+      maxLeadDays: {
+        type: Number,
+        min: 0
       }
-    }]
+    }],
+    // 'best' applies only the most valuable eligible rule, 'stack' compounds
+    // every eligible rule one after the other
+    discountPolicy: {
+      type: String,
+      enum: ['best', 'stack'],
+      default: 'best'
+    }
   },
+  // Named ways of selling this room (e.g. flexible, non-refundable, bed &
+  // breakfast). Each plan adjusts the nightly rate and carries its own meal
+  // and cancellation terms; bookings keep a snapshot of the plan they bought.
+  ratePlans: [{
+    name: {
+      type: String,
+      required: [true, 'Rate plan name is required'],
+      trim: true,
+      maxlength: [100, 'Rate plan name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: 300
+    },
+    // Applied to every nightly rate: a percentage (-100..100) or a fixed
+    // amount per room per night (negative for a reduction)
+    adjustment: {
+      type: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage'
+      },
+      value: {
+        type: Number,
+        default: 0
+      }
+    },
+    mealPlan: {
+      type: String,
+      enum: ['room_only', 'breakfast', 'half_board', 'full_board'],
+      default: 'room_only'
+    },
+    cancellation: {
+      refundable: {
+        type: Boolean,
+        default: true
+      },
+      // Full refund when cancelled at least this many hours before check-in
+      freeCancellationHours: {
+        type: Number,
+        default: 24,
+        min: 0
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   capacity: {
     adults: {
       type: Number,
@@ -137,6 +206,10 @@ const roomSchema = new mongoose.Schema({
     required: [true, 'Total rooms count is required'],
     min: 1
   },
+  // Last time a numbered room of this type was added or reactivated; written
+  // every time so two such changes at once conflict (see utils/roomUnits.js
+  // checkUnitRoom)
+  unitsChangedAt: Date,
   status: {
     type: String,
     enum: ['ready', 'occupied', 'maintenance', 'blocked', 'cleaning'],
@@ -171,6 +244,11 @@ const roomSchema = new mongoose.Schema({
   isAvailable: {
     type: Boolean,
     default: true
+  },
+  // Overrides the hotel's bookingMode.mode for this room when set
+  bookingMode: {
+    type: String,
+    enum: ['instant', 'request']
   }
 }, {
   timestamps: true
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One document per room type per night. `date` is the UTC midnight of the
+// night being sold (a stay from the 10th to the 12th occupies the 10th and
+// the 11th). Available rooms for a night = room.totalRooms - sold - held - blocked.
+const roomInventorySchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  sold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  held: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  blocked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+roomInventorySchema.index({ roomId: 1, date: 1 }, { unique: true });
+roomInventorySchema.index({ hotelId: 1, date: 1 });
+
+module.exports = mongoose.model('RoomInventory', roomInventorySchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A nightly price for a room type over a date range, optionally limited to
+// some days of the week (0 = Sunday ... 6 = Saturday). Nights not covered by
+// any rate fall back to Room.pricing.basePrice. When several rates cover the
+// same night, the highest priority wins, then the most recently updated.
+const roomRateSchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rate name is required'],
+    trim: true,
+    maxlength: [100, 'Rate name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Last night the rate applies to (inclusive)
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  price: {
+    type: Number,
+    required: [true, 'Nightly price is required'],
+    min: 0
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Store both bounds as the UTC midnight keys used by the inventory ledger
+roomRateSchema.pre('validate', function(next) {
+  const toNight = (value) => {
+    const d = new Date(value);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  };
+  if (this.startDate) this.startDate = toNight(this.startDate);
+  if (this.endDate) this.endDate = toNight(this.endDate);
+  next();
+});
+
+roomRateSchema.index({ roomId: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('RoomRate', roomRateSchema);
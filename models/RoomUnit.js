@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// ready: clean and free for the next guest; occupied: a guest is checked in;
+// dirty: vacated and waiting for housekeeping; cleaning: being made up;
+// maintenance / blocked: out of service
+const HOUSEKEEPING_STATUSES = ['ready', 'occupied', 'dirty', 'cleaning', 'maintenance', 'blocked'];
+
+// A numbered physical room of a room type (Room). Inventory still sells
+// Room.totalRooms; units are assigned to bookings (Booking.roomUnits) before
+// or at check-in, and a guest can only be checked in to ready units.
+const roomUnitSchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  number: {
+    type: String,
+    required: [true, 'Room number is required'],
+    trim: true,
+    maxlength: [20, 'Room number cannot exceed 20 characters']
+  },
+  floor: {
+    type: Number,
+    min: 0
+  },
+  housekeeping: {
+    status: {
+      type: String,
+      enum: HOUSEKEEPING_STATUSES,
+      default: 'ready'
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Housekeeping notes cannot exceed 500 characters']
+    },
+    updatedAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Last assigned to a booking; written on every assignment so two bookings
+  // taking this unit at once conflict (see utils/roomUnits.js assignUnits)
+  assignedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+roomUnitSchema.statics.HOUSEKEEPING_STATUSES = HOUSEKEEPING_STATUSES;
+
+roomUnitSchema.index({ hotelId: 1, number: 1 }, { unique: true });
+roomUnitSchema.index({ roomId: 1, isActive: 1 });
+roomUnitSchema.index({ hotelId: 1, 'housekeeping.status': 1 });
+
+module.exports = mongoose.model('RoomUnit', roomUnitSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Schedule, lock and last outcome of a background job (see utils/jobs.js),
+// keyed by job name. An instance runs a job only while it holds the lock, so
+// with several servers each run happens once.
+const scheduledJobSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  nextRunAt: Date,
+  lockedUntil: Date,
+  lockedBy: String,
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runs: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
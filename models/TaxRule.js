@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A tax charged on room stays in one jurisdiction. A rule with only a country
+// applies to every hotel in it; adding a state and then a city narrows it.
+// Every rule that matches a hotel's address is charged, so a national GST and
+// a city occupancy tax are two rules. Hotels with no matching rule fall back
+// to their rooms' own pricing.taxes percentage. See utils/taxes.js.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax name is required'],
+    trim: true,
+    maxlength: [100, 'Tax name cannot exceed 100 characters']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  // percentage: of the room charge after discounts; per_night: a fixed amount
+  // per room per night; per_guest: a fixed amount per guest per night
+  type: {
+    type: String,
+    enum: ['percentage', 'per_night', 'per_guest'],
+    required: [true, 'Tax type is required']
+  },
+  // Percentage for a flat percentage rule
+  rate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Tariff-based percentage (e.g. hotel GST): each night is taxed at the rate
+  // of the first slab its per-room tariff fits under. The slab without upTo
+  // covers everything above the others; a tariff above every slab is untaxed.
+  slabs: [{
+    _id: false,
+    upTo: {
+      type: Number,
+      min: 0
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Amount in the hotel's currency for per_night and per_guest rules
+  amount: {
+    type: Number,
+    min: 0
+  },
+  // per_guest only: whether children are counted as well as adults
+  includeChildren: {
+    type: Boolean,
+    default: false
+  },
+  // Nights charged at most per stay (unset = every night)
+  maxNights: {
+    type: Number,
+    min: 1
+  },
+  // Nights of a stay falling outside these dates are not taxed by the rule
+  validFrom: Date,
+  validTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.rate === undefined && !this.slabs.length) {
+    this.invalidate('rate', 'A percentage tax needs a rate or tariff slabs');
+  }
+  if (this.type !== 'percentage' && this.amount === undefined) {
+    this.invalidate('amount', 'A per-night or per-guest tax needs an amount');
+  }
+  if (this.slabs.filter(slab => slab.upTo === undefined || slab.upTo === null).length > 1) {
+    this.invalidate('slabs', 'Only one tariff slab can be open-ended');
+  }
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to cannot be before valid from');
+  }
+  next();
+});
+
+taxRuleSchema.index({ country: 1, isActive: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
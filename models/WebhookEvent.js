@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Payment provider events that have been handled. Stripe delivers events at
+// least once, so a redelivered event id is acknowledged without running its
+// handler again. Events the booking could not take are kept as rejected,
+// with the reason, for follow-up.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processed', 'rejected'],
+    default: 'processed'
+  },
+  error: String,
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -7,9 +7,31 @@ const Hotel = require('../models/Hotel');
 const Booking = require('../models/Booking');
 const Review = require('../models/Review');
 const Grievance = require('../models/Grievance');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Refund = require('../models/Refund');
+const LedgerEntry = require('../models/LedgerEntry');
+const TaxRule = require('../models/TaxRule');
+const ExchangeRate = require('../models/ExchangeRate');
+const Payout = require('../models/Payout');
+const LoyaltyRule = require('../models/LoyaltyRule');
 
 const { auth, authorize } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const { promoCodeValidation, taxRuleValidation, validateObjectId } = require('../middleware/validation');
+const { withTransaction } = require('../utils/transaction');
+const { asInventoryConflict, syncBookingStatus } = require('../utils/inventory');
+const { pickPromoCodeFields, releasePromoRedemptions } = require('../utils/promotions');
+const { calculateRefund, applyCancellation } = require('../utils/cancellation');
+const { startRefund, retryRefund } = require('../utils/refunds');
+const { getLedger, syncStayCharge, recordAdjustment } = require('../utils/ledger');
+const { sendInvoicePdf } = require('../utils/invoices');
+const { pickTaxRuleFields, findTaxRules } = require('../utils/taxes');
+const { BASE_CURRENCY, setRates } = require('../utils/currency');
+const { pickLoyaltyRuleFields, syncLoyalty, adjustPoints, getLoyaltySummary } = require('../utils/loyalty');
+const { DEFAULT_COMMISSION_RATE, payoutPeriod, previousPayoutPeriod, markPayoutPaid } = require('../utils/payouts');
+const { completeBookingRequest } = require('../utils/bookingRequests');
+const { runJob, getJobStatus } = require('../utils/jobs');
+const { sendAppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 // Apply auth and admin role to all routes
@@ -389,6 +411,36 @@ router.put('/hotels/:id/status', validateObjectId, async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/hotels/:id/commission
+// @desc    Set a hotel's commission rate (null returns it to the platform default)
+// @access  Private (Admin)
+router.put('/hotels/:id/commission', validateObjectId, async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+    const rate = commissionRate === null ? undefined : Number(commissionRate);
+    if (commissionRate === undefined || (rate !== undefined && (Number.isNaN(rate) || rate < 0 || rate > 100))) {
+      return res.status(400).json({ success: false, message: 'Commission rate must be between 0 and 100, or null' });
+    }
+
+    const hotel = await Hotel.findById(req.params.id);
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel not found' });
+    }
+
+    hotel.commissionRate = rate;
+    await hotel.save();
+
+    res.json({
+      success: true,
+      message: 'Commission rate updated (applies to bookings settled from now on)',
+      data: { commissionRate: hotel.commissionRate ?? DEFAULT_COMMISSION_RATE, isDefault: hotel.commissionRate === undefined }
+    });
+  } catch (error) {
+    logger.error('Update commission rate error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating commission rate' });
+  }
+});
+
 // @route   GET /api/admin/bookings
 // @desc    Get all bookings for admin review
 // @access  Private (Admin)
@@ -434,7 +486,8 @@ router.get('/bookings', async (req, res) => {
 });
 
 // @route   PUT /api/admin/bookings/:id/status
-// @desc    Update booking status (admin action)
+// @desc    Move a booking to another status (admin action); only changes
+//          allowed by Booking's STATUS_TRANSITIONS are accepted
 // @access  Private (Admin)
 router.put('/bookings/:id/status', async (req, res) => {
   try {
@@ -448,53 +501,182 @@ router.put('/bookings/:id/status', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    booking.status = status;
-    if (note) booking.adminNote = note;
+    const previousStatus = booking.status;
     if (status === 'cancelled') {
-      booking.cancellation = booking.cancellation || {};
-      booking.cancellation.isCancelled = true;
-      booking.cancellation.cancelledAt = new Date();
-      booking.cancellation.cancelledBy = 'admin';
-      booking.cancellation.reason = note || 'Cancelled by admin';
+      // Refund follows the booking's policy and is sent by the
+      // cancellation-refunds job; the refund route can add to it
+      const refund = await calculateRefund(booking, { cancelledBy: 'admin' });
+      applyCancellation(booking, refund, { cancelledBy: 'admin', reason: note || 'Cancelled by admin', user: req.user });
+    } else {
+      booking.transitionTo(status, { user: req.user, role: 'admin', reason: note });
     }
 
-    await booking.save();
+    await withTransaction(async (session) => {
+      await syncBookingStatus(booking, previousStatus, { session });
+      await booking.save({ session, validateModifiedOnly: true });
+      await releasePromoRedemptions(booking, { session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'admin' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'admin' });
+    });
+    await completeBookingRequest(booking, previousStatus);
 
     res.json({ success: true, message: 'Booking status updated', data: booking });
   } catch (error) {
     logger.error('Admin update booking status error:', error);
+    if (error.code === 'TRANSITION_INVALID') {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
     res.status(500).json({ success: false, message: 'Server error updating booking status' });
   }
 });
 
 // @route   POST /api/admin/bookings/:id/refund
-// @desc    Record/process a refund for a booking
+// @desc    Refund a booking through the payment gateway (partial amounts
+//          allowed; defaults to the cancellation refund still owed)
 // @access  Private (Admin)
-router.post('/bookings/:id/refund', async (req, res) => {
+router.post('/bookings/:id/refund', validateObjectId, async (req, res) => {
   try {
     const { amount, reason } = req.body;
+    if (amount != null && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'Refund amount must be a positive number' });
+    }
+
     const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    // Record refund details on booking.cancellation or booking.pricing
-    booking.cancellation = booking.cancellation || {};
-    booking.cancellation.refundAmount = amount || booking.cancellation.refundAmount || 0;
-    booking.cancellation.refundStatus = 'processed';
-    booking.cancellation.refundReason = reason || 'Admin refund';
+    // paymentStatus / refundStatus only move once the gateway confirms
+    const refunds = await startRefund(booking, {
+      amount: amount != null ? parseFloat(amount) : undefined,
+      reason: reason || 'Admin refund',
+      user: req.user,
+      role: 'admin'
+    });
+    const updated = await Booking.findById(booking._id).select('pricing.paymentStatus cancellation');
 
-    // Update payment status
-    booking.pricing.paymentStatus = booking.pricing.paymentStatus === 'paid' ? 'refunded' : booking.pricing.paymentStatus;
+    res.status(202).json({
+      success: true,
+      message: 'Refund submitted to the payment provider',
+      data: {
+        refunds,
+        paymentStatus: updated.pricing.paymentStatus,
+        refundStatus: updated.cancellation?.refundStatus
+      }
+    });
+  } catch (error) {
+    logger.error('Admin refund booking error:', error);
+    if (error.code === 'REFUND_INVALID' || error.code === 'PAYMENT_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error processing refund' });
+  }
+});
 
-    await booking.save();
+// @route   GET /api/admin/bookings/:id/refunds
+// @desc    Refund attempts made for a booking
+// @access  Private (Admin)
+router.get('/bookings/:id/refunds', validateObjectId, async (req, res) => {
+  try {
+    const refunds = await Refund.find({ bookingId: req.params.id })
+      .populate('initiatedBy', 'email')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, data: refunds });
+  } catch (error) {
+    logger.error('Get booking refunds error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching refunds' });
+  }
+});
 
-    // TODO: Integrate with payment gateway to actually process money transfer.
+// @route   GET /api/admin/bookings/:id/ledger
+// @desc    Charges, payments and refunds on a booking, with the balance due
+// @access  Private (Admin)
+router.get('/bookings/:id/ledger', validateObjectId, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select('bookingReference pricing.currency');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
 
-    res.json({ success: true, message: 'Refund recorded', data: booking });
+    const { entries, summary } = await getLedger(booking._id);
+    await LedgerEntry.populate(entries, { path: 'createdBy', select: 'email role' });
+    res.json({ success: true, data: { bookingReference: booking.bookingReference, currency: booking.pricing.currency, summary, entries } });
   } catch (error) {
-    logger.error('Admin refund booking error:', error);
-    res.status(500).json({ success: false, message: 'Server error processing refund' });
+    logger.error('Get booking ledger error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching ledger' });
+  }
+});
+
+// @route   GET /api/admin/bookings/:id/invoice
+// @desc    Download a booking's invoice (PDF)
+// @access  Private (Admin)
+router.get('/bookings/:id/invoice', validateObjectId, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    await sendInvoicePdf(res, booking);
+  } catch (error) {
+    logger.error('Admin get invoice error:', error);
+    if (error.code === 'INVOICE_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error generating invoice' });
+  }
+});
+
+// @route   POST /api/admin/bookings/:id/ledger/adjustments
+// @desc    Post a manual adjustment to a booking (negative amounts credit the guest)
+// @access  Private (Admin)
+router.post('/bookings/:id/ledger/adjustments', validateObjectId, async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+    const description = (req.body.description || '').trim();
+    if (!amount || !isFinite(amount)) {
+      return res.status(400).json({ success: false, message: 'A non-zero amount is required' });
+    }
+    if (!description) {
+      return res.status(400).json({ success: false, message: 'Description is required' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const entry = await recordAdjustment(booking, { amount, description, user: req.user, role: 'admin' });
+    const { summary } = await getLedger(booking._id);
+    res.status(201).json({ success: true, message: 'Adjustment posted', data: { entry, summary } });
+  } catch (error) {
+    logger.error('Post ledger adjustment error:', error);
+    res.status(500).json({ success: false, message: 'Server error posting adjustment' });
+  }
+});
+
+// @route   POST /api/admin/refunds/:id/retry
+// @desc    Retry a refund the gateway failed
+// @access  Private (Admin)
+router.post('/refunds/:id/retry', validateObjectId, async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    const result = await retryRefund(refund);
+    res.json({ success: true, message: 'Refund resubmitted', data: result });
+  } catch (error) {
+    logger.error('Retry refund error:', error);
+    if (error.code === 'REFUND_INVALID' || error.code === 'PAYMENT_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error retrying refund' });
   }
 });
 
@@ -664,6 +846,549 @@ router.put('/grievances/:id/status', validateObjectId, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/promo-codes
+// @desc    List promo codes (platform-wide and hotel codes)
+// @access  Private (Admin)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, hotelId, status } = req.query;
+
+    let query = {};
+    if (hotelId) query.hotelId = hotelId;
+    if (status) query.isActive = status === 'active';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('hotelId', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        promoCodes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPromoCodes: total,
+          hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching promo codes' });
+  }
+});
+
+// @route   POST /api/admin/promo-codes
+// @desc    Create a promo code (omit hotelId for a platform-wide code)
+// @access  Private (Admin)
+router.post('/promo-codes', promoCodeValidation, async (req, res) => {
+  try {
+    if (req.body.hotelId && !(await Hotel.exists({ _id: req.body.hotelId }))) {
+      return res.status(404).json({ success: false, message: 'Hotel not found' });
+    }
+
+    const promoCode = new PromoCode({
+      ...pickPromoCodeFields(req.body),
+      hotelId: req.body.hotelId || undefined,
+      createdBy: req.user._id,
+      createdByRole: 'admin'
+    });
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Create promo code error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Promo code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating promo code' });
+  }
+});
+
+// @route   PUT /api/admin/promo-codes/:id
+// @desc    Update a promo code
+// @access  Private (Admin)
+router.put('/promo-codes/:id', validateObjectId, promoCodeValidation, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    promoCode.set(pickPromoCodeFields(req.body));
+    if (req.body.hotelId !== undefined) {
+      promoCode.hotelId = req.body.hotelId || undefined;
+    }
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Update promo code error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Promo code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating promo code' });
+  }
+});
+
+// @route   DELETE /api/admin/promo-codes/:id
+// @desc    Delete an unused promo code (used codes are deactivated instead)
+// @access  Private (Admin)
+router.delete('/promo-codes/:id', validateObjectId, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    if (await PromoRedemption.exists({ promoCodeId: promoCode._id })) {
+      promoCode.isActive = false;
+      await promoCode.save();
+      return res.json({ success: true, message: 'Promo code has been used and was deactivated instead', data: promoCode });
+    }
+
+    await promoCode.deleteOne();
+    res.json({ success: true, message: 'Promo code deleted successfully' });
+  } catch (error) {
+    logger.error('Delete promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting promo code' });
+  }
+});
+
+// @route   GET /api/admin/promo-codes/:id/redemptions
+// @desc    Bookings a promo code was redeemed on
+// @access  Private (Admin)
+router.get('/promo-codes/:id/redemptions', validateObjectId, async (req, res) => {
+  try {
+    const redemptions = await PromoRedemption.find({ promoCodeId: req.params.id })
+      .populate('bookingId', 'bookingReference status pricing.totalAmount')
+      .populate('customerId', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: redemptions });
+  } catch (error) {
+    logger.error('Get promo redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching promo redemptions' });
+  }
+});
+
+// @route   GET /api/admin/tax-rules
+// @desc    List tax rules. With country (and optionally state and city) only
+//          the rules charged at that location are returned.
+// @access  Private (Admin)
+router.get('/tax-rules', async (req, res) => {
+  try {
+    const { country, state, city } = req.query;
+
+    const taxRules = country
+      ? await findTaxRules({ country, state, city })
+      : await TaxRule.find().sort({ country: 1, state: 1, city: 1, name: 1 });
+
+    res.json({ success: true, data: taxRules });
+  } catch (error) {
+    logger.error('Get tax rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching tax rules' });
+  }
+});
+
+// @route   POST /api/admin/tax-rules
+// @desc    Create a tax rule (applies to quotes and bookings priced after it)
+// @access  Private (Admin)
+router.post('/tax-rules', taxRuleValidation, async (req, res) => {
+  try {
+    const taxRule = new TaxRule({
+      ...pickTaxRuleFields(req.body),
+      createdBy: req.user._id
+    });
+    await taxRule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: taxRule
+    });
+  } catch (error) {
+    logger.error('Create tax rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating tax rule' });
+  }
+});
+
+// @route   PUT /api/admin/tax-rules/:id
+// @desc    Update a tax rule (existing bookings keep the taxes they were priced with)
+// @access  Private (Admin)
+router.put('/tax-rules/:id', validateObjectId, taxRuleValidation, async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findById(req.params.id);
+    if (!taxRule) {
+      return res.status(404).json({ success: false, message: 'Tax rule not found' });
+    }
+
+    taxRule.set(pickTaxRuleFields(req.body));
+    await taxRule.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: taxRule
+    });
+  } catch (error) {
+    logger.error('Update tax rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating tax rule' });
+  }
+});
+
+// @route   DELETE /api/admin/tax-rules/:id
+// @desc    Delete a tax rule
+// @access  Private (Admin)
+router.delete('/tax-rules/:id', validateObjectId, async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!taxRule) {
+      return res.status(404).json({ success: false, message: 'Tax rule not found' });
+    }
+
+    res.json({ success: true, message: 'Tax rule deleted successfully' });
+  } catch (error) {
+    logger.error('Delete tax rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting tax rule' });
+  }
+});
+
+// @route   GET /api/admin/loyalty-rules
+// @desc    List loyalty earn and bonus rules
+// @access  Private (Admin)
+router.get('/loyalty-rules', async (req, res) => {
+  try {
+    const { type, hotelId } = req.query;
+    const query = {};
+    if (type) query.type = type;
+    if (hotelId) query.hotelId = hotelId;
+
+    const rules = await LoyaltyRule.find(query)
+      .populate('hotelId', 'name')
+      .sort({ type: 1, createdAt: -1 });
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    logger.error('Get loyalty rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching loyalty rules' });
+  }
+});
+
+// @route   POST /api/admin/loyalty-rules
+// @desc    Create a loyalty rule (earn rate or bonus promotion)
+// @access  Private (Admin)
+router.post('/loyalty-rules', async (req, res) => {
+  try {
+    if (req.body.hotelId && !(await Hotel.exists({ _id: req.body.hotelId }))) {
+      return res.status(404).json({ success: false, message: 'Hotel not found' });
+    }
+
+    const rule = new LoyaltyRule({ ...pickLoyaltyRuleFields(req.body), createdBy: req.user._id });
+    await rule.save();
+
+    res.status(201).json({ success: true, message: 'Loyalty rule created successfully', data: rule });
+  } catch (error) {
+    logger.error('Create loyalty rule error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating loyalty rule' });
+  }
+});
+
+// @route   PUT /api/admin/loyalty-rules/:id
+// @desc    Update a loyalty rule (points already earned are not recalculated)
+// @access  Private (Admin)
+router.put('/loyalty-rules/:id', validateObjectId, async (req, res) => {
+  try {
+    const rule = await LoyaltyRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Loyalty rule not found' });
+    }
+
+    rule.set(pickLoyaltyRuleFields(req.body));
+    await rule.save();
+
+    res.json({ success: true, message: 'Loyalty rule updated successfully', data: rule });
+  } catch (error) {
+    logger.error('Update loyalty rule error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating loyalty rule' });
+  }
+});
+
+// @route   DELETE /api/admin/loyalty-rules/:id
+// @desc    Delete a loyalty rule
+// @access  Private (Admin)
+router.delete('/loyalty-rules/:id', validateObjectId, async (req, res) => {
+  try {
+    const rule = await LoyaltyRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Loyalty rule not found' });
+    }
+
+    res.json({ success: true, message: 'Loyalty rule deleted successfully' });
+  } catch (error) {
+    logger.error('Delete loyalty rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting loyalty rule' });
+  }
+});
+
+// @route   GET /api/admin/customers/:id/loyalty
+// @desc    A customer's points balance and activity
+// @access  Private (Admin)
+router.get('/customers/:id/loyalty', validateObjectId, async (req, res) => {
+  try {
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    res.json({ success: true, data: await getLoyaltySummary(req.params.id, { limit: 200 }) });
+  } catch (error) {
+    logger.error('Get customer loyalty error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching loyalty points' });
+  }
+});
+
+// @route   POST /api/admin/customers/:id/loyalty/adjustments
+// @desc    Add or take away points (negative points take them away)
+// @access  Private (Admin)
+router.post('/customers/:id/loyalty/adjustments', validateObjectId, async (req, res) => {
+  try {
+    const { points, description } = req.body;
+    if (!description) {
+      return res.status(400).json({ success: false, message: 'Description is required' });
+    }
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const customer = await adjustPoints(req.params.id, points, { description, user: req.user });
+    res.status(201).json({ success: true, message: 'Points adjusted', data: { balance: customer.loyaltyPoints } });
+  } catch (error) {
+    logger.error('Adjust loyalty points error:', error);
+    if (error.code === 'LOYALTY_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error adjusting points' });
+  }
+});
+
+// @route   GET /api/admin/payouts
+// @desc    List hotel payouts
+// @access  Private (Admin)
+router.get('/payouts', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, hotelId, status } = req.query;
+
+    let query = {};
+    if (hotelId) query.hotelId = hotelId;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payouts = await Payout.find(query)
+      .select('-lines')
+      .populate('hotelId', 'name')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPayouts: total,
+          hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get payouts error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payouts' });
+  }
+});
+
+// @route   POST /api/admin/payouts/settle
+// @desc    Settle a payout period now (the month containing periodStart;
+//          defaults to last month). The daily job does the same.
+// @access  Private (Admin)
+router.post('/payouts/settle', async (req, res) => {
+  try {
+    const { periodStart } = req.body;
+    if (periodStart && Number.isNaN(new Date(periodStart).getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid period start date' });
+    }
+
+    const period = periodStart ? payoutPeriod(periodStart) : previousPayoutPeriod();
+    if (period.end > new Date()) {
+      return res.status(400).json({ success: false, message: 'Only periods that have ended can be settled' });
+    }
+
+    // Through the job runner, so it never overlaps the daily settlement
+    const result = await runJob('payout-settlement', { period });
+    res.json({ success: true, message: 'Payout period settled', data: { period, ...result } });
+  } catch (error) {
+    logger.error('Settle payouts error:', error);
+    if (error.code === 'JOB_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error settling payouts' });
+  }
+});
+
+// @route   GET /api/admin/payouts/:id
+// @desc    Payout statement with its lines
+// @access  Private (Admin)
+router.get('/payouts/:id', validateObjectId, async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id)
+      .populate('hotelId', 'name legalDetails')
+      .populate('paidBy', 'email');
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Payout not found' });
+    }
+
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    logger.error('Get payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payout' });
+  }
+});
+
+// @route   PUT /api/admin/payouts/:id/paid
+// @desc    Mark a payout as transferred to the hotel
+// @access  Private (Admin)
+router.put('/payouts/:id/paid', validateObjectId, async (req, res) => {
+  try {
+    const { paymentReference, notes } = req.body;
+    if (!paymentReference) {
+      return res.status(400).json({ success: false, message: 'Payment reference is required' });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Payout not found' });
+    }
+
+    await markPayoutPaid(payout, { paymentReference, notes, user: req.user });
+    res.json({ success: true, message: 'Payout marked as paid', data: payout });
+  } catch (error) {
+    logger.error('Mark payout paid error:', error);
+    if (error.code === 'PAYOUT_INVALID') {
+      return sendAppError(res, error);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating payout' });
+  }
+});
+
+// @route   GET /api/admin/exchange-rates
+// @desc    Exchange rates used to show prices in other currencies
+// @access  Private (Admin)
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .populate('updatedBy', 'email')
+      .sort({ currency: 1 });
+
+    res.json({ success: true, data: { base: BASE_CURRENCY, rates } });
+  } catch (error) {
+    logger.error('Get exchange rates error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching exchange rates' });
+  }
+});
+
+// @route   PUT /api/admin/exchange-rates
+// @desc    Set exchange rates, e.g. { "rates": { "USD": 0.012 } } as units per
+//          one base currency, or with "base" to rebase another feed's rates.
+//          Bookings already made keep their currency and amounts.
+// @access  Private (Admin)
+router.put('/exchange-rates', async (req, res) => {
+  try {
+    const { base, rates } = req.body;
+    if (!rates || typeof rates !== 'object' || !Object.keys(rates).length) {
+      return res.status(400).json({ success: false, message: 'Rates are required' });
+    }
+
+    const current = await setRates(rates, { base, source: 'admin', user: req.user });
+    res.json({ success: true, message: 'Exchange rates updated successfully', data: { base: BASE_CURRENCY, rates: current } });
+  } catch (error) {
+    logger.error('Update exchange rates error:', error);
+    if (error.code === 'CURRENCY_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error updating exchange rates' });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Background jobs with their schedule, lock and last outcome
+// @access  Private (Admin)
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getJobStatus() });
+  } catch (error) {
+    logger.error('Get job status error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching job status' });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job now, outside its schedule
+// @access  Private (Admin)
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const result = await runJob(req.params.name);
+    res.json({ success: true, message: 'Job completed', data: { name: req.params.name, result } });
+  } catch (error) {
+    logger.error('Run job error:', error);
+    if (error.code === 'JOB_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error running job' });
+  }
+});
+
 // @route   GET /api/admin/analytics
 // @desc    Get analytics data for admin dashboard
 // @access  Private (Admin)
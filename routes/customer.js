@@ -9,18 +9,40 @@ const Room = require('../models/Room');
 const Booking = require('../models/Booking');
 const Review = require('../models/Review');
 const Grievance = require('../models/Grievance');
+const BookingHold = require('../models/BookingHold');
+const Payment = require('../models/Payment');
 
 const { auth, authorize } = require('../middleware/auth');
 const { 
   customerProfileValidation, 
   bookingValidation, 
+  holdValidation,
+  stayDatesValidation,
+  reservationValidation,
   reviewValidation, 
   grievanceValidation,
   searchValidation,
-  validateObjectId 
+  availabilityValidation,
+  validateObjectId,
+  validateObjectIdParam
 } = require('../middleware/validation');
 const { profileImageUpload, reviewImageUpload } = require('../utils/upload');
 const { sendBookingConfirmationEmail } = require('../utils/email');
+const { withTransaction } = require('../utils/transaction');
+const { HOLD_MINUTES, createHold, releaseHold, redeemHold } = require('../utils/holds');
+const { findRatePlan, priceStay, toBookingPricing, applyBookingPricing } = require('../utils/pricing');
+const { syncPromoRedemption, releasePromoRedemptions } = require('../utils/promotions');
+const { syncLoyalty, getLoyaltySummary } = require('../utils/loyalty');
+const { bookingModeFor, responseDueAtFor, notifyBookingRequest, completeBookingRequest } = require('../utils/bookingRequests');
+const { buildCancellationPolicy, calculateRefund, applyCancellation } = require('../utils/cancellation');
+const { isMultiRoom, priceReservation, toBookingItem, cancelBookingItem } = require('../utils/reservations');
+const { startPayment, refreshPayment } = require('../utils/payments');
+const { getLedger, syncStayCharge } = require('../utils/ledger');
+const { buildBalancePolicy, getBalance } = require('../utils/balance');
+const { sendInvoicePdf } = require('../utils/invoices');
+const { BASE_CURRENCY, getRates, getConverter, convertQuote, priceRangeQuery, basePriceExpression } = require('../utils/currency');
+const { asInventoryConflict, getAvailability, releaseNights, reserveForBooking, releaseForBooking } = require('../utils/inventory');
+const { sendAppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 // Normalize stored image value (object.url, plain string, local fs path) to browser-usable URL
@@ -37,6 +59,34 @@ const normalizeImageUrl = (raw) => {
   return raw; // fallback (maybe already relative)
 };
 
+// Hotel and room prices restated in the currency the guest asked for. Left
+// out for a currency the platform has no rate for.
+const withConvertedPriceRange = (hotel, converter) => {
+  const from = hotel.priceRange?.currency || BASE_CURRENCY;
+  if (!converter || !hotel.priceRange || !converter.rates[from]) return hotel;
+  return {
+    ...hotel,
+    converted: {
+      currency: converter.currency,
+      min: converter.convert(hotel.priceRange.min, from),
+      max: converter.convert(hotel.priceRange.max, from)
+    }
+  };
+};
+
+const withConvertedRoomPrice = (room, converter) => {
+  const from = room.pricing?.currency || BASE_CURRENCY;
+  if (!converter || !room.pricing || !converter.rates[from]) return room;
+  return {
+    ...room,
+    converted: {
+      currency: converter.currency,
+      basePrice: converter.convert(room.pricing.basePrice, from),
+      serviceFee: converter.convert(room.pricing.serviceFee, from)
+    }
+  };
+};
+
 // Apply auth and customer role to all routes
 router.use(auth);
 router.use(authorize('customer'));
@@ -124,22 +174,58 @@ router.get('/favorites', async (req, res) => {
   }
 });
 
+// @route GET /api/customer/loyalty
+// @desc  Points balance, points expiring soon and recent points activity
+// @access Private (Customer)
+router.get('/loyalty', async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id }).select('_id');
+    if (!customer) return res.status(404).json({ success: false, message: 'Customer profile not found' });
+    res.json({ success: true, data: await getLoyaltySummary(customer._id) });
+  } catch (error) {
+    logger.error('Get loyalty error:', error);
+    res.status(500).json({ success: false, message: 'Server error retrieving loyalty points' });
+  }
+});
+
 // @route POST /api/customer/bookings/:id/rebook
 // @desc  Quick rebook a previous booking (same hotel + room type if still exists)
 // @access Private (Customer)
 router.post('/bookings/:id/rebook', validateObjectId, async (req, res) => {
   try {
+    const customer = await Customer.findOne({ userId: req.user._id });
     const original = await Booking.findById(req.params.id);
-    if (!original || original.customerId.toString() !== req.user._id.toString()) {
+    if (!customer || !original || original.customerId.toString() !== customer._id.toString()) {
       return res.status(404).json({ success: false, message: 'Original booking not found' });
     }
-    // Basic rebook: create a pending booking 30 days from now for same nights
+    if (isMultiRoom(original)) {
+      return res.status(400).json({ success: false, message: 'Multi-room reservations cannot be rebooked in one step' });
+    }
+    const room = await Room.findOne({ _id: original.roomId, isActive: true });
+    const hotel = await Hotel.findById(original.hotelId);
+    if (!room || !hotel) {
+      return res.status(404).json({ success: false, message: 'Room is no longer available' });
+    }
+    // Basic rebook: the same nights 30 days from now, confirmed or requested
+    // as the hotel takes bookings
     const nights = original.bookingDetails.totalNights || 1;
     const start = new Date();
     start.setDate(start.getDate() + 30);
     const end = new Date(start);
     end.setDate(start.getDate() + nights);
 
+    // Price at today's rates rather than copying the original total, on the
+    // plan's current terms if the original was sold on a rate plan
+    const quote = await priceStay({
+      room,
+      checkIn: start,
+      checkOut: end,
+      numberOfRooms: original.bookingDetails.numberOfRooms,
+      guests: original.bookingDetails.guests,
+      ratePlan: findRatePlan(room, original.ratePlan?.planId)
+    });
+
+    const status = bookingModeFor(hotel, room) === 'request' ? 'pending' : 'confirmed';
     const newBooking = new Booking({
       customerId: original.customerId,
       hotelId: original.hotelId,
@@ -149,29 +235,63 @@ router.post('/bookings/:id/rebook', validateObjectId, async (req, res) => {
         checkOut: end,
         guests: original.bookingDetails.guests,
         numberOfRooms: original.bookingDetails.numberOfRooms,
-        totalNights: nights
+        totalNights: quote.nights
       },
+      ratePlan: quote.ratePlan || undefined,
+      cancellationPolicy: buildCancellationPolicy(hotel, quote.ratePlan),
+      balancePolicy: buildBalancePolicy(hotel),
       guestDetails: original.guestDetails,
       contactDetails: original.contactDetails,
       pricing: {
-        roomPrice: original.pricing.roomPrice,
-        taxes: original.pricing.taxes,
-        serviceFee: original.pricing.serviceFee,
-        discount: original.pricing.discount,
-        totalAmount: original.pricing.totalAmount,
-        currency: original.pricing.currency,
+        ...toBookingPricing(quote),
         paymentStatus: 'pending'
       },
-      status: 'pending'
+      status,
+      statusHistory: [{ to: status, by: req.user._id, role: 'customer' }],
+      confirmedAt: status === 'confirmed' ? new Date() : undefined,
+      responseDueAt: status === 'pending' ? responseDueAtFor(hotel, start) : undefined
+    });
+    await withTransaction(async (session) => {
+      await reserveForBooking(newBooking, { session, room });
+      await newBooking.save({ session });
+      await syncStayCharge(newBooking, { session, user: req.user, role: 'customer' });
     });
-    await newBooking.save();
+    if (status === 'pending') await notifyBookingRequest(newBooking);
     res.status(201).json({ success: true, message: 'Rebooked successfully', data: newBooking });
   } catch (error) {
     logger.error('Rebook error:', error);
+    if (error.code === 'PRICING_INVALID') {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
     res.status(500).json({ success: false, message: 'Server error rebooking' });
   }
 });
 
+// @route GET /api/customer/bookings/:id/cancel/preview
+// @desc  Refund the guest would get if they cancelled now
+// @access Private (Customer)
+router.get('/bookings/:id/cancel/preview', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    if (!booking.nextStatuses('customer').includes('cancelled')) {
+      return res.status(400).json({ success: false, message: 'Only pending or confirmed bookings can be cancelled' });
+    }
+    const refund = await calculateRefund(booking, { cancelledBy: 'customer' });
+    res.json({ success: true, data: refund });
+  } catch (error) {
+    logger.error('Cancellation preview error:', error);
+    res.status(500).json({ success: false, message: 'Server error calculating refund' });
+  }
+});
+
 // @route POST /api/customer/bookings/:id/cancel
 // @desc  Customer cancels an upcoming booking
 // @access Private (Customer)
@@ -182,22 +302,59 @@ router.post('/bookings/:id/cancel', validateObjectId, async (req, res) => {
     if (!booking || booking.customerId.userId.toString() !== req.user._id.toString()) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
-    if (!['pending', 'confirmed'].includes(booking.status)) {
+    if (!booking.nextStatuses('customer').includes('cancelled')) {
       return res.status(400).json({ success: false, message: 'Only pending or confirmed bookings can be cancelled' });
     }
-    booking.status = 'cancelled';
-    booking.cancellation.isCancelled = true;
-    booking.cancellation.cancelledAt = new Date();
-    booking.cancellation.cancelledBy = 'customer';
-    booking.cancellation.reason = reason || 'Cancelled by customer';
-    await booking.save();
-    res.json({ success: true, message: 'Booking cancelled', data: { status: 'cancelled' } });
+    const previousStatus = booking.status;
+    const refund = await calculateRefund(booking, { cancelledBy: 'customer' });
+    applyCancellation(booking, refund, { cancelledBy: 'customer', reason: reason || 'Cancelled by customer', user: req.user });
+    await withTransaction(async (session) => {
+      await releaseForBooking(booking, { session });
+      await booking.save({ session });
+      await releasePromoRedemptions(booking, { session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
+    await completeBookingRequest(booking, previousStatus);
+    res.json({ success: true, message: 'Booking cancelled', data: { status: 'cancelled', refund } });
   } catch (error) {
     logger.error('Customer cancel booking error:', error);
     res.status(500).json({ success: false, message: 'Server error cancelling booking' });
   }
 });
 
+// @route POST /api/customer/bookings/:id/items/:itemId/cancel
+// @desc  Customer cancels one room type of a multi-room reservation, on that
+//        room's cancellation terms; the rest of the booking stands
+// @access Private (Customer)
+router.post('/bookings/:id/items/:itemId/cancel', validateObjectId, validateObjectIdParam('itemId'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const refund = await cancelBookingItem(booking, req.params.itemId, {
+      cancelledBy: 'customer',
+      reason: req.body.reason || 'Cancelled by customer'
+    });
+    const item = booking.items.id(req.params.itemId);
+    await withTransaction(async (session) => {
+      await releaseNights(item.roomId, booking.bookingDetails.checkIn, booking.bookingDetails.checkOut, item.numberOfRooms, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
+    res.json({ success: true, message: 'Room cancelled', data: { refund, items: booking.items, pricing: booking.pricing } });
+  } catch (error) {
+    logger.error('Customer cancel booking item error:', error);
+    if (error.code === 'RESERVATION_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error cancelling room' });
+  }
+});
+
 // @route POST /api/customer/support/ticket
 // @desc  Create a support ticket (stub for future enhancement)
 // @access Private (Customer)
@@ -384,10 +541,16 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
       amenities,
       rating,
       sortBy = 'rating',
+      currency,
       page = 1,
       limit = 10
     } = req.query;
 
+    // Prices are shown in `currency` when given; price filters are read in it
+    // (or the base currency) and checked against each hotel's own currency
+    const converter = await getConverter(currency);
+    const rates = converter ? converter.rates : await getRates();
+
     let query = {
       isActive: true,
       isVerified: true
@@ -408,9 +571,10 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
 
     // Price range filter
     if (minPrice || maxPrice) {
-      query['priceRange.min'] = {};
-      if (minPrice) query['priceRange.min'].$gte = parseFloat(minPrice);
-      if (maxPrice) query['priceRange.max'].$lte = parseFloat(maxPrice);
+      Object.assign(query, priceRangeQuery({
+        minPrice: minPrice && parseFloat(minPrice),
+        maxPrice: maxPrice && parseFloat(maxPrice)
+      }, converter ? converter.currency : BASE_CURRENCY, rates));
     }
 
     // Amenities filter
@@ -427,12 +591,6 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
     // Sorting options
     let sortOptions = {};
     switch (sortBy) {
-      case 'price_low':
-        sortOptions = { 'priceRange.min': 1 };
-        break;
-      case 'price_high':
-        sortOptions = { 'priceRange.min': -1 };
-        break;
       case 'rating':
         sortOptions = { 'rating.average': -1, 'rating.totalReviews': -1 };
         break;
@@ -446,12 +604,30 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get hotels
-    const hotels = await Hotel.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-verificationDocuments');
+    // Get hotels. Hotels are priced in different currencies, so price sorts
+    // compare each hotel's lowest price converted to the base currency.
+    let hotels;
+    if (sortBy === 'price_low' || sortBy === 'price_high') {
+      const { 'address.coordinates': near, ...match } = query;
+      const firstStage = near
+        ? { $geoNear: { near: near.$near.$geometry, maxDistance: near.$near.$maxDistance, distanceField: 'distance', query: match, spherical: true } }
+        : { $match: match };
+      const docs = await Hotel.aggregate([
+        firstStage,
+        { $addFields: { comparablePrice: basePriceExpression(rates) } },
+        { $sort: { comparablePrice: sortBy === 'price_low' ? 1 : -1, _id: 1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        { $project: { verificationDocuments: 0, comparablePrice: 0 } }
+      ]);
+      hotels = docs.map(doc => Hotel.hydrate(doc));
+    } else {
+      hotels = await Hotel.find(query)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-verificationDocuments');
+    }
 
     // Get total count for pagination
     const total = await Hotel.countDocuments(query);
@@ -467,44 +643,13 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
             'capacity.adults': { $gte: parseInt(guests) }
           });
 
-          // Check availability for each room type
+          // Check availability for each room type against the inventory ledger
           const roomsWithAvailability = await Promise.all(
             availableRooms.map(async (room) => {
-              const bookedRooms = await Booking.aggregate([
-                {
-                  $match: {
-                    roomId: room._id,
-                    status: { $in: ['confirmed', 'pending'] },
-                    $or: [
-                      {
-                        'bookingDetails.checkIn': {
-                          $lt: new Date(checkOut),
-                          $gte: new Date(checkIn)
-                        }
-                      },
-                      {
-                        'bookingDetails.checkOut': {
-                          $gt: new Date(checkIn),
-                          $lte: new Date(checkOut)
-                        }
-                      }
-                    ]
-                  }
-                },
-                {
-                  $group: {
-                    _id: null,
-                    totalBooked: { $sum: '$bookingDetails.numberOfRooms' }
-                  }
-                }
-              ]);
-
-              const bookedCount = bookedRooms[0]?.totalBooked || 0;
-              const availableCount = room.totalRooms - bookedCount;
-
+              const { available } = await getAvailability(room, checkIn, checkOut);
               return {
                 ...room.toObject(),
-                availableRooms: Math.max(0, availableCount)
+                availableRooms: available
               };
             })
           );
@@ -522,14 +667,14 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
       );
     }
 
-    hotelsWithAvailability = hotelsWithAvailability.map(h => ({
-      ...h,
+    hotelsWithAvailability = hotelsWithAvailability.map(h => withConvertedPriceRange({
+      ...(h.toObject ? h.toObject() : h),
       images: (h.images || []).map(img => normalizeImageUrl((img && img.url) || img)),
-      availableRooms: (h.availableRooms || []).map(r => ({
+      availableRooms: (h.availableRooms || []).map(r => withConvertedRoomPrice({
         ...r,
         images: (r.images || []).map(ri => normalizeImageUrl((ri && ri.url) || ri))
-      }))
-    }));
+      }, converter))
+    }, converter));
     res.json({
       success: true,
       data: {
@@ -543,7 +688,7 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
         },
         filters: {
           location: latitude && longitude ? { latitude, longitude, radius } : null,
-          priceRange: { min: minPrice, max: maxPrice },
+          priceRange: { min: minPrice, max: maxPrice, currency: converter ? converter.currency : BASE_CURRENCY },
           amenities: amenities ? amenities.split(',') : [],
           rating,
           dates: checkIn && checkOut ? { checkIn, checkOut } : null,
@@ -554,6 +699,9 @@ router.get('/hotels/search', searchValidation, async (req, res) => {
     });
   } catch (error) {
     logger.error('Hotel search error:', error);
+    if (error.code === 'CURRENCY_INVALID') {
+      return sendAppError(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Server error during hotel search'
@@ -593,8 +741,14 @@ router.get('/hotels/:id', validateObjectId, async (req, res) => {
       .populate('customerId', 'firstName lastName')
       .select('-customerId.userId');
 
-    const normalizedHotel = { ...hotel.toObject(), images: (hotel.images || []).map(img => normalizeImageUrl(img.url || img)) };
-    const normalizedRooms = rooms.map(r => ({ ...r.toObject(), images: (r.images || []).map(ri => normalizeImageUrl(ri.url || ri)) }));
+    // Prices shown in the guest's currency when ?currency= is given
+    const converter = await getConverter(req.query.currency);
+    const normalizedHotel = withConvertedPriceRange({ ...hotel.toObject(), images: (hotel.images || []).map(img => normalizeImageUrl(img.url || img)) }, converter);
+    const normalizedRooms = rooms.map(r => withConvertedRoomPrice({
+      ...r.toObject(),
+      images: (r.images || []).map(ri => normalizeImageUrl(ri.url || ri)),
+      ratePlans: (r.ratePlans || []).filter(plan => plan.isActive)
+    }, converter));
 
     res.json({
       success: true,
@@ -607,6 +761,9 @@ router.get('/hotels/:id', validateObjectId, async (req, res) => {
 
   } catch (error) {
     logger.error('Get hotel details error:', error);
+    if (error.code === 'CURRENCY_INVALID') {
+      return sendAppError(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Server error fetching hotel details'
@@ -617,7 +774,7 @@ router.get('/hotels/:id', validateObjectId, async (req, res) => {
 // @route   GET /api/customer/rooms/availability
 // @desc    Check room availability
 // @access  Private (Customer)
-router.get('/rooms/availability', async (req, res) => {
+router.get('/rooms/availability', availabilityValidation, async (req, res) => {
   try {
     const { hotelId, roomId, checkIn, checkOut, rooms = 1 } = req.query;
 
@@ -637,38 +794,7 @@ router.get('/rooms/availability', async (req, res) => {
 
     const roomsWithAvailability = await Promise.all(
       availableRooms.map(async (room) => {
-        // Get bookings for this room in the date range
-        const bookedRooms = await Booking.aggregate([
-          {
-            $match: {
-              roomId: room._id,
-              status: { $in: ['confirmed', 'pending'] },
-              $or: [
-                {
-                  'bookingDetails.checkIn': {
-                    $lt: new Date(checkOut),
-                    $gte: new Date(checkIn)
-                  }
-                },
-                {
-                  'bookingDetails.checkOut': {
-                    $gt: new Date(checkIn),
-                    $lte: new Date(checkOut)
-                  }
-                }
-              ]
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              totalBooked: { $sum: '$bookingDetails.numberOfRooms' }
-            }
-          }
-        ]);
-
-        const bookedCount = bookedRooms[0]?.totalBooked || 0;
-        const availableCount = Math.max(0, room.totalRooms - bookedCount);
+        const { available: availableCount } = await getAvailability(room, checkIn, checkOut);
 
         return {
           ...room.toObject(),
@@ -692,6 +818,20 @@ router.get('/rooms/availability', async (req, res) => {
   }
 });
 
+// Normalize guestDetails into array if provided as single object
+const toGuestDetails = (guestDetails) => {
+  if (Array.isArray(guestDetails)) {
+    return guestDetails
+      .filter(g => g && g.firstName && g.lastName)
+      .map(g => ({ firstName: g.firstName, lastName: g.lastName, age: g.age, gender: g.gender }));
+  }
+  if (guestDetails && typeof guestDetails === 'object') {
+    const { firstName, lastName, age, gender } = guestDetails;
+    if (firstName && lastName) return [{ firstName, lastName, age, gender }];
+  }
+  return undefined;
+};
+
 // @route   POST /api/customer/bookings
 // @desc    Create a new booking
 // @access  Private (Customer)
@@ -716,8 +856,10 @@ router.post('/bookings', bookingValidation, async (req, res) => {
       bookingDetails,
       guestDetails,
       contactDetails,
-      paymentMethod,
-      totalAmount: clientTotal
+      holdToken,
+      ratePlanId,
+      promoCode,
+      loyaltyPoints
     } = req.body;
 
     if (!hotelId) {
@@ -730,39 +872,34 @@ router.post('/bookings', bookingValidation, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Hotel not found or unavailable' });
     }
     const room = await Room.findById(roomId);
-    if (!room || !room.isAvailable) {
+    if (!room || !room.isAvailable || !room.isActive || !room.hotelId.equals(hotel._id)) {
       return res.status(404).json({ success: false, message: 'Room not found or unavailable' });
     }
 
-    // Compute nights and pricing from room.pricing
+    // Price is always computed server-side; bookingValidation rejects client totals
     const checkIn = new Date(bookingDetails.checkIn);
     const checkOut = new Date(bookingDetails.checkOut);
-    const nights = Math.max(1, Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24)));
     const roomsCount = Number(bookingDetails.numberOfRooms) || 1;
-    const basePerNight = Number(room.pricing?.basePrice) || 0;
-    const taxPercent = Number(room.pricing?.taxes) || 0; // percent
-    const serviceFee = Number(room.pricing?.serviceFee) || 0; // flat
-
-    const roomPrice = basePerNight * nights * roomsCount;
-    const taxes = roomPrice * (taxPercent / 100);
-    const computedTotal = roomPrice + taxes + serviceFee;
-    const totalAmount = Number(clientTotal) > 0 ? Number(clientTotal) : computedTotal;
-
-    // Normalize guestDetails into array if provided as single object
-    let guestDetailsArray = undefined;
-    if (Array.isArray(guestDetails)) {
-      guestDetailsArray = guestDetails
-        .filter(g => g && g.firstName && g.lastName)
-        .map(g => ({ firstName: g.firstName, lastName: g.lastName, age: g.age, gender: g.gender }));
-    } else if (guestDetails && typeof guestDetails === 'object') {
-      const { firstName, lastName, age, gender } = guestDetails;
-      if (firstName && lastName) {
-        guestDetailsArray = [{ firstName, lastName, age, gender }];
-      }
+    const quote = await priceStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfRooms: roomsCount,
+      guests: bookingDetails.guests,
+      ratePlan: findRatePlan(room, ratePlanId),
+      promoCode,
+      loyaltyPoints,
+      customerId: customer._id
+    });
+    if (quote.promo && !quote.promo.applied) {
+      return res.status(400).json({ success: false, message: quote.promo.message });
     }
 
     const specialRequests = bookingDetails?.specialRequests || req.body.specialRequests || '';
 
+    // Request-to-book leaves the booking pending until the hotel answers
+    const status = bookingModeFor(hotel, room) === 'request' ? 'pending' : 'confirmed';
+
     // Create booking
     const booking = new Booking({
       customerId: customer._id,
@@ -773,71 +910,408 @@ router.post('/bookings', bookingValidation, async (req, res) => {
         checkOut: bookingDetails.checkOut,
         guests: bookingDetails.guests,
         numberOfRooms: bookingDetails.numberOfRooms,
-        totalNights: nights
+        totalNights: quote.nights
       },
-      guestDetails: guestDetailsArray,
+      ratePlan: quote.ratePlan || undefined,
+      cancellationPolicy: buildCancellationPolicy(hotel, quote.ratePlan),
+      balancePolicy: buildBalancePolicy(hotel),
+      guestDetails: toGuestDetails(guestDetails),
       contactDetails: {
         email: contactDetails?.email,
         phone: contactDetails?.phone
       },
+      // Paid only once a PaymentIntent succeeds (POST /bookings/:id/payments)
       pricing: {
-        roomPrice,
-        taxes,
-        serviceFee,
-        totalAmount,
-        currency: room.pricing?.currency || 'INR',
-        paymentStatus: paymentMethod === 'card' ? 'paid' : 'pending'
+        ...toBookingPricing(quote),
+        paymentStatus: 'pending'
       },
       specialRequests,
-      status: 'confirmed',
+      status,
+      statusHistory: [{ to: status, by: req.user._id, role: 'customer' }],
+      confirmedAt: status === 'confirmed' ? new Date() : undefined,
+      responseDueAt: status === 'pending' ? responseDueAtFor(hotel, checkIn) : undefined,
       createdAt: new Date()
     });
 
     await booking.validate();
-    await booking.save();
 
-    res.status(201).json({ success: true, message: 'Booking created successfully', data: booking });
+    // A checkout hold already owns the rooms; otherwise give a cheap early
+    // answer for the common case. The guarded reserve inside the transaction
+    // is what actually prevents two guests taking the last room.
+    let hold = null;
+    if (holdToken) {
+      hold = await BookingHold.findOne({ token: holdToken, customerId: customer._id });
+      if (!hold) {
+        return res.status(404).json({ success: false, code: 'HOLD_INVALID', message: 'Hold not found' });
+      }
+    } else {
+      const { available } = await getAvailability(room, checkIn, checkOut);
+      if (available < roomsCount) {
+        return res.status(409).json({
+          success: false,
+          code: 'ROOM_UNAVAILABLE',
+          message: `Only ${available} rooms available for the selected dates`,
+          details: { roomId: room._id, requested: roomsCount, available }
+        });
+      }
+    }
+
+    // Inventory and booking are written together or not at all
+    await withTransaction(async (session) => {
+      if (hold) {
+        await redeemHold(hold, booking, room, { session });
+      } else {
+        await reserveForBooking(booking, { session, room });
+      }
+      await syncPromoRedemption(booking, quote.promo, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
+    if (status === 'pending') await notifyBookingRequest(booking);
+
+    res.status(201).json({
+      success: true,
+      message: status === 'pending' ? 'Booking request sent to the hotel' : 'Booking created successfully',
+      data: booking
+    });
   } catch (error) {
     logger.error('Create booking error:', error);
     if (error.name === 'ValidationError') {
       return res.status(400).json({ success: false, message: 'Validation failed', errors: Object.values(error.errors).map(e => e.message) });
     }
+    if (['HOLD_INVALID', 'PRICING_INVALID', 'PROMO_INVALID', 'LOYALTY_INVALID', 'CURRENCY_INVALID'].includes(error.code)) {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
     res.status(500).json({ success: false, message: error.message || 'Server error creating booking' });
   }
 });
 
 // @route   POST /api/customer/bookings/quote
-// @desc    Get a price quote (no persistence)
+// @desc    Get a price quote (no persistence); ?currency= adds a converted copy
 // @access  Private (Customer)
-router.post('/bookings/quote', async (req, res) => {
+router.post('/bookings/quote', stayDatesValidation, async (req, res) => {
   try {
-    const { roomId, bookingDetails, promoCode } = req.body;
+    const { roomId, bookingDetails, ratePlanId, promoCode, loyaltyPoints } = req.body;
     if (!roomId || !bookingDetails?.checkIn || !bookingDetails?.checkOut || !bookingDetails?.numberOfRooms) {
       return res.status(400).json({ success: false, message: 'Missing required fields for quote' });
     }
     const room = await Room.findById(roomId);
     if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
-    const nights = Math.ceil((new Date(bookingDetails.checkOut) - new Date(bookingDetails.checkIn)) / (1000*60*60*24));
-    const base = room.pricing.basePrice * nights * bookingDetails.numberOfRooms;
-    const taxes = base * (room.pricing.taxes / 100);
-    const serviceFee = room.pricing.serviceFee || 0;
-    let discountAmount = 0;
-    if (promoCode && promoCode.toUpperCase() === 'WELCOME10') {
-      discountAmount = Math.min(base * 0.10, 500); // 10% up to 500
-    }
-    const total = base + taxes + serviceFee - discountAmount;
-    const depositAmount = Math.round(total * 0.20); // 20% deposit
-    res.json({ success: true, data: { nights, base, taxes, serviceFee, discountAmount, total, currency: room.pricing.currency, depositAmount } });
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const quote = await priceStay({
+      room,
+      checkIn: bookingDetails.checkIn,
+      checkOut: bookingDetails.checkOut,
+      numberOfRooms: bookingDetails.numberOfRooms,
+      guests: bookingDetails.guests,
+      ratePlan: findRatePlan(room, ratePlanId),
+      promoCode,
+      loyaltyPoints,
+      customerId: customer?._id
+    });
+    // Shown in the guest's currency on request; the booking is charged in the room's
+    const converter = await getConverter(req.query.currency);
+    const converted = converter && convertQuote(quote, converter.currency, converter.rates);
+    res.json({
+      success: true,
+      data: {
+        // Flat fields kept for existing checkout pages
+        nights: quote.nights,
+        base: quote.roomPrice,
+        taxes: quote.taxes,
+        taxLines: quote.taxLines,
+        serviceFee: quote.serviceFee,
+        discountAmount: quote.discountTotal,
+        total: quote.totalAmount,
+        currency: quote.currency,
+        depositAmount: quote.depositAmount,
+        breakdown: quote,
+        converted: converted ? {
+          currency: converted.currency,
+          exchangeRate: converted.exchangeRate.rate,
+          base: converted.roomPrice,
+          taxes: converted.taxes,
+          taxLines: converted.taxLines,
+          serviceFee: converted.serviceFee,
+          discountAmount: converted.discountTotal,
+          total: converted.totalAmount,
+          depositAmount: converted.depositAmount
+        } : undefined
+      }
+    });
   } catch (error) {
     logger.error('Price quote error:', error);
+    if (['PRICING_INVALID', 'CURRENCY_INVALID', 'LOYALTY_INVALID'].includes(error.code)) {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error generating quote' });
+  }
+});
+
+// Reservation pricing and validation errors shared by the reservation routes
+const RESERVATION_ERROR_CODES = ['RESERVATION_INVALID', 'PRICING_INVALID', 'CURRENCY_INVALID'];
+
+// @route   POST /api/customer/reservations/quote
+// @desc    Price a stay in several room types at one hotel (no persistence)
+// @access  Private (Customer)
+router.post('/reservations/quote', stayDatesValidation, async (req, res) => {
+  try {
+    const { hotelId, bookingDetails, items } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(hotelId) || !bookingDetails?.checkIn || !bookingDetails?.checkOut || !Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: 'Missing required fields for quote' });
+    }
+    if (items.some(item => !mongoose.Types.ObjectId.isValid(item?.roomId))) {
+      return res.status(400).json({ success: false, message: 'Invalid room ID' });
+    }
+    const hotel = await Hotel.findById(hotelId);
+    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel not found' });
+
+    const { lines, quote } = await priceReservation({
+      hotel,
+      checkIn: bookingDetails.checkIn,
+      checkOut: bookingDetails.checkOut,
+      items
+    });
+    res.json({
+      success: true,
+      data: {
+        nights: quote.nights,
+        numberOfRooms: quote.numberOfRooms,
+        base: quote.roomPrice,
+        taxes: quote.taxes,
+        serviceFee: quote.serviceFee,
+        discountAmount: quote.discountTotal,
+        total: quote.totalAmount,
+        currency: quote.currency,
+        depositAmount: quote.depositAmount,
+        lineItems: quote.lineItems,
+        items: lines.map(line => ({
+          roomId: line.room._id,
+          roomName: line.room.name,
+          numberOfRooms: line.quote.numberOfRooms,
+          total: line.quote.totalAmount,
+          breakdown: line.quote
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Reservation quote error:', error);
+    if (RESERVATION_ERROR_CODES.includes(error.code)) {
+      return sendAppError(res, error);
+    }
     res.status(500).json({ success: false, message: 'Server error generating quote' });
   }
 });
 
+// @route   POST /api/customer/reservations
+// @desc    Book several room types at one hotel as a single booking, with one
+//          reference and one payment; each room type is a line item that can
+//          be cancelled on its own
+// @access  Private (Customer)
+router.post('/reservations', reservationValidation, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer profile not found' });
+    }
+    const { hotelId, bookingDetails, items, guestDetails, contactDetails } = req.body;
+
+    const hotel = await Hotel.findById(hotelId);
+    if (!hotel || !hotel.isVerified || !hotel.isActive) {
+      return res.status(404).json({ success: false, message: 'Hotel not found or unavailable' });
+    }
+
+    const checkIn = new Date(bookingDetails.checkIn);
+    const checkOut = new Date(bookingDetails.checkOut);
+    const { lines, quote } = await priceReservation({ hotel, checkIn, checkOut, items });
+
+    // Early answer for the whole reservation, counting items of the same
+    // room type together; the guarded reserves in the transaction decide
+    const requested = new Map();
+    for (const { room, quote: line } of lines) {
+      const key = room._id.toString();
+      requested.set(key, { room, count: (requested.get(key)?.count || 0) + line.numberOfRooms });
+    }
+    for (const { room, count } of requested.values()) {
+      const { available } = await getAvailability(room, checkIn, checkOut);
+      if (available < count) {
+        return res.status(409).json({
+          success: false,
+          code: 'ROOM_UNAVAILABLE',
+          message: `Only ${available} ${room.name} rooms available for the selected dates`,
+          details: { roomId: room._id, requested: count, available }
+        });
+      }
+    }
+
+    // One room type on request makes the whole reservation a request
+    const status = lines.some(line => bookingModeFor(hotel, line.room) === 'request') ? 'pending' : 'confirmed';
+    const bookingItems = lines.map((line, i) => toBookingItem(hotel, line, items[i].guests));
+
+    const booking = new Booking({
+      customerId: customer._id,
+      hotelId: hotel._id,
+      roomId: lines[0].room._id,
+      items: bookingItems,
+      bookingDetails: {
+        checkIn,
+        checkOut,
+        guests: {
+          adults: bookingItems.reduce((sum, item) => sum + item.guests.adults, 0),
+          children: bookingItems.reduce((sum, item) => sum + item.guests.children, 0)
+        },
+        numberOfRooms: quote.numberOfRooms,
+        totalNights: quote.nights
+      },
+      // Each item carries its own rate plan terms; this is the hotel's
+      cancellationPolicy: buildCancellationPolicy(hotel, null),
+      balancePolicy: buildBalancePolicy(hotel),
+      guestDetails: toGuestDetails(guestDetails),
+      contactDetails: {
+        email: contactDetails?.email,
+        phone: contactDetails?.phone
+      },
+      pricing: {
+        ...toBookingPricing(quote),
+        paymentStatus: 'pending'
+      },
+      specialRequests: bookingDetails.specialRequests || req.body.specialRequests || '',
+      status,
+      statusHistory: [{ to: status, by: req.user._id, role: 'customer' }],
+      confirmedAt: status === 'confirmed' ? new Date() : undefined,
+      responseDueAt: status === 'pending' ? responseDueAtFor(hotel, checkIn) : undefined
+    });
+    await booking.validate();
+
+    await withTransaction(async (session) => {
+      await reserveForBooking(booking, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+    });
+    if (status === 'pending') await notifyBookingRequest(booking);
+
+    res.status(201).json({
+      success: true,
+      message: status === 'pending' ? 'Booking request sent to the hotel' : 'Booking created successfully',
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Create reservation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    if (RESERVATION_ERROR_CODES.includes(error.code)) {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
+    res.status(500).json({ success: false, message: 'Server error creating reservation' });
+  }
+});
+
+// @route   POST /api/customer/bookings/holds
+// @desc    Hold rooms for a few minutes while the guest completes checkout
+// @access  Private (Customer)
+router.post('/bookings/holds', holdValidation, async (req, res) => {
+  try {
+    const { roomId, bookingDetails } = req.body;
+    const customer = await Customer.findOne({ userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer profile not found' });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.isAvailable || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found or unavailable' });
+    }
+
+    const hold = await createHold({
+      customer,
+      room,
+      checkIn: bookingDetails.checkIn,
+      checkOut: bookingDetails.checkOut,
+      numberOfRooms: parseInt(bookingDetails.numberOfRooms)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Rooms held for ${HOLD_MINUTES} minutes`,
+      data: {
+        holdToken: hold.token,
+        expiresAt: hold.expiresAt,
+        roomId: hold.roomId,
+        hotelId: hold.hotelId,
+        checkIn: hold.checkIn,
+        checkOut: hold.checkOut,
+        numberOfRooms: hold.numberOfRooms
+      }
+    });
+  } catch (error) {
+    logger.error('Create booking hold error:', error);
+    if (error.code === 'HOLD_INVALID') {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
+    res.status(500).json({ success: false, message: 'Server error creating hold' });
+  }
+});
+
+// @route   GET /api/customer/bookings/holds/:token
+// @desc    Get hold status and remaining time
+// @access  Private (Customer)
+router.get('/bookings/holds/:token', async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const hold = customer && await BookingHold.findOne({ token: req.params.token, customerId: customer._id });
+    if (!hold) return res.status(404).json({ success: false, message: 'Hold not found' });
+
+    const isActive = hold.status === 'active' && hold.expiresAt > new Date();
+    res.json({
+      success: true,
+      data: {
+        status: isActive ? 'active' : (hold.status === 'active' ? 'expired' : hold.status),
+        expiresAt: hold.expiresAt,
+        secondsRemaining: isActive ? Math.floor((hold.expiresAt - Date.now()) / 1000) : 0,
+        bookingId: hold.bookingId
+      }
+    });
+  } catch (error) {
+    logger.error('Get booking hold error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching hold' });
+  }
+});
+
+// @route   DELETE /api/customer/bookings/holds/:token
+// @desc    Release a hold before it expires
+// @access  Private (Customer)
+router.delete('/bookings/holds/:token', async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const hold = customer && await BookingHold.findOne({ token: req.params.token, customerId: customer._id });
+    if (!hold) return res.status(404).json({ success: false, message: 'Hold not found' });
+
+    const released = await releaseHold(hold);
+    res.json({ success: true, message: released ? 'Hold released' : 'Hold was no longer active' });
+  } catch (error) {
+    logger.error('Release booking hold error:', error);
+    res.status(500).json({ success: false, message: 'Server error releasing hold' });
+  }
+});
+
 // @route   PUT /api/customer/bookings/:id/modify
 // @desc    Modify booking dates & guests (revalidate & reprice)
 // @access  Private (Customer)
-router.put('/bookings/:id/modify', validateObjectId, async (req, res) => {
+router.put('/bookings/:id/modify', validateObjectId, stayDatesValidation, async (req, res) => {
   try {
     const { bookingDetails } = req.body;
     if (!bookingDetails?.checkIn || !bookingDetails?.checkOut) {
@@ -850,37 +1324,59 @@ router.put('/bookings/:id/modify', validateObjectId, async (req, res) => {
     if (!['pending','confirmed'].includes(booking.status)) {
       return res.status(400).json({ success: false, message: 'Only pending/confirmed bookings can be modified' });
     }
-    // Availability check for new range
-    const nights = Math.ceil((new Date(bookingDetails.checkOut) - new Date(bookingDetails.checkIn)) / (1000*60*60*24));
-    if (nights <= 0) return res.status(400).json({ success: false, message: 'Invalid date range' });
+    if (isMultiRoom(booking)) {
+      return res.status(400).json({ success: false, message: 'Multi-room reservations cannot be modified; cancel single rooms or the whole booking instead' });
+    }
     const room = booking.roomId;
-    const bookedRooms = await Booking.aggregate([
-      { $match: { roomId: room._id, _id: { $ne: booking._id }, status: { $in: ['confirmed','pending'] }, $or: [ { 'bookingDetails.checkIn': { $lt: new Date(bookingDetails.checkOut), $gte: new Date(bookingDetails.checkIn) } }, { 'bookingDetails.checkOut': { $gt: new Date(bookingDetails.checkIn), $lte: new Date(bookingDetails.checkOut) } } ] } },
-      { $group: { _id: null, totalBooked: { $sum: '$bookingDetails.numberOfRooms' } } }
-    ]);
-    const alreadyBooked = bookedRooms[0]?.totalBooked || 0;
-    const available = room.totalRooms - alreadyBooked;
     const requestedRooms = bookingDetails.numberOfRooms || booking.bookingDetails.numberOfRooms;
-    if (available < requestedRooms) {
-      return res.status(400).json({ success: false, message: `Only ${available} rooms available for new dates` });
-    }
-    // Reprice
-    const base = room.pricing.basePrice * nights * requestedRooms;
-    const taxes = base * (room.pricing.taxes / 100);
-    const serviceFee = room.pricing.serviceFee || 0;
-    const totalAmount = base + taxes + serviceFee;
-    booking.bookingDetails.checkIn = new Date(bookingDetails.checkIn);
-    booking.bookingDetails.checkOut = new Date(bookingDetails.checkOut);
-    booking.bookingDetails.numberOfRooms = requestedRooms;
-    booking.bookingDetails.totalNights = nights;
-    booking.pricing.roomPrice = base;
-    booking.pricing.taxes = taxes;
-    booking.pricing.serviceFee = serviceFee;
-    booking.pricing.totalAmount = totalAmount;
-    await booking.save();
+    const guests = bookingDetails.guests || booking.bookingDetails.guests;
+    // Reprice the new stay on the rate plan terms sold with the booking,
+    // keeping any promo code already applied
+    const quote = await priceStay({
+      room,
+      checkIn: bookingDetails.checkIn,
+      checkOut: bookingDetails.checkOut,
+      numberOfRooms: requestedRooms,
+      guests,
+      ratePlan: booking.ratePlan,
+      promoCode: booking.pricing.promoCode,
+      loyaltyPoints: booking.pricing.loyaltyPointsRedeemed,
+      customerId: booking.customerId,
+      bookingId: booking._id,
+      currency: booking.pricing.currency
+    });
+
+    // Give back the old nights and take the new ones in one transaction, so the
+    // booking never competes with itself and a failed reserve leaves it intact
+    const previous = {
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut,
+      numberOfRooms: booking.bookingDetails.numberOfRooms
+    };
+    await withTransaction(async (session) => {
+      await releaseNights(room._id, previous.checkIn, previous.checkOut, previous.numberOfRooms, { session });
+      booking.bookingDetails.checkIn = new Date(bookingDetails.checkIn);
+      booking.bookingDetails.checkOut = new Date(bookingDetails.checkOut);
+      booking.bookingDetails.numberOfRooms = requestedRooms;
+      booking.bookingDetails.guests = guests;
+      booking.bookingDetails.totalNights = quote.nights;
+      await reserveForBooking(booking, { session, room });
+      applyBookingPricing(booking, quote);
+      await syncPromoRedemption(booking, quote.promo, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
     res.json({ success: true, message: 'Booking modified', data: booking });
   } catch (error) {
     logger.error('Modify booking error:', error);
+    if (['PRICING_INVALID', 'PROMO_INVALID', 'CURRENCY_INVALID', 'LOYALTY_INVALID'].includes(error.code)) {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
     res.status(500).json({ success: false, message: 'Server error modifying booking' });
   }
 });
@@ -891,44 +1387,227 @@ router.put('/bookings/:id/modify', validateObjectId, async (req, res) => {
 router.post('/bookings/:id/promo', validateObjectId, async (req, res) => {
   try {
     const { code } = req.body;
-    const booking = await Booking.findById(req.params.id);
+    if (!code) return res.status(400).json({ success: false, message: 'Invalid promo code' });
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id }).populate('roomId');
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     if (!['pending','confirmed'].includes(booking.status)) return res.status(400).json({ success: false, message: 'Cannot apply promo to this booking status' });
-    let discountAmount = 0;
-    if (code && code.toUpperCase() === 'WELCOME10') {
-      discountAmount = Math.min(booking.pricing.roomPrice * 0.10, 500);
-    } else {
-      return res.status(400).json({ success: false, message: 'Invalid promo code' });
+    if (isMultiRoom(booking)) return res.status(400).json({ success: false, message: 'Promo codes cannot be applied to multi-room reservations' });
+    const quote = await priceStay({
+      room: booking.roomId,
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut,
+      numberOfRooms: booking.bookingDetails.numberOfRooms,
+      guests: booking.bookingDetails.guests,
+      ratePlan: booking.ratePlan,
+      promoCode: code,
+      loyaltyPoints: booking.pricing.loyaltyPointsRedeemed,
+      customerId: customer._id,
+      bookingId: booking._id,
+      currency: booking.pricing.currency
+    });
+    if (!quote.promo.applied) {
+      return res.status(400).json({ success: false, message: quote.promo.message });
     }
-    booking.pricing.discount = { amount: discountAmount, reason: code.toUpperCase() };
-    booking.pricing.totalAmount = booking.pricing.roomPrice + booking.pricing.taxes + booking.pricing.serviceFee - discountAmount;
-    await booking.save();
-    res.json({ success: true, message: 'Promo applied', data: { totalAmount: booking.pricing.totalAmount, discountAmount } });
+    // Replaces any code already on the booking and counts this use
+    applyBookingPricing(booking, quote);
+    await withTransaction(async (session) => {
+      await syncPromoRedemption(booking, quote.promo, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
+    res.json({ success: true, message: 'Promo applied', data: { totalAmount: booking.pricing.totalAmount, discountAmount: quote.discountTotal } });
   } catch (error) {
     logger.error('Apply promo error:', error);
+    if (['PRICING_INVALID', 'PROMO_INVALID', 'CURRENCY_INVALID', 'LOYALTY_INVALID'].includes(error.code)) {
+      return sendAppError(res, error);
+    }
     res.status(500).json({ success: false, message: 'Server error applying promo' });
   }
 });
 
+// Payment errors shared by the payment routes
+const sendPaymentError = (res, error, fallback) => {
+  if (error.code === 'PAYMENT_INVALID') {
+    return sendAppError(res, error);
+  }
+  if (error.type && error.type.startsWith('Stripe')) {
+    return res.status(502).json({ success: false, code: 'PAYMENT_PROVIDER_ERROR', message: error.message });
+  }
+  res.status(500).json({ success: false, message: fallback });
+};
+
+const paymentResponse = (payment, clientSecret) => ({
+  paymentId: payment._id,
+  paymentIntentId: payment.providerPaymentId,
+  clientSecret,
+  publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+  purpose: payment.purpose,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status
+});
+
+// @route   POST /api/customer/bookings/:id/payments
+// @desc    Start a card payment for the full amount (or remaining balance) or
+//          the deposit; the frontend confirms it with the client secret
+// @access  Private (Customer)
+router.post('/bookings/:id/payments', validateObjectId, async (req, res) => {
+  try {
+    const type = req.body.type || 'full';
+    if (!['full', 'deposit'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'Payment type must be full or deposit' });
+    }
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const { payment, clientSecret } = await startPayment(booking, { type });
+    res.status(201).json({ success: true, message: 'Payment started', data: paymentResponse(payment, clientSecret) });
+  } catch (error) {
+    logger.error('Start payment error:', error);
+    sendPaymentError(res, error, 'Server error starting payment');
+  }
+});
+
+// @route   GET /api/customer/bookings/:id/payments
+// @desc    Payments made or attempted for a booking
+// @access  Private (Customer)
+router.get('/bookings/:id/payments', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const payments = await Payment.find({ bookingId: booking._id }).sort({ createdAt: -1 });
+    res.json({ success: true, data: { paymentStatus: booking.pricing.paymentStatus, payments } });
+  } catch (error) {
+    logger.error('Get booking payments error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payments' });
+  }
+});
+
+// @route   GET /api/customer/bookings/:id/ledger
+// @desc    Charges, payments and refunds on a booking, with the balance due
+// @access  Private (Customer)
+router.get('/bookings/:id/ledger', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const { entries, summary } = await getLedger(booking._id);
+    res.json({ success: true, data: { currency: booking.pricing.currency, summary, entries } });
+  } catch (error) {
+    logger.error('Get booking ledger error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching ledger' });
+  }
+});
+
+// @route   GET /api/customer/bookings/:id/invoice
+// @desc    Download the booking's invoice (PDF)
+// @access  Private (Customer)
+router.get('/bookings/:id/invoice', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    await sendInvoicePdf(res, booking);
+  } catch (error) {
+    logger.error('Get invoice error:', error);
+    if (error.code === 'INVOICE_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error generating invoice' });
+  }
+});
+
+// @route   POST /api/customer/bookings/:id/payments/:paymentId/refresh
+// @desc    Re-check a payment with Stripe after the frontend confirmed it
+// @access  Private (Customer)
+router.post('/bookings/:id/payments/:paymentId/refresh', validateObjectId, validateObjectIdParam('paymentId'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const payment = customer && await Payment.findOne({ _id: req.params.paymentId, bookingId: req.params.id, customerId: customer._id });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    const updated = await refreshPayment(payment);
+    const booking = await Booking.findById(payment.bookingId).select('pricing.paymentStatus pricing.depositPaid');
+    res.json({
+      success: true,
+      data: {
+        ...paymentResponse(updated),
+        failureMessage: updated.failureMessage,
+        paymentStatus: booking?.pricing.paymentStatus,
+        depositPaid: booking?.pricing.depositPaid
+      }
+    });
+  } catch (error) {
+    logger.error('Refresh payment error:', error);
+    sendPaymentError(res, error, 'Server error checking payment');
+  }
+});
+
 // @route   POST /api/customer/bookings/:id/deposit
-// @desc    Record deposit payment (placeholder for Stripe integration)
+// @desc    Start a card payment for the deposit (kept for older frontends;
+//          same as POST /bookings/:id/payments with type=deposit)
 // @access  Private (Customer)
 router.post('/bookings/:id/deposit', validateObjectId, async (req, res) => {
   try {
-    const { amount } = req.body;
-    const booking = await Booking.findById(req.params.id);
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     if (booking.pricing.depositPaid) return res.status(400).json({ success: false, message: 'Deposit already paid' });
-    if (amount == null || amount <= 0) return res.status(400).json({ success: false, message: 'Invalid deposit amount' });
-    // Placeholder: in real integration, verify Stripe PaymentIntent success
-    booking.pricing.depositAmount = amount;
-    booking.pricing.depositPaid = true;
-    booking.pricing.paymentStatus = 'partially_paid';
-    await booking.save();
-    res.json({ success: true, message: 'Deposit recorded', data: { paymentStatus: booking.pricing.paymentStatus } });
+
+    const { payment, clientSecret } = await startPayment(booking, { type: 'deposit' });
+    res.status(201).json({
+      success: true,
+      message: 'Deposit payment started',
+      data: { ...paymentResponse(payment, clientSecret), paymentStatus: booking.pricing.paymentStatus }
+    });
   } catch (error) {
     logger.error('Deposit error:', error);
-    res.status(500).json({ success: false, message: 'Server error recording deposit' });
+    sendPaymentError(res, error, 'Server error starting deposit payment');
+  }
+});
+
+// @route   GET /api/customer/bookings/:id/balance
+// @desc    What is left to pay after the deposit, and when it is due
+// @access  Private (Customer)
+router.get('/bookings/:id/balance', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: await getBalance(booking) });
+  } catch (error) {
+    logger.error('Get booking balance error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching balance' });
+  }
+});
+
+// @route   POST /api/customer/bookings/:id/balance
+// @desc    Start a card payment for the outstanding balance; the booking is
+//          marked paid once it succeeds
+// @access  Private (Customer)
+router.post('/bookings/:id/balance', validateObjectId, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ userId: req.user._id });
+    const booking = customer && await Booking.findOne({ _id: req.params.id, customerId: customer._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const { payment, clientSecret } = await startPayment(booking, { type: 'full' });
+    res.status(201).json({
+      success: true,
+      message: 'Balance payment started',
+      data: { ...paymentResponse(payment, clientSecret), dueAt: booking.pricing.balanceDueAt }
+    });
+  } catch (error) {
+    logger.error('Balance payment error:', error);
+    sendPaymentError(res, error, 'Server error starting balance payment');
   }
 });
 
@@ -950,25 +1629,6 @@ router.post('/bookings/:id/request', validateObjectId, async (req, res) => {
   }
 });
 
-// @route   PUT /api/customer/bookings/:id/status
-// @desc    Update status (e.g., mark no_show) - limited statuses
-// @access  Private (Customer)
-router.put('/bookings/:id/status', validateObjectId, async (req, res) => {
-  try {
-    const { status } = req.body;
-    const allowed = ['no_show'];
-    if (!allowed.includes(status)) return res.status(400).json({ success: false, message: 'Status not allowed' });
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-    booking.status = status === 'no_show' ? 'no_show' : booking.status;
-    await booking.save();
-    res.json({ success: true, message: 'Status updated', data: { status: booking.status } });
-  } catch (error) {
-    logger.error('Update booking status error:', error);
-    res.status(500).json({ success: false, message: 'Server error updating status' });
-  }
-});
-
 // @route   GET /api/customer/bookings
 // @desc    Get customer bookings
 // @access  Private (Customer)
@@ -1107,46 +1767,34 @@ router.put('/bookings/:id/cancel', validateObjectId, async (req, res) => {
     }
 
     // Check if booking can be cancelled
-    if (!['pending', 'confirmed'].includes(booking.status)) {
+    if (!booking.nextStatuses('customer').includes('cancelled')) {
       return res.status(400).json({
         success: false,
         message: 'Booking cannot be cancelled'
       });
     }
 
-    // Check cancellation policy (24 hours before check-in)
-    const checkInDate = new Date(booking.bookingDetails.checkIn);
-    const now = new Date();
-    const timeDiff = checkInDate.getTime() - now.getTime();
-    const hoursDiff = timeDiff / (1000 * 3600);
-
-    let refundAmount = 0;
-    if (hoursDiff > 24) {
-      refundAmount = booking.pricing.totalAmount * 0.8; // 80% refund
-    } else if (hoursDiff > 12) {
-      refundAmount = booking.pricing.totalAmount * 0.5; // 50% refund
-    }
-
-    // Update booking
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      isCancelled: true,
-      cancelledAt: new Date(),
-      cancelledBy: 'customer',
-      reason: req.body.reason || 'Cancelled by customer',
-      refundAmount,
-      refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
-    };
+    const previousStatus = booking.status;
+    const refund = await calculateRefund(booking, { cancelledBy: 'customer' });
+    applyCancellation(booking, refund, { cancelledBy: 'customer', reason: req.body.reason || 'Cancelled by customer', user: req.user });
 
-    await booking.save();
+    await withTransaction(async (session) => {
+      await releaseForBooking(booking, { session });
+      await booking.save({ session });
+      await releasePromoRedemptions(booking, { session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'customer' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'customer' });
+    });
+    await completeBookingRequest(booking, previousStatus);
 
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
       data: {
         booking,
-        refundAmount,
-        refundPolicy: hoursDiff > 24 ? '80% refund' : hoursDiff > 12 ? '50% refund' : 'No refund'
+        refundAmount: refund.refundAmount,
+        refundPolicy: refund.description,
+        refund
       }
     });
 
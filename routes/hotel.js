@@ -1,18 +1,49 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 
 const Hotel = require('../models/Hotel');
 const Room = require('../models/Room');
+const RoomUnit = require('../models/RoomUnit');
 const Booking = require('../models/Booking');
 const Review = require('../models/Review');
+const RoomRate = require('../models/RoomRate');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Payout = require('../models/Payout');
 
 const { auth, authorize, requireHotelVerification } = require('../middleware/auth');
 const { 
   hotelProfileValidation, 
   roomValidation,
-  validateObjectId 
+  roomUnitValidation,
+  housekeepingValidation,
+  roomRateValidation,
+  promoCodeValidation,
+  cancellationPolicyValidation,
+  balancePolicyValidation,
+  bookingModeValidation,
+  folioChargeValidation,
+  validateObjectId,
+  validateObjectIdParam
 } = require('../middleware/validation');
 const { hotelImageUpload, roomImageUpload, cloudinary, cloudConfigured } = require('../utils/upload');
+const { withTransaction } = require('../utils/transaction');
+const { INVENTORY_HOLDING_STATUSES, MAX_NIGHTS, MAX_STAY_NIGHTS, asInventoryConflict, getAvailability, countNights, eachNight, bookedRooms, releaseNights, reserveForBooking, releaseForBooking, setBlockedNights, syncBookingStatus } = require('../utils/inventory');
+const { resolveNightlyRates } = require('../utils/rateCalendar');
+const { pickPromoCodeFields, syncPromoRedemption, releasePromoRedemptions } = require('../utils/promotions');
+const { DEFAULT_CANCELLATION_TIERS, calculateRefund, applyCancellation } = require('../utils/cancellation');
+const { roundMoney, priceStay, applyBookingPricing } = require('../utils/pricing');
+const { getLedger, syncStayCharge, netPaidByBooking } = require('../utils/ledger');
+const { syncLoyalty } = require('../utils/loyalty');
+const { completeBookingRequest } = require('../utils/bookingRequests');
+const { isMultiRoom, repriceReservation, cancelBookingItem } = require('../utils/reservations');
+const { pickRoomUnitFields, checkUnitRoom, assignUnits, checkUnitsReady, setBookingUnitsStatus } = require('../utils/roomUnits');
+const { summarizeFolio, postFolioCharge, voidFolioCharge, settleFolio } = require('../utils/folio');
+const { sendInvoicePdf } = require('../utils/invoices');
+const { findTaxRules } = require('../utils/taxes');
+const { DEFAULT_COMMISSION_RATE } = require('../utils/payouts');
+const { sendAppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 const isDevEnv = (process.env.NODE_ENV || 'development') !== 'production';
 
@@ -91,6 +122,9 @@ router.put('/profile', requireHotelVerification, hotelProfileValidation, async (
       if (payload.policies.checkOut) delete payload.policies.checkOut;
     }
 
+    // Commission is agreed with the platform, not set by the hotel
+    delete payload.commissionRate;
+
     // Ensure priceRange has required fields
     if (payload.priceRange) {
       if (payload.priceRange.min == null) payload.priceRange.min = 0;
@@ -146,6 +180,223 @@ router.put('/profile', requireHotelVerification, hotelProfileValidation, async (
   }
 });
 
+// @route   GET /api/hotel/cancellation-policy
+// @desc    Get the hotel's refund tiers
+// @access  Private (Hotel)
+router.get('/cancellation-policy', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('cancellationPolicy policies');
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const tiers = hotel.cancellationPolicy?.tiers || [];
+    res.json({
+      success: true,
+      data: {
+        tiers,
+        usingDefault: tiers.length === 0,
+        defaultTiers: DEFAULT_CANCELLATION_TIERS,
+        description: hotel.policies?.cancellation
+      }
+    });
+  } catch (error) {
+    logger.error('Get cancellation policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching cancellation policy' });
+  }
+});
+
+// @route   PUT /api/hotel/cancellation-policy
+// @desc    Replace the hotel's refund tiers (applies to new bookings)
+// @access  Private (Hotel)
+router.put('/cancellation-policy', requireHotelVerification, cancellationPolicyValidation, async (req, res) => {
+  try {
+    const { tiers, description } = req.body;
+
+    req.hotel.set('cancellationPolicy.tiers', tiers.map(tier => ({
+      hoursBeforeCheckIn: parseInt(tier.hoursBeforeCheckIn),
+      refundPercentage: parseFloat(tier.refundPercentage)
+    })));
+    if (description !== undefined) {
+      req.hotel.set('policies.cancellation', description);
+    }
+    await req.hotel.save();
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: { tiers: req.hotel.cancellationPolicy.tiers, description: req.hotel.policies?.cancellation }
+    });
+  } catch (error) {
+    logger.error('Update cancellation policy error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating cancellation policy' });
+  }
+});
+
+// @route   GET /api/hotel/balance-policy
+// @desc    Get when guests who paid a deposit owe the balance
+// @access  Private (Hotel)
+router.get('/balance-policy', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('balancePolicy');
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    res.json({ success: true, data: hotel.balancePolicy });
+  } catch (error) {
+    logger.error('Get balance policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching balance policy' });
+  }
+});
+
+// @route   PUT /api/hotel/balance-policy
+// @desc    Set when the balance is due (applies to new bookings)
+// @access  Private (Hotel)
+router.put('/balance-policy', requireHotelVerification, balancePolicyValidation, async (req, res) => {
+  try {
+    const { collect, daysBeforeCheckIn } = req.body;
+
+    req.hotel.set('balancePolicy.collect', collect);
+    if (daysBeforeCheckIn !== undefined) {
+      req.hotel.set('balancePolicy.daysBeforeCheckIn', parseInt(daysBeforeCheckIn));
+    }
+    await req.hotel.save();
+
+    res.json({ success: true, message: 'Balance policy updated successfully', data: req.hotel.balancePolicy });
+  } catch (error) {
+    logger.error('Update balance policy error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating balance policy' });
+  }
+});
+
+// @route   GET /api/hotel/booking-mode
+// @desc    Whether guests book instantly or request bookings for the hotel to
+//          confirm, and how long the hotel has to answer
+// @access  Private (Hotel)
+router.get('/booking-mode', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('bookingMode');
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const rooms = await Room.find({ hotelId: hotel._id, bookingMode: { $in: ['instant', 'request'] } }).select('name bookingMode');
+    res.json({ success: true, data: { ...hotel.toObject().bookingMode, roomOverrides: rooms } });
+  } catch (error) {
+    logger.error('Get booking mode error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching booking mode' });
+  }
+});
+
+// @route   PUT /api/hotel/booking-mode
+// @desc    Set the booking mode (applies to new bookings; set a room's
+//          bookingMode to override it for that room)
+// @access  Private (Hotel)
+router.put('/booking-mode', requireHotelVerification, bookingModeValidation, async (req, res) => {
+  try {
+    const { mode, responseHours } = req.body;
+
+    req.hotel.set('bookingMode.mode', mode);
+    if (responseHours !== undefined) {
+      req.hotel.set('bookingMode.responseHours', parseInt(responseHours));
+    }
+    await req.hotel.save();
+
+    res.json({ success: true, message: 'Booking mode updated successfully', data: req.hotel.bookingMode });
+  } catch (error) {
+    logger.error('Update booking mode error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating booking mode' });
+  }
+});
+
+// @route   GET /api/hotel/tax-rules
+// @desc    Tax rules charged on stays at this hotel's address. With none,
+//          each room's own tax percentage applies.
+// @access  Private (Hotel)
+router.get('/tax-rules', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('address');
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    res.json({ success: true, data: await findTaxRules(hotel.address) });
+  } catch (error) {
+    logger.error('Get tax rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching tax rules' });
+  }
+});
+
+// @route   GET /api/hotel/payouts
+// @desc    Payout statements, newest period first
+// @access  Private (Hotel)
+router.get('/payouts', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('commissionRate');
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const { page = 1, limit = 12, status } = req.query;
+    const query = { hotelId: hotel._id };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const payouts = await Payout.find(query)
+      .select('-lines -paidBy')
+      .sort({ periodStart: -1, currency: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Payout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        commissionRate: hotel.commissionRate ?? DEFAULT_COMMISSION_RATE,
+        payouts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPayouts: total,
+          hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get payouts error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payouts' });
+  }
+});
+
+// @route   GET /api/hotel/payouts/:id
+// @desc    Payout statement with a line per booking or refund
+// @access  Private (Hotel)
+router.get('/payouts/:id', validateObjectId, async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id }).select('_id');
+    const payout = hotel && await Payout.findOne({ _id: req.params.id, hotelId: hotel._id }).select('-paidBy');
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Payout not found' });
+    }
+
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    logger.error('Get payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payout' });
+  }
+});
+
 // @route   GET /api/hotel/bookings
 // @desc    Get hotel bookings
 // @access  Private (Hotel)
@@ -197,9 +448,11 @@ router.get('/bookings', async (req, res) => {
         select: 'firstName lastName phone userId',
         populate: { path: 'userId', select: 'email' }
       })
-      .populate('roomId', 'roomType name');
+      .populate('roomId', 'roomType name')
+      .populate('roomUnits', 'number floor');
 
     const total = await Booking.countDocuments(query);
+    const netPaid = await netPaidByBooking(bookings.map(b => b._id));
 
     // Transform bookings into frontend-friendly structure
     const transformed = bookings.map(b => {
@@ -224,7 +477,7 @@ router.get('/bookings', async (req, res) => {
         nights: b.bookingDetails?.totalNights,
         status: mapStatusForFrontend(b.status),
         totalAmount: b.pricing?.totalAmount,
-        amountPaid: b.pricing?.totalAmount, // assuming paid fully when stored so far
+        amountPaid: netPaid.get(b._id.toString()) || 0,
         paymentStatus: b.pricing?.paymentStatus || 'pending',
         source: 'website',
         guestsCount: totalGuests,
@@ -233,8 +486,9 @@ router.get('/bookings', async (req, res) => {
           email: b.customerId?.userId?.email || 'n/a',
           phone: b.customerId?.phone
         },
+        // Assigned room numbers; the room type name until rooms are assigned
         room: {
-          number: b.roomId?.name || 'N/A',
+          number: b.roomUnits?.length ? b.roomUnits.map(unit => unit.number).join(', ') : b.roomId?.name || 'N/A',
           type: b.roomId?.roomType || 'N/A'
         },
         roomId: b.roomId?._id?.toString(),
@@ -282,11 +536,280 @@ router.get('/bookings', async (req, res) => {
   }
 });
 
-// Booking action handlers to align with frontend endpoints
+// Dedicated cancel endpoint matching frontend expectation (declared before the
+// generic action route so /bookings/:id/cancel is not taken as an action)
+router.post('/bookings/:id/cancel', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const { reason, refundAmount } = req.body;
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!booking.nextStatuses('hotel').includes('cancelled')) {
+      return res.status(400).json({ success: false, message: 'Only pending or confirmed bookings can be cancelled' });
+    }
+
+    // A hotel-initiated cancellation refunds everything paid unless the hotel
+    // states a (lower, agreed) amount
+    const refund = await calculateRefund(booking, { cancelledBy: 'hotel' });
+    if (refundAmount !== undefined && !isNaN(parseFloat(refundAmount))) {
+      refund.refundAmount = Math.max(0, Math.min(parseFloat(refundAmount), refund.paidAmount));
+      // What the hotel keeps is then its cancellation fee
+      refund.cancellationFee = roundMoney(refund.paidAmount - refund.refundAmount);
+    }
+    const previousStatus = booking.status;
+    applyCancellation(booking, refund, { cancelledBy: 'hotel', reason: reason || 'Cancelled by hotel', user: req.user });
+    await withTransaction(async (session) => {
+      await releaseForBooking(booking, { session });
+      await booking.save({ session });
+      await releasePromoRedemptions(booking, { session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'hotel' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'hotel' });
+    });
+    await completeBookingRequest(booking, previousStatus);
+
+    res.json({ success: true, message: 'Booking cancelled successfully', status: 'cancelled', refund });
+  } catch (error) {
+    logger.error('Cancel booking error:', error);
+    if (error.code === 'TRANSITION_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error cancelling booking' });
+  }
+});
+
+// @route   POST /api/hotel/bookings/:id/items/:itemId/cancel
+// @desc    Cancel one room type of a multi-room reservation (full refund of
+//          that room); the rest of the booking stands
+// @access  Private (Hotel)
+router.post('/bookings/:id/items/:itemId/cancel', requireHotelVerification, validateObjectId, validateObjectIdParam('itemId'), async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const refund = await cancelBookingItem(booking, req.params.itemId, {
+      cancelledBy: 'hotel',
+      reason: req.body.reason || 'Cancelled by hotel'
+    });
+    const item = booking.items.id(req.params.itemId);
+    await withTransaction(async (session) => {
+      await releaseNights(item.roomId, booking.bookingDetails.checkIn, booking.bookingDetails.checkOut, item.numberOfRooms, { session });
+      await booking.save({ session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'hotel' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'hotel' });
+    });
+
+    res.json({ success: true, message: 'Room cancelled', data: { refund, items: booking.items, pricing: booking.pricing } });
+  } catch (error) {
+    logger.error('Hotel cancel booking item error:', error);
+    if (error.code === 'RESERVATION_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error cancelling room' });
+  }
+});
+
+const pickFolioCharge = (body) => ({
+  category: body.category,
+  description: body.description,
+  quantity: body.quantity !== undefined ? parseInt(body.quantity) : 1,
+  unitPrice: parseFloat(body.unitPrice),
+  taxRate: body.taxRate !== undefined ? parseFloat(body.taxRate) : 0,
+  taxInclusive: body.taxInclusive === true || body.taxInclusive === 'true'
+});
+
+// @route   GET /api/hotel/bookings/:id/folio
+// @desc    Incidental charges posted to a stay
+// @access  Private (Hotel)
+router.get('/bookings/:id/folio', validateObjectId, async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: summarizeFolio(booking) });
+  } catch (error) {
+    logger.error('Get folio error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching folio' });
+  }
+});
+
+// @route   POST /api/hotel/bookings/:id/folio
+// @desc    Post an incidental charge (minibar, room service, laundry,
+//          damages...) to a checked-in guest
+// @access  Private (Hotel)
+router.post('/bookings/:id/folio', requireHotelVerification, validateObjectId, folioChargeValidation, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const item = await postFolioCharge(booking, pickFolioCharge(req.body), { user: req.user });
+    res.status(201).json({ success: true, message: 'Charge posted', data: { item, folio: summarizeFolio(booking) } });
+  } catch (error) {
+    logger.error('Post folio charge error:', error);
+    if (error.code === 'FOLIO_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error posting charge' });
+  }
+});
+
+// @route   DELETE /api/hotel/bookings/:id/folio/:itemId
+// @desc    Void a charge posted in error
+// @access  Private (Hotel)
+router.delete('/bookings/:id/folio/:itemId', requireHotelVerification, validateObjectId, validateObjectIdParam('itemId'), async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const item = await voidFolioCharge(booking, req.params.itemId, { reason: req.body?.reason, user: req.user });
+    res.json({ success: true, message: 'Charge voided', data: { item, folio: summarizeFolio(booking) } });
+  } catch (error) {
+    logger.error('Void folio charge error:', error);
+    if (error.code === 'FOLIO_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error voiding charge' });
+  }
+});
+
+// @route   POST /api/hotel/bookings/:id/check-out
+// @desc    Check a guest out, settle the folio and hand their rooms to
+//          housekeeping (dirty). Optional body:
+//          damageCharges (amount found on inspection), checkOutNotes, and
+//          deskPayment { method: cash|card_terminal, amount } taken at the desk
+// @access  Private (Hotel)
+router.post('/bookings/:id/check-out', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const { damageCharges, checkOutNotes, deskPayment } = req.body;
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!booking.nextStatuses('hotel').includes('checked_out')) {
+      return res.status(400).json({ success: false, message: 'Booking must be checked-in before check-out' });
+    }
+
+    const charges = [];
+    if (damageCharges !== undefined && parseFloat(damageCharges) > 0) {
+      charges.push({ category: 'damage', description: 'Damages found at check-out', unitPrice: parseFloat(damageCharges) });
+    }
+    let payment = null;
+    if (deskPayment) {
+      payment = { method: deskPayment.method, amount: parseFloat(deskPayment.amount) };
+      if (!['cash', 'card_terminal'].includes(payment.method) || !(payment.amount > 0)) {
+        return res.status(400).json({ success: false, message: 'Desk payment needs a method (cash or card_terminal) and a positive amount' });
+      }
+    }
+
+    booking.transitionTo('checked_out', { user: req.user, role: 'hotel' });
+    booking.checkOutDetails.actualCheckOut = new Date();
+    if (checkOutNotes) booking.checkOutDetails.checkOutNotes = checkOutNotes;
+
+    // Early check-out hands the remaining nights back to the ledger
+    const folio = await withTransaction(async (session) => {
+      await syncBookingStatus(booking, 'checked_in', { session, at: booking.checkOutDetails.actualCheckOut });
+      await booking.save({ session, validateModifiedOnly: true });
+      await setBookingUnitsStatus(booking, 'dirty', { session, user: req.user });
+      return settleFolio(booking, { charges, deskPayment: payment, user: req.user, session });
+    });
+    const { summary } = await getLedger(booking._id);
+
+    res.json({
+      success: true,
+      message: 'Booking check-out successful',
+      status: mapStatusForFrontend(booking.status),
+      data: { folio, balance: summary, paymentStatus: booking.pricing.paymentStatus }
+    });
+  } catch (error) {
+    logger.error('Check-out error:', error);
+    res.status(500).json({ success: false, message: 'Server error checking out' });
+  }
+});
+
+// @route   PUT /api/hotel/bookings/:id/units
+// @desc    Assign numbered rooms to a booking ahead of check-in. Body:
+//          unitIds (replaces any rooms assigned before)
+// @access  Private (Hotel)
+router.put('/bookings/:id/units', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const { unitIds } = req.body;
+    if (!Array.isArray(unitIds) || unitIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'unitIds must be a list of room unit IDs' });
+    }
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const units = await withTransaction(async (session) => {
+      const assigned = await assignUnits(booking, unitIds, { session });
+      await booking.save({ session, validateModifiedOnly: true });
+      return assigned;
+    });
+
+    res.json({
+      success: true,
+      message: 'Rooms assigned',
+      data: units.map(unit => ({ id: unit._id, number: unit.number, floor: unit.floor, status: unit.housekeeping.status }))
+    });
+  } catch (error) {
+    logger.error('Assign room units error:', error);
+    if (error.code === 'ROOM_UNIT_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error assigning rooms' });
+  }
+});
+
+// @route   POST /api/hotel/bookings/:id/check-in
+// @desc    Check a guest in to their assigned rooms, which must all be ready.
+//          Optional body: unitIds to assign now, checkInNotes
+// @access  Private (Hotel)
+router.post('/bookings/:id/check-in', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const { unitIds, checkInNotes } = req.body;
+    if (unitIds !== undefined && (!Array.isArray(unitIds) || unitIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ success: false, message: 'unitIds must be a list of room unit IDs' });
+    }
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!booking.nextStatuses('hotel').includes('checked_in')) {
+      return res.status(400).json({ success: false, message: 'Only confirmed bookings can be checked in' });
+    }
+
+    const previousStatus = booking.transitionTo('checked_in', { user: req.user, role: 'hotel', reason: req.body.reason });
+    booking.checkInDetails.actualCheckIn = new Date();
+    if (checkInNotes) booking.checkInDetails.checkInNotes = checkInNotes;
+
+    await withTransaction(async (session) => {
+      if (unitIds !== undefined) await assignUnits(booking, unitIds, { session });
+      await checkUnitsReady(booking, { session });
+      await syncBookingStatus(booking, previousStatus, { session });
+      await booking.save({ session, validateModifiedOnly: true });
+      await setBookingUnitsStatus(booking, 'occupied', { session, user: req.user });
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking check-in successful',
+      status: mapStatusForFrontend(booking.status),
+      data: { roomUnits: booking.roomUnits }
+    });
+  } catch (error) {
+    logger.error('Check-in error:', error);
+    if (error.code === 'ROOM_UNIT_INVALID' || error.code === 'TRANSITION_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error checking in' });
+  }
+});
+
+// Booking action handlers to align with frontend endpoints (check-in and
+// check-out have their own routes above)
 const validActionStatusMap = {
   confirm: 'confirmed',
-  'check-in': 'checked_in',
-  'check-out': 'checked_out'
+  'no-show': 'no_show'
 };
 
 router.post('/bookings/:id/:action', requireHotelVerification, validateObjectId, async (req, res) => {
@@ -306,60 +829,30 @@ router.post('/bookings/:id/:action', requireHotelVerification, validateObjectId,
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    // Basic state guardrails
-    if (action === 'confirm' && booking.status !== 'pending') {
-      return res.status(400).json({ success: false, message: 'Only pending bookings can be confirmed' });
-    }
-    if (action === 'check-in' && !['confirmed', 'checked_in'].includes(booking.status)) {
-      return res.status(400).json({ success: false, message: 'Booking must be confirmed before check-in' });
+    if (action === 'confirm' && booking.responseDueAt && booking.responseDueAt < new Date()) {
+      return res.status(400).json({ success: false, message: 'The time to answer this booking request has passed' });
     }
-    if (action === 'check-out' && booking.status !== 'checked_in') {
-      return res.status(400).json({ success: false, message: 'Booking must be checked-in before check-out' });
+    // A guest only fails to arrive once their check-in day has come
+    if (action === 'no-show' && new Date() < new Date(booking.bookingDetails.checkIn)) {
+      return res.status(400).json({ success: false, message: 'A booking cannot be marked no-show before its check-in date' });
     }
 
-    booking.status = validActionStatusMap[action];
+    const previousStatus = booking.transitionTo(validActionStatusMap[action], { user: req.user, role: 'hotel', reason: req.body?.reason });
     if (action === 'confirm') booking.confirmedAt = new Date();
-    if (action === 'check-in') booking.checkInDetails.actualCheckIn = new Date();
-    if (action === 'check-out') booking.checkOutDetails.actualCheckOut = new Date();
 
-    await booking.save();
+    await withTransaction(async (session) => {
+      await syncBookingStatus(booking, previousStatus, { session });
+      await booking.save({ session, validateModifiedOnly: true });
+    });
+    await completeBookingRequest(booking, previousStatus);
 
     res.json({ success: true, message: `Booking ${action} successful`, status: mapStatusForFrontend(booking.status) });
   } catch (error) {
     logger.error('Booking action error:', error);
-    res.status(500).json({ success: false, message: 'Server error processing booking action' });
-  }
-});
-
-// Dedicated cancel endpoint matching frontend expectation
-router.post('/bookings/:id/cancel', requireHotelVerification, validateObjectId, async (req, res) => {
-  try {
-    const { reason, refundAmount } = req.body;
-    const hotel = await Hotel.findOne({ userId: req.user._id });
-    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel profile not found' });
-
-    const booking = await Booking.findOne({ _id: req.params.id, hotelId: hotel._id });
-    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      return res.status(400).json({ success: false, message: 'Only pending or confirmed bookings can be cancelled' });
-    }
-
-    booking.status = 'cancelled';
-    booking.cancellation.isCancelled = true;
-    booking.cancellation.cancelledAt = new Date();
-    booking.cancellation.cancelledBy = 'hotel';
-    booking.cancellation.reason = reason || 'Cancelled by hotel';
-    if (refundAmount !== undefined) {
-      booking.cancellation.refundAmount = refundAmount;
-      booking.cancellation.refundStatus = refundAmount > 0 ? 'pending' : undefined;
+    if (error.code === 'TRANSITION_INVALID') {
+      return sendAppError(res, error);
     }
-    await booking.save();
-
-    res.json({ success: true, message: 'Booking cancelled successfully', status: 'cancelled' });
-  } catch (error) {
-    logger.error('Cancel booking error:', error);
-    res.status(500).json({ success: false, message: 'Server error cancelling booking' });
+    res.status(500).json({ success: false, message: 'Server error processing booking action' });
   }
 });
 
@@ -398,12 +891,23 @@ router.put('/bookings/:id/status', requireHotelVerification, validateObjectId, a
       });
     }
 
-    booking.status = status;
+    if (status === 'confirmed' && booking.responseDueAt && booking.responseDueAt < new Date()) {
+      return res.status(400).json({ success: false, message: 'The time to answer this booking request has passed' });
+    }
+
+    booking.transitionTo(status, { user: req.user, role: 'hotel', reason: req.body.reason });
     if (status === 'confirmed') {
       booking.confirmedAt = new Date();
     }
 
-    await booking.save();
+    await withTransaction(async (session) => {
+      await syncBookingStatus(booking, 'pending', { session });
+      await booking.save({ session, validateModifiedOnly: true });
+      await releasePromoRedemptions(booking, { session });
+      await syncStayCharge(booking, { session, user: req.user, role: 'hotel' });
+      await syncLoyalty(booking, { session, user: req.user, role: 'hotel' });
+    });
+    await completeBookingRequest(booking, 'pending');
 
     res.json({
       success: true,
@@ -413,6 +917,9 @@ router.put('/bookings/:id/status', requireHotelVerification, validateObjectId, a
 
   } catch (error) {
     logger.error('Update booking status error:', error);
+    if (error.code === 'TRANSITION_INVALID') {
+      return sendAppError(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Server error updating booking status'
@@ -421,7 +928,7 @@ router.put('/bookings/:id/status', requireHotelVerification, validateObjectId, a
 });
 
 // @route   PUT /api/hotel/bookings/:id
-// @desc    Edit a booking (hotel dashboard)
+// @desc    Change a booking's dates (hotel dashboard); the stay is repriced
 // @access  Private (Hotel)
 router.put('/bookings/:id', requireHotelVerification, validateObjectId, async (req, res) => {
   try {
@@ -436,6 +943,10 @@ router.put('/bookings/:id', requireHotelVerification, validateObjectId, async (r
       return res.status(400).json({ success: false, message: 'Only pending or confirmed bookings can be edited' });
     }
 
+    const previous = {
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut
+    };
     let mutated = false;
     if (checkIn) {
       const newCheckIn = new Date(checkIn);
@@ -451,9 +962,46 @@ router.put('/bookings/:id', requireHotelVerification, validateObjectId, async (r
     }
 
     if (mutated) {
+      if (countNights(booking.bookingDetails.checkIn, booking.bookingDetails.checkOut) > MAX_STAY_NIGHTS) {
+        return res.status(400).json({ success: false, message: `A stay cannot be longer than ${MAX_STAY_NIGHTS} nights` });
+      }
+
+      // Reprice the new stay the way a guest's own change is priced: on the
+      // rate plan terms sold with the booking, keeping its promo code and
+      // points; each room of a multi-room reservation on its own terms
+      let quote;
+      if (isMultiRoom(booking)) {
+        await repriceReservation(booking);
+      } else {
+        const room = await Room.findOne({ _id: booking.roomId, hotelId: req.hotel._id });
+        if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
+        quote = await priceStay({
+          room,
+          checkIn: booking.bookingDetails.checkIn,
+          checkOut: booking.bookingDetails.checkOut,
+          numberOfRooms: booking.bookingDetails.numberOfRooms,
+          guests: booking.bookingDetails.guests,
+          ratePlan: booking.ratePlan,
+          promoCode: booking.pricing.promoCode,
+          loyaltyPoints: booking.pricing.loyaltyPointsRedeemed,
+          customerId: booking.customerId,
+          bookingId: booking._id,
+          currency: booking.pricing.currency
+        });
+        applyBookingPricing(booking, quote);
+      }
       // Let pre-validate recompute total nights
       await booking.validate();
-      await booking.save();
+      await withTransaction(async (session) => {
+        for (const { roomId, numberOfRooms } of bookedRooms(booking)) {
+          await releaseNights(roomId, previous.checkIn, previous.checkOut, numberOfRooms, { session });
+        }
+        await reserveForBooking(booking, { session });
+        if (quote) await syncPromoRedemption(booking, quote.promo, { session });
+        await booking.save({ session });
+        await syncStayCharge(booking, { session, user: req.user, role: 'hotel' });
+        await syncLoyalty(booking, { session, user: req.user, role: 'hotel' });
+      });
     }
 
     res.json({ success: true, message: 'Booking updated successfully', data: {
@@ -461,14 +1009,62 @@ router.put('/bookings/:id', requireHotelVerification, validateObjectId, async (r
       checkIn: booking.bookingDetails.checkIn,
       checkOut: booking.bookingDetails.checkOut,
       nights: booking.bookingDetails.totalNights,
+      totalAmount: booking.pricing.totalAmount,
       status: mapStatusForFrontend(booking.status)
     }});
   } catch (error) {
     logger.error('Hotel edit booking error:', error);
+    if (['PRICING_INVALID', 'PROMO_INVALID', 'CURRENCY_INVALID', 'LOYALTY_INVALID', 'RESERVATION_INVALID'].includes(error.code)) {
+      return sendAppError(res, error);
+    }
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
     res.status(500).json({ success: false, message: 'Server error updating booking' });
   }
 });
 
+// @route   GET /api/hotel/bookings/:id/ledger
+// @desc    Charges, payments and refunds on a booking, with the balance due
+// @access  Private (Hotel)
+router.get('/bookings/:id/ledger', validateObjectId, async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const { entries, summary } = await getLedger(booking._id);
+    res.json({ success: true, data: { bookingReference: booking.bookingReference, currency: booking.pricing.currency, summary, entries } });
+  } catch (error) {
+    logger.error('Get hotel booking ledger error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching ledger' });
+  }
+});
+
+// @route   GET /api/hotel/bookings/:id/invoice
+// @desc    Download a booking's invoice (PDF)
+// @access  Private (Hotel)
+router.get('/bookings/:id/invoice', validateObjectId, async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+
+    const booking = await Booking.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    await sendInvoicePdf(res, booking);
+  } catch (error) {
+    logger.error('Get hotel invoice error:', error);
+    if (error.code === 'INVOICE_INVALID') {
+      return sendAppError(res, error);
+    }
+    res.status(500).json({ success: false, message: 'Server error generating invoice' });
+  }
+});
+
 // TODO: Add remaining hotel routes for rooms, reviews, analytics, etc.
 
 // TEMPORARY: Auto-verify hotel for testing
@@ -726,6 +1322,8 @@ router.delete('/rooms/:id', requireHotelVerification, validateObjectId, async (r
     }
 
     await Room.findByIdAndDelete(req.params.id);
+    await RoomRate.deleteMany({ roomId: req.params.id });
+    await RoomUnit.deleteMany({ roomId: req.params.id });
 
     res.json({
       success: true,
@@ -791,6 +1389,236 @@ router.put('/rooms/:id/availability', requireHotelVerification, validateObjectId
   }
 });
 
+// @route   GET /api/hotel/rooms/:id/inventory
+// @desc    Per-night sold / held / blocked counts for a room type
+// @access  Private (Hotel)
+router.get('/rooms/:id/inventory', validateObjectId, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate || isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({ success: false, message: 'Valid startDate and endDate are required' });
+    }
+    if (countNights(startDate, endDate) > MAX_NIGHTS) {
+      return res.status(400).json({ success: false, message: 'Date range cannot exceed one year' });
+    }
+
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const room = await Room.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const { available, nights } = await getAvailability(room, startDate, endDate);
+
+    res.json({
+      success: true,
+      data: { roomId: room._id, totalRooms: room.totalRooms, available, nights }
+    });
+  } catch (error) {
+    logger.error('Get room inventory error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching room inventory' });
+  }
+});
+
+// @route   PUT /api/hotel/rooms/:id/inventory/block
+// @desc    Take rooms out of sale (maintenance, owner use) for a date range
+// @access  Private (Hotel)
+router.put('/rooms/:id/inventory/block', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const { startDate, endDate, rooms } = req.body;
+    const count = parseInt(rooms);
+    if (!startDate || !endDate || isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({ success: false, message: 'Valid startDate and endDate are required' });
+    }
+    if (countNights(startDate, endDate) > MAX_NIGHTS) {
+      return res.status(400).json({ success: false, message: 'Date range cannot exceed one year' });
+    }
+    if (isNaN(count) || count < 0) {
+      return res.status(400).json({ success: false, message: 'Rooms to block must be zero or more' });
+    }
+
+    const room = await Room.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    await withTransaction(session => setBlockedNights(room, startDate, endDate, count, { session }));
+    const { available, nights } = await getAvailability(room, startDate, endDate);
+
+    res.json({
+      success: true,
+      message: 'Room inventory updated',
+      data: { roomId: room._id, totalRooms: room.totalRooms, available, nights }
+    });
+  } catch (error) {
+    logger.error('Block room inventory error:', error);
+    const conflict = asInventoryConflict(error);
+    if (conflict) {
+      return sendAppError(res, conflict);
+    }
+    res.status(500).json({ success: false, message: 'Server error updating room inventory' });
+  }
+});
+
+// @route   GET /api/hotel/rooms/:id/rates
+// @desc    List the rate calendar entries of a room type
+// @access  Private (Hotel)
+router.get('/rooms/:id/rates', validateObjectId, async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const room = await Room.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const rates = await RoomRate.find({ roomId: room._id }).sort({ startDate: 1, priority: -1 });
+
+    res.json({
+      success: true,
+      data: { roomId: room._id, basePrice: room.pricing.basePrice, rates }
+    });
+  } catch (error) {
+    logger.error('Get room rates error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching room rates' });
+  }
+});
+
+// @route   GET /api/hotel/rooms/:id/rates/calendar
+// @desc    Resolved nightly price of a room type for each night in a range
+// @access  Private (Hotel)
+router.get('/rooms/:id/rates/calendar', validateObjectId, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate || isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({ success: false, message: 'Valid startDate and endDate are required' });
+    }
+
+    if (countNights(startDate, endDate) > MAX_NIGHTS) {
+      return res.status(400).json({ success: false, message: 'Date range cannot exceed one year' });
+    }
+    const nights = eachNight(startDate, endDate);
+
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const room = await Room.findOne({ _id: req.params.id, hotelId: hotel._id });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room._id,
+        basePrice: room.pricing.basePrice,
+        currency: room.pricing.currency,
+        nights: await resolveNightlyRates(room, nights)
+      }
+    });
+  } catch (error) {
+    logger.error('Get room rate calendar error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching room rate calendar' });
+  }
+});
+
+// @route   POST /api/hotel/rooms/:id/rates
+// @desc    Add a nightly rate for a date range (optionally certain weekdays)
+// @access  Private (Hotel)
+router.post('/rooms/:id/rates', requireHotelVerification, validateObjectId, roomRateValidation, async (req, res) => {
+  try {
+    const room = await Room.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const { name, startDate, endDate, daysOfWeek, price, priority, isActive } = req.body;
+    const rate = new RoomRate({
+      hotelId: req.hotel._id,
+      roomId: room._id,
+      name,
+      startDate,
+      endDate,
+      daysOfWeek,
+      price,
+      priority,
+      isActive
+    });
+    await rate.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Room rate added successfully',
+      data: { rate }
+    });
+  } catch (error) {
+    logger.error('Create room rate error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating room rate' });
+  }
+});
+
+// @route   PUT /api/hotel/rooms/:id/rates/:rateId
+// @desc    Update a rate calendar entry
+// @access  Private (Hotel)
+router.put('/rooms/:id/rates/:rateId', requireHotelVerification, validateObjectId, validateObjectIdParam('rateId'), roomRateValidation, async (req, res) => {
+  try {
+    const rate = await RoomRate.findOne({ _id: req.params.rateId, roomId: req.params.id, hotelId: req.hotel._id });
+    if (!rate) {
+      return res.status(404).json({ success: false, message: 'Room rate not found' });
+    }
+
+    const { name, startDate, endDate, daysOfWeek, price, priority, isActive } = req.body;
+    rate.set({ name, startDate, endDate, daysOfWeek: daysOfWeek || [], price });
+    if (priority !== undefined) rate.priority = priority;
+    if (isActive !== undefined) rate.isActive = isActive;
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Room rate updated successfully',
+      data: { rate }
+    });
+  } catch (error) {
+    logger.error('Update room rate error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating room rate' });
+  }
+});
+
+// @route   DELETE /api/hotel/rooms/:id/rates/:rateId
+// @desc    Remove a rate calendar entry (nights fall back to the base price)
+// @access  Private (Hotel)
+router.delete('/rooms/:id/rates/:rateId', requireHotelVerification, validateObjectId, validateObjectIdParam('rateId'), async (req, res) => {
+  try {
+    const rate = await RoomRate.findOneAndDelete({ _id: req.params.rateId, roomId: req.params.id, hotelId: req.hotel._id });
+    if (!rate) {
+      return res.status(404).json({ success: false, message: 'Room rate not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Room rate deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete room rate error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting room rate' });
+  }
+});
+
 // @route   POST /api/hotel/rooms/:id/images
 // @desc    Upload room images
 // @access  Private (Hotel)
@@ -845,6 +1673,250 @@ router.post('/rooms/:id/images', requireHotelVerification, validateObjectId, roo
   }
 });
 
+// @route   GET /api/hotel/room-units
+// @desc    This hotel's numbered rooms with their housekeeping status.
+//          Optional query: roomId, status
+// @access  Private (Hotel)
+router.get('/room-units', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const query = { hotelId: hotel._id };
+    if (req.query.roomId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.roomId)) {
+        return res.status(400).json({ success: false, message: 'Invalid room ID' });
+      }
+      query.roomId = req.query.roomId;
+    }
+    if (req.query.status) query['housekeeping.status'] = req.query.status;
+
+    const units = await RoomUnit.find(query)
+      .sort({ floor: 1, number: 1 })
+      .populate('roomId', 'name roomType');
+
+    res.json({ success: true, data: units });
+  } catch (error) {
+    logger.error('Get room units error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching room units' });
+  }
+});
+
+// @route   POST /api/hotel/room-units
+// @desc    Add a numbered room of one of this hotel's room types
+// @access  Private (Hotel)
+router.post('/room-units', requireHotelVerification, roomUnitValidation, async (req, res) => {
+  try {
+    const unit = new RoomUnit({
+      ...pickRoomUnitFields(req.body),
+      hotelId: req.hotel._id
+    });
+    await withTransaction(async (session) => {
+      await checkUnitRoom(unit, req.hotel._id, { session });
+      await unit.save({ session });
+    });
+
+    res.status(201).json({ success: true, message: 'Room unit created successfully', data: unit });
+  } catch (error) {
+    logger.error('Create room unit error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A room with this number already exists' });
+    }
+    if (error.code === 'ROOM_UNIT_INVALID') {
+      return sendAppError(res, error);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating room unit' });
+  }
+});
+
+// @route   PUT /api/hotel/room-units/:id
+// @desc    Update a numbered room (number, floor, room type, active)
+// @access  Private (Hotel)
+router.put('/room-units/:id', requireHotelVerification, validateObjectId, roomUnitValidation, async (req, res) => {
+  try {
+    const unit = await RoomUnit.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Room unit not found' });
+    }
+
+    unit.set(pickRoomUnitFields(req.body));
+    const recount = unit.isModified('roomId') || unit.isModified('isActive');
+    await withTransaction(async (session) => {
+      if (recount) await checkUnitRoom(unit, req.hotel._id, { session });
+      await unit.save({ session });
+    });
+
+    res.json({ success: true, message: 'Room unit updated successfully', data: unit });
+  } catch (error) {
+    logger.error('Update room unit error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A room with this number already exists' });
+    }
+    if (error.code === 'ROOM_UNIT_INVALID') {
+      return sendAppError(res, error);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating room unit' });
+  }
+});
+
+// @route   PUT /api/hotel/room-units/:id/housekeeping
+// @desc    Set a numbered room's housekeeping status (e.g. ready once cleaned)
+// @access  Private (Hotel)
+router.put('/room-units/:id/housekeeping', requireHotelVerification, validateObjectId, housekeepingValidation, async (req, res) => {
+  try {
+    const unit = await RoomUnit.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Room unit not found' });
+    }
+
+    unit.housekeeping = {
+      status: req.body.status,
+      notes: req.body.notes,
+      updatedAt: new Date(),
+      updatedBy: req.user._id
+    };
+    await unit.save();
+
+    res.json({ success: true, message: `Room ${unit.number} marked ${unit.housekeeping.status}`, data: unit });
+  } catch (error) {
+    logger.error('Update housekeeping status error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating housekeeping status' });
+  }
+});
+
+// @route   DELETE /api/hotel/room-units/:id
+// @desc    Remove a numbered room not assigned to a live booking
+// @access  Private (Hotel)
+router.delete('/room-units/:id', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const unit = await RoomUnit.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Room unit not found' });
+    }
+
+    if (await Booking.exists({ roomUnits: unit._id, status: { $in: INVENTORY_HOLDING_STATUSES } })) {
+      return res.status(400).json({ success: false, message: 'Cannot delete a room assigned to an active booking' });
+    }
+
+    await unit.deleteOne();
+    res.json({ success: true, message: 'Room unit deleted successfully' });
+  } catch (error) {
+    logger.error('Delete room unit error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting room unit' });
+  }
+});
+
+// @route   GET /api/hotel/promo-codes
+// @desc    List this hotel's promo codes
+// @access  Private (Hotel)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ userId: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: 'Hotel profile not found' });
+    }
+
+    const promoCodes = await PromoCode.find({ hotelId: hotel._id }).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: promoCodes });
+  } catch (error) {
+    logger.error('Get hotel promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching promo codes' });
+  }
+});
+
+// @route   POST /api/hotel/promo-codes
+// @desc    Create a promo code valid only at this hotel
+// @access  Private (Hotel)
+router.post('/promo-codes', requireHotelVerification, promoCodeValidation, async (req, res) => {
+  try {
+    const promoCode = new PromoCode({
+      ...pickPromoCodeFields(req.body),
+      hotelId: req.hotel._id,
+      createdBy: req.user._id,
+      createdByRole: 'hotel'
+    });
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Create hotel promo code error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Promo code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error creating promo code' });
+  }
+});
+
+// @route   PUT /api/hotel/promo-codes/:id
+// @desc    Update one of this hotel's promo codes
+// @access  Private (Hotel)
+router.put('/promo-codes/:id', requireHotelVerification, validateObjectId, promoCodeValidation, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!promoCode) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    promoCode.set(pickPromoCodeFields(req.body));
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Update hotel promo code error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Promo code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error updating promo code' });
+  }
+});
+
+// @route   DELETE /api/hotel/promo-codes/:id
+// @desc    Delete an unused promo code (used codes are deactivated instead)
+// @access  Private (Hotel)
+router.delete('/promo-codes/:id', requireHotelVerification, validateObjectId, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findOne({ _id: req.params.id, hotelId: req.hotel._id });
+    if (!promoCode) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    if (await PromoRedemption.exists({ promoCodeId: promoCode._id })) {
+      promoCode.isActive = false;
+      await promoCode.save();
+      return res.json({ success: true, message: 'Promo code has been used and was deactivated instead', data: promoCode });
+    }
+
+    await promoCode.deleteOne();
+    res.json({ success: true, message: 'Promo code deleted successfully' });
+  } catch (error) {
+    logger.error('Delete hotel promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting promo code' });
+  }
+});
+
 // @route   GET /api/hotel/reviews
 // @desc    Get hotel reviews
 // @access  Private (Hotel)
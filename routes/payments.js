@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+
+const WebhookEvent = require('../models/WebhookEvent');
+
+const { getStripe, syncPaymentIntent, syncAuthorizedIntent, syncChargeRefund } = require('../utils/payments');
+const { syncGatewayRefund } = require('../utils/refunds');
+const logger = require('../utils/logger');
+
+// Stripe event type -> handler for the event's data.object
+const webhookHandlers = {
+  'payment_intent.succeeded': syncPaymentIntent,
+  'payment_intent.processing': syncPaymentIntent,
+  'payment_intent.payment_failed': syncPaymentIntent,
+  'payment_intent.canceled': syncPaymentIntent,
+  'payment_intent.amount_capturable_updated': syncAuthorizedIntent,
+  'charge.refunded': syncChargeRefund,
+  'charge.refund.updated': syncGatewayRefund,
+  'refund.updated': syncGatewayRefund,
+  'refund.failed': syncGatewayRefund
+};
+
+// @route   POST /api/payments/webhook
+// @desc    Receive Stripe events. The signature is checked against the raw
+//          body, so this router is mounted before the JSON body parser.
+// @access  Public (signed by Stripe)
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  let stripe;
+  try {
+    stripe = getStripe();
+  } catch (error) {
+    logger.error('Stripe webhook received but STRIPE_SECRET_KEY is not set:', { message: error.message });
+    return res.status(503).json({ success: false, message: 'Webhooks are not configured' });
+  }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    logger.error('Stripe webhook received but STRIPE_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ success: false, message: 'Webhooks are not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.get('stripe-signature'),
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    logger.warn('Rejected Stripe webhook:', { message: error.message });
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  try {
+    if (await WebhookEvent.exists({ eventId: event.id })) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const handler = webhookHandlers[event.type];
+    let rejection;
+    if (handler) {
+      try {
+        await handler(event.data.object);
+      } catch (error) {
+        // An event the booking cannot take (e.g. an intent that received less
+        // than was due) will not succeed on redelivery: it is acknowledged and
+        // kept for someone to look at. Anything else is retried by Stripe.
+        if (error.code !== 'PAYMENT_INVALID' || error.statusCode >= 500) throw error;
+        logger.error(`Stripe webhook ${event.id} (${event.type}) rejected:`, error);
+        rejection = error.message;
+      }
+    }
+
+    // Recorded only after the handler finished, so a failed event is
+    // processed again when Stripe retries it. Handlers are idempotent, which
+    // covers two deliveries racing past the check above.
+    await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      status: rejection ? 'rejected' : 'processed',
+      error: rejection
+    }).catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+
+    res.json(rejection ? { received: true, rejected: true } : { received: true });
+  } catch (error) {
+    logger.error('Stripe webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error processing webhook' });
+  }
+});
+
+module.exports = router;
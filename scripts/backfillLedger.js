@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const LedgerEntry = require('../models/LedgerEntry');
+const { syncStayCharge, recordPayment, recordRefunds } = require('../utils/ledger');
+
+// Enter existing bookings in the ledger: gateway payments and refunds first,
+// then the room charge (which depends on them for cancelled bookings).
+// Bookings marked paid before gateway payments existed get one payment entry
+// for what their payment status says was paid. Safe to run more than once.
+const backfillLedger = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotel-booking-portal');
+    console.log('Connected to MongoDB');
+
+    const cursor = Booking.find().cursor();
+    let bookings = 0;
+    let legacyPayments = 0;
+    for (let booking = await cursor.next(); booking; booking = await cursor.next()) {
+      const payments = await Payment.find({ bookingId: booking._id, status: 'succeeded' });
+      for (const payment of payments) {
+        await recordPayment(booking, payment);
+        const refund = await Refund.findOne({ paymentId: payment._id, status: 'succeeded' }).sort({ succeededAt: -1 });
+        await recordRefunds(booking, payment, { refund });
+      }
+
+      const { pricing } = booking;
+      const hasPaymentEntries = await LedgerEntry.exists({ bookingId: booking._id, type: 'payment' });
+      if (!payments.length && !hasPaymentEntries && ['paid', 'partially_paid', 'refunded'].includes(pricing.paymentStatus)) {
+        const amount = pricing.paymentStatus === 'partially_paid' ? (pricing.depositAmount || 0) : pricing.totalAmount;
+        if (amount > 0) {
+          await LedgerEntry.create({
+            bookingId: booking._id,
+            customerId: booking.customerId,
+            hotelId: booking.hotelId,
+            type: 'payment',
+            category: 'payment',
+            amount,
+            currency: pricing.currency || 'INR',
+            description: 'Payment recorded before the ledger'
+          });
+          legacyPayments += 1;
+        }
+      }
+
+      await syncStayCharge(booking);
+      bookings += 1;
+    }
+
+    console.log(`✅ Ledger backfilled for ${bookings} bookings (${legacyPayments} payments without a gateway record)`);
+  } catch (error) {
+    console.error('❌ Error backfilling ledger:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+};
+
+// Run if script is called directly
+if (require.main === module) {
+  backfillLedger();
+}
+
+module.exports = backfillLedger;
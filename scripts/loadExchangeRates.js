@@ -0,0 +1,36 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { BASE_CURRENCY, setRates } = require('../utils/currency');
+
+// Load exchange rates from a JSON file shaped { "base": "EUR", "rates":
+// { "INR": 90.1, "USD": 1.08 } } (base defaults to the platform's base
+// currency). Usage: npm run rates:load -- path/to/rates.json
+const loadExchangeRates = async (file = process.argv[2]) => {
+  try {
+    if (!file) {
+      throw new Error('Usage: node scripts/loadExchangeRates.js <rates.json>');
+    }
+    const { base = BASE_CURRENCY, rates } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotel-booking-portal');
+    console.log('Connected to MongoDB');
+
+    const current = await setRates(rates, { base, source: 'file' });
+    console.log(`✅ Exchange rates loaded (per 1 ${BASE_CURRENCY}):`, current);
+  } catch (error) {
+    console.error('❌ Error loading exchange rates:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+};
+
+// Run if script is called directly
+if (require.main === module) {
+  loadExchangeRates();
+}
+
+module.exports = loadExchangeRates;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomInventory = require('../models/RoomInventory');
+const { INVENTORY_HOLDING_STATUSES, eachNight, toNight, bookedRooms } = require('../utils/inventory');
+
+// Recompute the `sold` counts of the inventory ledger from active bookings.
+// Blocks are kept. Run once after deploying the ledger, or whenever the
+// ledger is suspected to have drifted from the bookings collection.
+const rebuildInventory = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotel-booking-portal');
+    console.log('Connected to MongoDB');
+
+    const today = toNight(new Date());
+    await RoomInventory.updateMany({ date: { $gte: today } }, { $set: { sold: 0 } });
+
+    const bookings = await Booking.find({
+      status: { $in: INVENTORY_HOLDING_STATUSES },
+      'bookingDetails.checkOut': { $gt: today }
+    }).select('roomId hotelId bookingDetails items');
+
+    const rooms = new Map();
+    let nightsWritten = 0;
+    for (const booking of bookings) {
+      const nights = eachNight(booking.bookingDetails.checkIn, booking.bookingDetails.checkOut)
+        .filter(night => night >= today);
+      for (const { roomId, numberOfRooms } of bookedRooms(booking)) {
+        const roomKey = roomId.toString();
+        if (!rooms.has(roomKey)) rooms.set(roomKey, await Room.findById(roomId).select('hotelId totalRooms'));
+        const room = rooms.get(roomKey);
+        if (!room) continue;
+
+        for (const date of nights) {
+          await RoomInventory.updateOne(
+            { roomId: room._id, date },
+            { $setOnInsert: { hotelId: room.hotelId }, $inc: { sold: numberOfRooms } },
+            { upsert: true }
+          );
+          nightsWritten += 1;
+        }
+      }
+    }
+
+    console.log(`✅ Inventory rebuilt from ${bookings.length} bookings (${nightsWritten} room-nights)`);
+
+    const overbooked = await RoomInventory.aggregate([
+      { $match: { date: { $gte: today } } },
+      { $lookup: { from: 'rooms', localField: 'roomId', foreignField: '_id', as: 'room' } },
+      { $unwind: '$room' },
+      { $match: { $expr: { $gt: [{ $add: ['$sold', '$held', '$blocked'] }, '$room.totalRooms'] } } },
+      { $project: { roomId: 1, date: 1, sold: 1, held: 1, blocked: 1, totalRooms: '$room.totalRooms' } }
+    ]);
+    if (overbooked.length) {
+      console.log(`⚠️  ${overbooked.length} room-nights are overbooked:`);
+      overbooked.forEach(row => console.log(`   room ${row.roomId} on ${row.date.toISOString().slice(0, 10)}: ${row.sold + row.held + row.blocked}/${row.totalRooms}`));
+    }
+  } catch (error) {
+    console.error('❌ Error rebuilding inventory:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+};
+
+// Run if script is called directly
+if (require.main === module) {
+  rebuildInventory();
+}
+
+module.exports = rebuildInventory;
@@ -4,6 +4,7 @@ require('dotenv').config();
 
 const User = require('../models/User');
 const Hotel = require('../models/Hotel');
+const PromoCode = require('../models/PromoCode');
 
 // Default admin credentials
 const DEFAULT_ADMIN = {
@@ -173,6 +174,23 @@ const seedDatabase = async () => {
       console.log('Password: (unchanged)');
     }
 
+    // Welcome code previously hard-coded in the pricing engine
+    const existingPromo = await PromoCode.findOne({ code: 'WELCOME10' });
+    if (!existingPromo) {
+      await PromoCode.create({
+        code: 'WELCOME10',
+        description: '10% off your stay, up to 500',
+        discountType: 'percentage',
+        value: 10,
+        maxDiscount: 500,
+        perCustomerLimit: 1,
+        createdByRole: 'admin'
+      });
+      console.log('🎟️  Promo code WELCOME10 created');
+    } else {
+      console.log('Promo code WELCOME10 already exists');
+    }
+
     console.log('✅ Database seeded successfully!');
     console.log('');
     console.log('⚠️  Please change the default password after first login!');
@@ -0,0 +1,241 @@
+const express = require('express');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+require('dotenv').config();
+
+// Minimal in-memory stand-in for the parts of the Stripe API the backend
+// uses, so the payment flow can be exercised offline. Start it with
+// `npm run stripe:stub` and set STRIPE_API_BASE=http://localhost:12111 (any
+// STRIPE_SECRET_KEY works). What Stripe.js does in the browser is done here
+// with a request, e.g.
+//
+//   curl -X POST localhost:12111/v1/payment_intents/<id>/confirm \
+//        -d payment_method=pm_card_visa
+//
+// pm_card_visa (the default) succeeds, pm_card_chargeDeclined is declined.
+// Intents created with capture_method=manual stop at requires_capture until
+// captured or cancelled.
+// Refunds succeed straight away; POST /v1/refunds/<id>/fail (stub only) turns
+// one into a failed refund, like a bank returning it days later.
+// With STRIPE_STUB_WEBHOOK_URL (e.g. http://localhost:5000/api/payments/webhook)
+// and STRIPE_WEBHOOK_SECRET set, every state change is also delivered as a
+// signed webhook event, like Stripe would.
+
+const PORT = parseInt(process.env.STRIPE_STUB_PORT) || 12111;
+const WEBHOOK_URL = process.env.STRIPE_STUB_WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+const paymentIntents = new Map();
+const refunds = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Only used to sign webhook payloads; no request leaves this process
+const signer = Stripe('sk_test_stub');
+
+const sendEvent = async (type, object) => {
+  if (!WEBHOOK_URL || !WEBHOOK_SECRET) return;
+  const payload = JSON.stringify({
+    id: newId('evt'),
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: { object }
+  });
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': signer.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+      },
+      body: payload
+    });
+    console.log(`↪️  ${type} -> ${response.status}`);
+  } catch (error) {
+    console.error(`❌ Could not deliver ${type}:`, error.message);
+  }
+};
+
+const stripeError = (res, statusCode, type, message, extra = {}) =>
+  res.status(statusCode).json({ error: { type, message, ...extra } });
+
+const findIntent = (req, res) => {
+  const intent = paymentIntents.get(req.params.id);
+  if (!intent) {
+    stripeError(res, 404, 'invalid_request_error', `No such payment_intent: '${req.params.id}'`, { code: 'resource_missing' });
+  }
+  return intent;
+};
+
+const createStubApp = () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    if (!req.get('authorization')) {
+      return stripeError(res, 401, 'invalid_request_error', 'You did not provide an API key.');
+    }
+    next();
+  });
+
+  app.post('/v1/payment_intents', (req, res) => {
+    const amount = parseInt(req.body.amount);
+    if (!amount || amount < 1 || !req.body.currency) {
+      return stripeError(res, 400, 'invalid_request_error', 'amount and currency are required', { code: 'parameter_missing' });
+    }
+
+    const id = newId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      amount_capturable: 0,
+      capture_method: req.body.capture_method || 'automatic',
+      currency: req.body.currency,
+      description: req.body.description || null,
+      metadata: req.body.metadata || {},
+      payment_method_types: req.body.payment_method_types || ['card'],
+      client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment_method',
+      last_payment_error: null,
+      livemode: false,
+      created: Math.floor(Date.now() / 1000)
+    };
+    paymentIntents.set(id, intent);
+    res.json(intent);
+  });
+
+  app.get('/v1/payment_intents/:id', (req, res) => {
+    const intent = findIntent(req, res);
+    if (intent) res.json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/confirm', (req, res) => {
+    const intent = findIntent(req, res);
+    if (!intent) return;
+    if (!['requires_payment_method', 'requires_confirmation'].includes(intent.status)) {
+      return stripeError(res, 400, 'invalid_request_error', `This PaymentIntent's status is ${intent.status}`, { code: 'payment_intent_unexpected_state' });
+    }
+
+    const paymentMethod = req.body.payment_method || 'pm_card_visa';
+    if (paymentMethod === 'pm_card_chargeDeclined') {
+      intent.status = 'requires_payment_method';
+      intent.last_payment_error = { type: 'card_error', code: 'card_declined', message: 'Your card was declined.' };
+      sendEvent('payment_intent.payment_failed', intent);
+      return stripeError(res, 402, 'card_error', 'Your card was declined.', { code: 'card_declined', payment_intent: intent });
+    }
+
+    intent.last_payment_error = null;
+    intent.payment_method = paymentMethod;
+    if (intent.capture_method === 'manual') {
+      intent.status = 'requires_capture';
+      intent.amount_capturable = intent.amount;
+      sendEvent('payment_intent.amount_capturable_updated', intent);
+      return res.json(intent);
+    }
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount;
+    sendEvent('payment_intent.succeeded', intent);
+    res.json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/capture', (req, res) => {
+    const intent = findIntent(req, res);
+    if (!intent) return;
+    if (intent.status !== 'requires_capture') {
+      return stripeError(res, 400, 'invalid_request_error', `This PaymentIntent could not be captured because it has a status of ${intent.status}.`, { code: 'payment_intent_unexpected_state' });
+    }
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount_capturable;
+    intent.amount_capturable = 0;
+    sendEvent('payment_intent.succeeded', intent);
+    res.json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+    const intent = findIntent(req, res);
+    if (!intent) return;
+    if (intent.status === 'succeeded') {
+      return stripeError(res, 400, 'invalid_request_error', 'You cannot cancel this PaymentIntent because it has a status of succeeded.', { code: 'payment_intent_unexpected_state' });
+    }
+    intent.status = 'canceled';
+    intent.amount_capturable = 0;
+    sendEvent('payment_intent.canceled', intent);
+    res.json(intent);
+  });
+
+  app.post('/v1/refunds', (req, res) => {
+    const intent = paymentIntents.get(req.body.payment_intent);
+    if (!intent || intent.status !== 'succeeded') {
+      return stripeError(res, 400, 'invalid_request_error', `PaymentIntent ${req.body.payment_intent} has no successful charge to refund`, { code: 'charge_not_refundable' });
+    }
+
+    const refunded = [...refunds.values()]
+      .filter(refund => refund.payment_intent === intent.id && refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = req.body.amount ? parseInt(req.body.amount) : intent.amount_received - refunded;
+    if (!amount || amount < 1 || refunded + amount > intent.amount_received) {
+      return stripeError(res, 400, 'invalid_request_error', `Refund amount (${amount}) is greater than unrefunded amount on charge (${intent.amount_received - refunded})`, { code: 'amount_too_large' });
+    }
+
+    const refund = {
+      id: newId('re'),
+      object: 'refund',
+      amount,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      metadata: req.body.metadata || {},
+      status: 'succeeded',
+      failure_reason: null,
+      created: Math.floor(Date.now() / 1000)
+    };
+    refunds.set(refund.id, refund);
+    sendEvent('charge.refunded', {
+      id: newId('ch'),
+      object: 'charge',
+      payment_intent: intent.id,
+      amount: intent.amount_received,
+      amount_refunded: refunded + amount,
+      refunded: refunded + amount === intent.amount_received
+    });
+    res.json(refund);
+  });
+
+  app.get('/v1/refunds/:id', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+      return stripeError(res, 404, 'invalid_request_error', `No such refund: '${req.params.id}'`, { code: 'resource_missing' });
+    }
+    res.json(refund);
+  });
+
+  app.post('/v1/refunds/:id/fail', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+      return stripeError(res, 404, 'invalid_request_error', `No such refund: '${req.params.id}'`, { code: 'resource_missing' });
+    }
+    refund.status = 'failed';
+    refund.failure_reason = req.body.failure_reason || 'lost_or_stolen_card';
+    sendEvent('refund.updated', refund);
+    res.json(refund);
+  });
+
+  app.use((req, res) => {
+    stripeError(res, 404, 'invalid_request_error', `Unrecognized request URL (${req.method}: ${req.path}).`);
+  });
+
+  return app;
+};
+
+// Run if script is called directly
+if (require.main === module) {
+  createStubApp().listen(PORT, () => {
+    console.log(`💳 Stripe stub listening on http://localhost:${PORT}`);
+    console.log(`   Set STRIPE_API_BASE=http://localhost:${PORT} for the API server`);
+  });
+}
+
+module.exports = createStubApp;
@@ -10,8 +10,10 @@ const authRoutes = require('./routes/auth');
 const customerRoutes = require('./routes/customer');
 const hotelRoutes = require('./routes/hotel');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
 
 const { errorHandler } = require('./middleware/errorHandler');
+const { startJobs } = require('./utils/jobs');
 const logger = require('./utils/logger');
 
 const app = express()
@@ -48,6 +50,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Payment webhooks need the raw request body for signature checks and come
+// from Stripe's servers, so they sit before the rate limiter and body parsers
+app.use('/api/payments', paymentRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -97,6 +103,10 @@ app.use(errorHandler);
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotel-booking-portal')
   .then(() => {
     logger.info('Connected to MongoDB');
+
+    // Background jobs (holds, refunds, reminders, payouts, booking
+    // lifecycle); see utils/jobs.js
+    startJobs();
     
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
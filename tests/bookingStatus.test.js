@@ -0,0 +1,65 @@
+const Booking = require('../models/Booking');
+
+const { STATUS_TRANSITIONS } = Booking;
+const STATUSES = Booking.schema.path('status').enumValues;
+
+describe('STATUS_TRANSITIONS', () => {
+  it('only names known statuses and roles', () => {
+    for (const [from, targets] of Object.entries(STATUS_TRANSITIONS)) {
+      expect(STATUSES).toContain(from);
+      for (const [to, roles] of Object.entries(targets)) {
+        expect(STATUSES).toContain(to);
+        roles.forEach(role => expect(['customer', 'hotel', 'admin', 'system']).toContain(role));
+      }
+    }
+  });
+
+  it('leaves check-in and check-out to the hotel', () => {
+    expect(STATUS_TRANSITIONS.confirmed.checked_in).toEqual(['hotel']);
+    expect(STATUS_TRANSITIONS.checked_in.checked_out).toEqual(['hotel']);
+  });
+
+  it('makes rejected, cancelled, completed and no-show final', () => {
+    ['rejected', 'cancelled', 'completed', 'no_show'].forEach(status => {
+      expect(new Booking({ status }).nextStatuses()).toEqual([]);
+    });
+  });
+});
+
+describe('transitionTo', () => {
+  it('moves the booking on, records the change and returns the previous status', () => {
+    const booking = new Booking({ status: 'pending' });
+    const user = { _id: Booking.base.Types.ObjectId.createFromTime(0) };
+
+    expect(booking.transitionTo('confirmed', { user, role: 'hotel', reason: 'Room ready' })).toBe('pending');
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toHaveLength(1);
+    expect(booking.statusHistory[0]).toMatchObject({ from: 'pending', to: 'confirmed', role: 'hotel', reason: 'Room ready' });
+    expect(booking.statusHistory[0].by.equals(user._id)).toBe(true);
+  });
+
+  it('refuses a change the role may not make', () => {
+    const booking = new Booking({ status: 'pending' });
+
+    expect(() => booking.transitionTo('confirmed', { role: 'customer' })).toThrow(expect.objectContaining({
+      code: 'TRANSITION_INVALID',
+      statusCode: 409,
+      message: 'A customer cannot mark a pending booking confirmed',
+      details: { from: 'pending', to: 'confirmed', allowed: ['cancelled'] }
+    }));
+    expect(booking.status).toBe('pending');
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+
+  it('refuses a change the table does not have', () => {
+    const booking = new Booking({ status: 'completed' });
+    expect(() => booking.transitionTo('cancelled', { role: 'admin' })).toThrow('A completed booking cannot become cancelled');
+  });
+
+  it('lists the next statuses a role can choose', () => {
+    const booking = new Booking({ status: 'confirmed' });
+    expect(booking.nextStatuses('customer')).toEqual(['cancelled']);
+    expect(booking.nextStatuses('system')).toEqual(['cancelled', 'no_show']);
+    expect(booking.nextStatuses('hotel')).toEqual(['checked_in', 'cancelled', 'no_show']);
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../utils/ledger', () => ({
+  getLedger: jest.fn()
+}));
+
+const { buildCancellationPolicy, refundTermsFor, calculateRefund } = require('../utils/cancellation');
+const { getLedger } = require('../utils/ledger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = new Date('2030-03-01T12:00:00Z');
+
+const policy = {
+  refundable: true,
+  tiers: [
+    { hoursBeforeCheckIn: 72, refundPercentage: 100 },
+    { hoursBeforeCheckIn: 24, refundPercentage: 50 }
+  ]
+};
+
+const paid = (amount) => getLedger.mockResolvedValue({ entries: [], summary: { paid: amount, netPaid: amount } });
+
+describe('buildCancellationPolicy', () => {
+  it('adds a rate plan\'s free cancellation window to the hotel tiers', () => {
+    const hotel = { cancellationPolicy: { tiers: [{ hoursBeforeCheckIn: 24, refundPercentage: 50 }] } };
+    expect(buildCancellationPolicy(hotel, { cancellation: { refundable: true, freeCancellationHours: 48 } })).toEqual({
+      refundable: true,
+      tiers: [
+        { hoursBeforeCheckIn: 48, refundPercentage: 100 },
+        { hoursBeforeCheckIn: 24, refundPercentage: 50 }
+      ]
+    });
+  });
+
+  it('makes a non-refundable plan override the hotel tiers', () => {
+    expect(buildCancellationPolicy({}, { cancellation: { refundable: false } })).toEqual({ refundable: false, tiers: [] });
+  });
+});
+
+describe('refundTermsFor', () => {
+  it('uses the best tier the cancellation is early enough for', () => {
+    expect(refundTermsFor(policy, 100, 'customer').refundPercentage).toBe(100);
+    expect(refundTermsFor(policy, 30, 'customer')).toEqual({ refundPercentage: 50, description: '50% refund up to 24 hours before check-in' });
+    expect(refundTermsFor(policy, 10, 'customer')).toEqual({ refundPercentage: 0, description: 'No refund' });
+  });
+
+  it('refunds nothing on a non-refundable rate, unless the hotel cancels', () => {
+    const nonRefundable = { refundable: false, tiers: [] };
+    expect(refundTermsFor(nonRefundable, 500, 'customer').refundPercentage).toBe(0);
+    expect(refundTermsFor(nonRefundable, 0, 'hotel').refundPercentage).toBe(100);
+  });
+});
+
+describe('calculateRefund', () => {
+  const booking = (fields = {}) => ({
+    _id: 'booking-1',
+    bookingDetails: { checkIn: new Date(at.getTime() + 30 * HOUR_MS) },
+    pricing: { totalAmount: 1000 },
+    cancellationPolicy: policy,
+    ...fields
+  });
+
+  it('charges the tier\'s fee on the total and refunds what was paid above it', async () => {
+    paid(1000);
+    const refund = await calculateRefund(booking(), { at });
+    expect(refund).toMatchObject({
+      refundPercentage: 50,
+      hoursBeforeCheckIn: 30,
+      paidAmount: 1000,
+      cancellationFee: 500,
+      refundAmount: 500
+    });
+  });
+
+  it('refunds nothing when a deposit does not cover the fee', async () => {
+    paid(200);
+    const refund = await calculateRefund(booking(), { at });
+    expect(refund.cancellationFee).toBe(500);
+    expect(refund.refundAmount).toBe(0);
+  });
+
+  it('prices each room of a multi-room reservation on its own terms', async () => {
+    getLedger.mockResolvedValue({ entries: [], summary: { paid: 1000, netPaid: 900 } });
+    const refund = await calculateRefund(booking({
+      items: [
+        { roomName: 'Deluxe', status: 'active', pricing: { totalAmount: 600 }, cancellationPolicy: policy },
+        { roomName: 'Suite', status: 'active', pricing: { totalAmount: 300 }, cancellationPolicy: { refundable: false, tiers: [] } },
+        { roomName: 'Twin', status: 'cancelled', pricing: { totalAmount: 200 }, cancellation: { cancellationFee: 100 } }
+      ]
+    }), { at });
+
+    // 50% of 600 + all of 300 + the 100 kept on the cancelled room
+    expect(refund.cancellationFee).toBe(700);
+    expect(refund.refundAmount).toBe(200);
+    expect(refund.refundedBefore).toBe(100);
+    expect(refund.description).toBe('Deluxe: 50% refund up to 24 hours before check-in; Suite: Non-refundable rate');
+  });
+});
@@ -0,0 +1,61 @@
+const { convertAmount, convertQuote } = require('../utils/currency');
+
+const rates = { INR: 1, USD: 0.012, EUR: 0.011 };
+
+const quote = {
+  currency: 'INR',
+  nights: 2,
+  nightlyRates: [{ date: new Date('2030-03-10'), rate: 5000 }, { date: new Date('2030-03-11'), rate: 5000 }],
+  roomPrice: 10000,
+  discounts: [{ type: 'promo', code: 'SAVE', amount: 1000 }],
+  discountTotal: 1000,
+  taxLines: [{ name: 'GST', amount: 1080 }],
+  taxes: 1080,
+  serviceFee: 99,
+  totalAmount: 10179,
+  depositAmount: 2035.8,
+  promo: { code: 'SAVE', applied: true, amount: 1000 },
+  loyalty: null,
+  lineItems: [
+    { type: 'room', description: 'Room', amount: 10000 },
+    { type: 'discount', description: 'Promo code SAVE', amount: -1000 },
+    { type: 'tax', description: 'GST', amount: 1080 },
+    { type: 'fee', description: 'Service fee', amount: 99 }
+  ]
+};
+
+describe('convertAmount', () => {
+  it('converts through the base currency', () => {
+    expect(convertAmount(100, 'USD', 'EUR', rates)).toBe(91.67);
+    expect(convertAmount(100, 'INR', 'INR', rates)).toBe(100);
+  });
+
+  it('refuses currencies without a rate', () => {
+    expect(() => convertAmount(100, 'INR', 'GBP', rates)).toThrow(expect.objectContaining({ code: 'CURRENCY_INVALID' }));
+  });
+});
+
+describe('convertQuote', () => {
+  it('converts every component and re-adds the totals so the lines still sum', () => {
+    const converted = convertQuote(quote, 'USD', rates);
+
+    expect(converted.currency).toBe('USD');
+    expect(converted.exchangeRate).toEqual({ from: 'INR', rate: 0.012 });
+    expect(converted.roomPrice).toBe(120);
+    expect(converted.discountTotal).toBe(12);
+    expect(converted.taxes).toBe(12.96);
+    expect(converted.serviceFee).toBe(1.19);
+    expect(converted.totalAmount).toBe(122.15);
+    expect(converted.nightlyRates.map(night => night.rate)).toEqual([60, 60]);
+    expect(converted.promo.amount).toBe(12);
+
+    const lineTotal = converted.lineItems.reduce((sum, item) => sum + item.amount, 0);
+    expect(Math.round(lineTotal * 100) / 100).toBe(converted.totalAmount);
+  });
+
+  it('leaves the original quote untouched', () => {
+    convertQuote(quote, 'EUR', rates);
+    expect(quote.currency).toBe('INR');
+    expect(quote.roomPrice).toBe(10000);
+  });
+});
@@ -0,0 +1,20 @@
+const { priceFolioItem } = require('../utils/folio');
+
+describe('priceFolioItem', () => {
+  it('adds tax on top of the price', () => {
+    expect(priceFolioItem({ quantity: 2, unitPrice: 50, taxRate: 18 })).toEqual({ amount: 100, taxAmount: 18, total: 118 });
+  });
+
+  it('backs the tax out of a tax-inclusive price', () => {
+    expect(priceFolioItem({ quantity: 1, unitPrice: 118, taxRate: 18, taxInclusive: true })).toEqual({ amount: 100, taxAmount: 18, total: 118 });
+  });
+
+  it('rounds to the cent and keeps the total equal to its parts', () => {
+    const line = priceFolioItem({ quantity: 3, unitPrice: 9.99, taxRate: 5, taxInclusive: true });
+    expect(line).toEqual({ amount: 28.54, taxAmount: 1.43, total: 29.97 });
+  });
+
+  it('charges no tax by default', () => {
+    expect(priceFolioItem({ unitPrice: 40 })).toEqual({ amount: 40, taxAmount: 0, total: 40 });
+  });
+});
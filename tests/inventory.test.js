@@ -0,0 +1,24 @@
+const { MAX_NIGHTS, countNights, eachNight } = require('../utils/inventory');
+
+describe('eachNight', () => {
+  it('lists the UTC midnight of every night from check-in up to check-out', () => {
+    expect(eachNight('2030-03-10T15:00:00Z', '2030-03-12T11:00:00Z')).toEqual([
+      new Date('2030-03-10T00:00:00Z'),
+      new Date('2030-03-11T00:00:00Z')
+    ]);
+    expect(eachNight('2030-03-10', '2030-03-10')).toEqual([]);
+  });
+
+  it('refuses ranges longer than a year before walking them', () => {
+    expect(eachNight('2030-01-01', '2031-01-02')).toHaveLength(MAX_NIGHTS);
+    expect(() => eachNight('2030-01-01', '2031-01-03')).toThrow(expect.objectContaining({ code: 'DATE_RANGE_INVALID', statusCode: 400 }));
+    expect(() => eachNight('2026-01-01', '+200000-01-01')).toThrow('Date range cannot exceed one year');
+  });
+});
+
+describe('countNights', () => {
+  it('counts nights without listing them', () => {
+    expect(countNights('2030-03-10', '2030-03-13')).toBe(3);
+    expect(countNights('2026-01-01', '9999-12-31')).toBe(2912442);
+  });
+});
@@ -0,0 +1,113 @@
+// A card payment end to end against the offline Stripe stub: the backend
+// opens a PaymentIntent, the guest's card is confirmed on the stub, the stub
+// delivers payment_intent.succeeded as a signed webhook, and the payment
+// lands in the booking's ledger. Needs a MongoDB replica set (the webhook
+// writes in a transaction), so it only runs with MONGODB_TEST_URI set, e.g.
+//
+//   MONGODB_TEST_URI=mongodb://localhost:27017/hotel-booking-test?replicaSet=rs0 npm test
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const describeWithDb = process.env.MONGODB_TEST_URI ? describe : describe.skip;
+
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 50 } = {}) => {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    if (await check()) return;
+    if (Date.now() > until) throw new Error('Timed out waiting for the webhook');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+describeWithDb('card payment through the Stripe stub', () => {
+  let api;
+  let stub;
+  let Booking;
+  let Payment;
+  let LedgerEntry;
+  let WebhookEvent;
+  let startPayment;
+  let getStripe;
+  let getLedger;
+  let booking;
+
+  beforeAll(async () => {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_stub';
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_stub';
+
+    const app = express();
+    app.use('/api/payments', require('../routes/payments'));
+    api = await listen(app);
+
+    // The stub reads where to deliver events when it is loaded
+    process.env.STRIPE_STUB_WEBHOOK_URL = `${urlOf(api)}/api/payments/webhook`;
+    const createStubApp = require('../scripts/stripeStub');
+    stub = await listen(createStubApp());
+    process.env.STRIPE_API_BASE = urlOf(stub);
+
+    Booking = require('../models/Booking');
+    Payment = require('../models/Payment');
+    LedgerEntry = require('../models/LedgerEntry');
+    WebhookEvent = require('../models/WebhookEvent');
+    ({ startPayment, getStripe } = require('../utils/payments'));
+    ({ getLedger } = require('../utils/ledger'));
+
+    await mongoose.connect(process.env.MONGODB_TEST_URI);
+  });
+
+  afterAll(async () => {
+    if (booking) {
+      const payments = await Payment.find({ bookingId: booking._id });
+      await WebhookEvent.deleteMany({ createdAt: { $gte: booking.createdAt } });
+      await LedgerEntry.deleteMany({ bookingId: booking._id });
+      await Payment.deleteMany({ _id: { $in: payments.map(payment => payment._id) } });
+      await Booking.deleteOne({ _id: booking._id });
+    }
+    await mongoose.disconnect();
+    await new Promise(resolve => stub.close(resolve));
+    await new Promise(resolve => api.close(resolve));
+  });
+
+  it('records the payment in the ledger once the webhook arrives', async () => {
+    const checkIn = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      customerId: new mongoose.Types.ObjectId(),
+      hotelId: new mongoose.Types.ObjectId(),
+      roomId: new mongoose.Types.ObjectId(),
+      status: 'confirmed',
+      bookingDetails: {
+        checkIn,
+        checkOut: new Date(checkIn.getTime() + 2 * 24 * 60 * 60 * 1000),
+        guests: { adults: 2 },
+        numberOfRooms: 1
+      },
+      contactDetails: { email: 'guest@example.com', phone: '+10000000000' },
+      pricing: { roomPrice: 900, taxes: 100, totalAmount: 1000, currency: 'INR' }
+    });
+
+    const { payment, clientSecret } = await startPayment(booking);
+    expect(payment).toMatchObject({ purpose: 'full', amount: 1000, status: 'requires_payment', captureMethod: 'automatic' });
+    expect(clientSecret).toMatch(/^pi_/);
+
+    // What Stripe.js does in the guest's browser
+    await getStripe().paymentIntents.confirm(payment.providerPaymentId, { payment_method: 'pm_card_visa' });
+    await waitFor(async () => (await Payment.findById(payment._id)).status === 'succeeded');
+
+    const { entries, summary } = await getLedger(booking._id);
+    expect(entries.map(entry => [entry.type, entry.amount])).toEqual([['charge', 1000], ['payment', 1000]]);
+    expect(summary).toMatchObject({ totalDue: 1000, paid: 1000, balanceDue: 0 });
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.pricing).toMatchObject({ paymentStatus: 'paid', paymentMethod: 'stripe', stripePaymentIntentId: payment.providerPaymentId });
+
+    const event = await WebhookEvent.findOne({ type: 'payment_intent.succeeded', createdAt: { $gte: booking.createdAt } });
+    expect(event).toMatchObject({ status: 'processed' });
+  });
+});
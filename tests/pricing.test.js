@@ -0,0 +1,134 @@
+jest.mock('../utils/rateCalendar', () => ({
+  resolveNightlyRates: jest.fn(async (room, nights) => nights.map(date => ({ date, rate: room.pricing.basePrice, source: 'base' })))
+}));
+jest.mock('../utils/taxes', () => ({
+  ...jest.requireActual('../utils/taxes'),
+  findHotelTaxRules: jest.fn(async () => [])
+}));
+jest.mock('../utils/promotions', () => ({
+  evaluatePromoCode: jest.fn(async () => null)
+}));
+
+const { priceStay } = require('../utils/pricing');
+const { findHotelTaxRules } = require('../utils/taxes');
+const { evaluatePromoCode } = require('../utils/promotions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const checkIn = new Date('2030-03-10T00:00:00Z');
+const checkOut = new Date(checkIn.getTime() + 3 * DAY_MS);
+
+const roomWith = (pricing = {}) => ({
+  _id: 'room-1',
+  hotelId: 'hotel-1',
+  name: 'Deluxe',
+  roomType: 'deluxe',
+  capacity: { adults: 2, children: 1 },
+  pricing: {
+    basePrice: 100,
+    currency: 'INR',
+    taxes: 12,
+    serviceFee: 50,
+    discounts: [],
+    ...pricing
+  }
+});
+
+const extendedStay = [{ type: 'extended_stay', value: 10, minStay: 3 }];
+
+const sumLineItems = (quote) => Math.round(quote.lineItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+
+describe('priceStay', () => {
+  beforeEach(() => {
+    evaluatePromoCode.mockResolvedValue(null);
+    findHotelTaxRules.mockResolvedValue([]);
+  });
+
+  it('adds the room\'s taxes and the service fee to the price of every night', async () => {
+    const quote = await priceStay({ room: roomWith(), checkIn, checkOut, numberOfRooms: 2, guests: { adults: 2 } });
+
+    expect(quote.nights).toBe(3);
+    expect(quote.nightlyRates).toHaveLength(3);
+    expect(quote.roomPrice).toBe(600);
+    expect(quote.discounts).toEqual([]);
+    expect(quote.taxes).toBe(72);
+    expect(quote.serviceFee).toBe(50);
+    expect(quote.totalAmount).toBe(722);
+    expect(quote.depositAmount).toBe(144.4);
+    expect(sumLineItems(quote)).toBe(quote.totalAmount);
+  });
+
+  it('takes room discounts off before taxing the rest and adding the service fee', async () => {
+    const quote = await priceStay({ room: roomWith({ discounts: extendedStay }), checkIn, checkOut, numberOfRooms: 2, guests: { adults: 2 } });
+
+    expect(quote.nights).toBe(3);
+    expect(quote.roomPrice).toBe(600);
+    expect(quote.discounts).toEqual([expect.objectContaining({ type: 'extended_stay', amount: 60 })]);
+    expect(quote.discountTotal).toBe(60);
+    expect(quote.taxes).toBe(64.8);
+    expect(quote.serviceFee).toBe(50);
+    expect(quote.totalAmount).toBe(654.8);
+    expect(quote.depositAmount).toBe(130.96);
+    expect(sumLineItems(quote)).toBe(quote.totalAmount);
+  });
+
+  it('applies a promo code to what is left after room discounts', async () => {
+    evaluatePromoCode.mockImplementation(async (code, { subtotal }) => ({
+      code: 'SAVE10',
+      applied: true,
+      amount: subtotal * 0.1,
+      promoCodeId: 'promo-1'
+    }));
+
+    const quote = await priceStay({ room: roomWith({ discounts: extendedStay }), checkIn, checkOut, numberOfRooms: 2, promoCode: 'SAVE10' });
+
+    expect(evaluatePromoCode).toHaveBeenCalledWith('SAVE10', expect.objectContaining({ subtotal: 540, nights: 3 }));
+    expect(quote.discounts.map(d => [d.type, d.amount])).toEqual([['extended_stay', 60], ['promo', 54]]);
+    expect(quote.discountTotal).toBe(114);
+    expect(quote.taxes).toBe(58.32);
+    expect(quote.totalAmount).toBe(594.32);
+    expect(sumLineItems(quote)).toBe(quote.totalAmount);
+  });
+
+  it('keeps only the best room rule by default and applies every rule in turn when stacking', async () => {
+    const discounts = [
+      { type: 'extended_stay', value: 10, minStay: 3 },
+      { type: 'early_bird', value: 20, minLeadDays: 30 }
+    ];
+    const bookedAt = new Date(checkIn.getTime() - 60 * DAY_MS);
+
+    const best = await priceStay({ room: roomWith({ discounts }), checkIn, checkOut, bookedAt });
+    expect(best.discounts.map(d => d.type)).toEqual(['early_bird']);
+    expect(best.discountTotal).toBe(60);
+
+    const stacked = await priceStay({ room: roomWith({ discounts, discountPolicy: 'stack' }), checkIn, checkOut, bookedAt });
+    expect(stacked.discounts.map(d => [d.type, d.amount])).toEqual([['extended_stay', 30], ['early_bird', 54]]);
+    expect(stacked.discountTotal).toBe(84);
+  });
+
+  it('adjusts each night for the rate plan before discounts', async () => {
+    const ratePlan = { _id: 'plan-1', name: 'Breakfast', adjustment: { type: 'fixed', value: 20 }, isActive: true };
+    const quote = await priceStay({ room: roomWith(), checkIn, checkOut, ratePlan });
+
+    expect(quote.ratePlan).toEqual(expect.objectContaining({ name: 'Breakfast' }));
+    expect(quote.nightlyRates.map(night => night.rate)).toEqual([120, 120, 120]);
+    expect(quote.roomPrice).toBe(360);
+    expect(quote.taxes).toBe(43.2);
+  });
+
+  it('charges the hotel tax rules instead of the room rate when there are any', async () => {
+    findHotelTaxRules.mockResolvedValue([
+      { name: 'GST', type: 'percentage', rate: 18, slabs: [] },
+      { name: 'City tax', type: 'per_night', amount: 5 }
+    ]);
+    const quote = await priceStay({ room: roomWith(), checkIn, checkOut, numberOfRooms: 2 });
+
+    expect(quote.taxLines.map(line => line.amount)).toEqual([108, 30]);
+    expect(quote.taxes).toBe(138);
+    expect(quote.totalAmount).toBe(600 + 138 + 50);
+  });
+
+  it('rejects stays without nights and parties too big for the rooms', async () => {
+    await expect(priceStay({ room: roomWith(), checkIn, checkOut: checkIn })).rejects.toMatchObject({ code: 'PRICING_INVALID' });
+    await expect(priceStay({ room: roomWith(), checkIn, checkOut, guests: { adults: 3 } })).rejects.toMatchObject({ code: 'PRICING_INVALID', statusCode: 400 });
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../models/RoomRate', () => ({
+  find: jest.fn()
+}));
+
+const RoomRate = require('../models/RoomRate');
+const { resolveNightlyRates } = require('../utils/rateCalendar');
+
+const night = (day) => new Date(Date.UTC(2030, 2, day));
+const room = { _id: 'room-1', pricing: { basePrice: 100 } };
+
+// RoomRate.find(...).sort(...) with the rates already in precedence order
+const storedRates = (rates) => RoomRate.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(rates) });
+
+describe('resolveNightlyRates', () => {
+  it('prices nights no rate covers at the room\'s base price', async () => {
+    storedRates([]);
+    expect(await resolveNightlyRates(room, [night(1), night(2)])).toEqual([
+      { date: night(1), rate: 100, source: 'base' },
+      { date: night(2), rate: 100, source: 'base' }
+    ]);
+  });
+
+  it('takes the first matching rate and honours its days of the week', async () => {
+    storedRates([
+      // 2030-03-01 is a Friday, 2030-03-02 a Saturday
+      { _id: 'weekend', name: 'Weekend', price: 150, startDate: night(1), endDate: night(31), daysOfWeek: [5, 6] },
+      { _id: 'season', name: 'Spring', price: 120, startDate: night(1), endDate: night(3), daysOfWeek: [] }
+    ]);
+
+    const rates = await resolveNightlyRates(room, [night(1), night(2), night(3), night(4)]);
+    expect(rates.map(rate => [rate.rate, rate.source])).toEqual([
+      [150, 'Weekend'],
+      [150, 'Weekend'],
+      [120, 'Spring'],
+      [100, 'base']
+    ]);
+  });
+
+  it('does not look up rates for an empty stay', async () => {
+    RoomRate.find.mockClear();
+    expect(await resolveNightlyRates(room, [])).toEqual([]);
+    expect(RoomRate.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../utils/transaction', () => ({
+  withTransaction: jest.fn(work => work('session'))
+}));
+jest.mock('../utils/payments', () => {
+  const stripe = { refunds: { create: jest.fn() } };
+  return {
+    getStripe: jest.fn(() => stripe),
+    intentIdOf: jest.fn(),
+    applyRefundedTotals: jest.fn()
+  };
+});
+jest.mock('../models/Refund', () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Payment', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/Booking', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const { getStripe } = require('../utils/payments');
+const { retryRefund } = require('../utils/refunds');
+
+const id = (value) => ({ value, equals: (other) => other === value || other?.value === value });
+const paymentId = id('payment-1');
+
+// query(...).sort(...).session(...) and friends resolving to `value`
+const query = (value) => {
+  const chain = { sort: () => chain, select: () => chain, session: () => Promise.resolve(value) };
+  return chain;
+};
+
+// A 200 payment: R1 (100) failed, then R2 (100) was started for the same
+// money and went through
+const setUp = ({ refundAmount }) => {
+  const failed = { _id: 'r1', bookingId: 'booking-1', paymentId, amount: 100, status: 'failed', attempts: [], save: jest.fn() };
+  Refund.findById.mockReturnValue(query(failed));
+  Refund.find.mockReturnValue(query([{ _id: 'r2', paymentId, amount: 100, status: 'succeeded' }]));
+  Payment.find.mockReturnValue(query([{ _id: paymentId, amount: 200, amountRefunded: 100, status: 'succeeded' }]));
+  Booking.findById.mockReturnValue(query({ cancellation: { refundAmount, refundStatus: 'failed' } }));
+  return failed;
+};
+
+describe('retryRefund', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('refuses to pay out again what a later refund already returned', async () => {
+    const failed = setUp({ refundAmount: 100 });
+
+    await expect(retryRefund(failed)).rejects.toMatchObject({
+      code: 'REFUND_INVALID',
+      message: 'At most 0 can still be refunded by this refund'
+    });
+    expect(failed.save).not.toHaveBeenCalled();
+    expect(failed.status).toBe('failed');
+    expect(Booking.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('resubmits a refund the booking still owes', async () => {
+    const failed = setUp({ refundAmount: 200 });
+    Payment.findById.mockResolvedValue({ providerPaymentId: 'pi_1' });
+    getStripe().refunds.create.mockResolvedValue({ id: 're_2', status: 'pending' });
+
+    const result = await retryRefund(failed);
+
+    expect(failed.save).toHaveBeenCalledWith({ session: 'session' });
+    expect(Booking.updateOne).toHaveBeenCalledWith(
+      { _id: 'booking-1' },
+      { $set: expect.objectContaining({ 'cancellation.refundStatus': 'pending' }) },
+      { session: 'session' }
+    );
+    expect(getStripe().refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_1', amount: 10000 }),
+      { idempotencyKey: 'refund-r1-0' }
+    );
+    expect(result).toMatchObject({ status: 'pending', providerRefundId: 're_2' });
+  });
+
+  it('only retries failed refunds', async () => {
+    const failed = setUp({ refundAmount: 200 });
+    failed.status = 'succeeded';
+
+    await expect(retryRefund(failed)).rejects.toMatchObject({ message: 'Only failed refunds can be retried' });
+  });
+});
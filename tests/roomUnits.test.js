@@ -0,0 +1,63 @@
+jest.mock('../models/RoomUnit', () => ({ find: jest.fn(), countDocuments: jest.fn() }));
+
+const RoomUnit = require('../models/RoomUnit');
+const { checkUnitsReady } = require('../utils/roomUnits');
+
+const id = (value) => ({ value, equals: (other) => String(other) === value, toString: () => value });
+
+// RoomUnit.<query>(...).session(...) resolving to `value`
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+const unit = (number, roomId, status = 'ready') => ({
+  _id: id(`unit-${number}`),
+  number,
+  roomId: id(roomId),
+  isActive: true,
+  housekeeping: { status }
+});
+
+const bookingOf = (numberOfRooms, roomUnits) => ({
+  roomId: id('deluxe'),
+  bookingDetails: { numberOfRooms },
+  roomUnits: roomUnits.map(u => u._id)
+});
+
+describe('checkUnitsReady', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('asks for a unit per booked room of a numbered type', async () => {
+    RoomUnit.countDocuments.mockReturnValue(query(5));
+    RoomUnit.find.mockReturnValue(query([unit('101', 'deluxe')]));
+
+    await expect(checkUnitsReady(bookingOf(2, [unit('101', 'deluxe')]))).rejects.toMatchObject({
+      code: 'ROOM_UNIT_INVALID',
+      statusCode: 409,
+      details: [{ roomId: 'deluxe', booked: 2, required: 2, assigned: 1 }]
+    });
+  });
+
+  it('asks for no more units than a partly numbered type has', async () => {
+    const assigned = [unit('101', 'deluxe')];
+    RoomUnit.countDocuments.mockReturnValue(query(1));
+    RoomUnit.find.mockReturnValue(query(assigned));
+
+    await expect(checkUnitsReady(bookingOf(3, assigned))).resolves.toEqual(assigned);
+  });
+
+  it('lets types without units check in as before', async () => {
+    RoomUnit.countDocuments.mockReturnValue(query(0));
+
+    await expect(checkUnitsReady(bookingOf(2, []))).resolves.toEqual([]);
+    expect(RoomUnit.find).not.toHaveBeenCalled();
+  });
+
+  it('refuses units that are not ready', async () => {
+    const assigned = [unit('101', 'deluxe', 'dirty')];
+    RoomUnit.countDocuments.mockReturnValue(query(1));
+    RoomUnit.find.mockReturnValue(query(assigned));
+
+    await expect(checkUnitsReady(bookingOf(1, assigned))).rejects.toMatchObject({
+      message: 'Room 101 is not ready for check-in'
+    });
+  });
+});
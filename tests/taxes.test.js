@@ -0,0 +1,84 @@
+const { calculateTaxes } = require('../utils/taxes');
+
+const night = (day, rate) => ({ date: new Date(Date.UTC(2030, 2, day)), rate });
+const room = { pricing: { taxes: 12 } };
+
+const gst = {
+  _id: 'gst',
+  name: 'GST',
+  type: 'percentage',
+  slabs: [
+    { upTo: 1000, rate: 0 },
+    { upTo: 7500, rate: 12 },
+    { rate: 18 }
+  ]
+};
+
+describe('calculateTaxes', () => {
+  it('falls back to the room tax rate without rules', () => {
+    const [line] = calculateTaxes({
+      rules: [],
+      room,
+      nightlyRates: [night(1, 100), night(2, 100)],
+      roomsCount: 1,
+      adults: 2,
+      children: 0,
+      roomPrice: 200,
+      discountTotal: 0
+    });
+    expect(line).toMatchObject({ name: 'Taxes', rate: 12, amount: 24 });
+  });
+
+  it('picks each night\'s slab by its tariff', () => {
+    const [line] = calculateTaxes({
+      rules: [gst],
+      room,
+      nightlyRates: [night(1, 800), night(2, 5000), night(3, 9000)],
+      roomsCount: 1,
+      adults: 2,
+      children: 0,
+      roomPrice: 14800,
+      discountTotal: 0
+    });
+    expect(line.amount).toBeCloseTo(0 + 600 + 1620);
+    expect(line.rate).toBeUndefined();
+    expect(line.description).toBe('GST (0%, 12%, 18%)');
+  });
+
+  it('picks the slab by the tariff after its share of the discounts', () => {
+    const [line] = calculateTaxes({
+      rules: [gst],
+      room,
+      nightlyRates: [night(1, 8000)],
+      roomsCount: 2,
+      adults: 2,
+      children: 0,
+      roomPrice: 16000,
+      discountTotal: 2000
+    });
+    // 7000 a night after the discount: the 12% slab, on both rooms
+    expect(line.rate).toBe(12);
+    expect(line.amount).toBeCloseTo(1680);
+  });
+
+  it('charges flat taxes per room night and per guest night, within their limits', () => {
+    const nightlyRates = [night(1, 100), night(2, 100), night(3, 100)];
+    const [perNight, perGuest, withChildren] = calculateTaxes({
+      rules: [
+        { name: 'City tax', type: 'per_night', amount: 2, maxNights: 2 },
+        { name: 'Tourism levy', type: 'per_guest', amount: 1 },
+        { name: 'Resort levy', type: 'per_guest', amount: 1, includeChildren: true, validFrom: new Date(Date.UTC(2030, 2, 2)) }
+      ],
+      room,
+      nightlyRates,
+      roomsCount: 2,
+      adults: 3,
+      children: 1,
+      roomPrice: 600,
+      discountTotal: 0
+    });
+    expect(perNight.amount).toBe(2 * 2 * 2);
+    expect(perGuest.amount).toBe(1 * 3 * 3);
+    expect(withChildren.amount).toBe(1 * 4 * 2);
+  });
+});
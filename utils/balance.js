@@ -0,0 +1,98 @@
+const Booking = require('../models/Booking');
+const { getLedger } = require('./ledger');
+const { sendBalanceReminderEmail } = require('./email');
+const logger = require('./logger');
+
+// First reminder goes out this many days before the balance is due; one more
+// is sent once it is overdue
+const BALANCE_REMINDER_LEAD_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc  Balance terms to snapshot on a new booking
+const buildBalancePolicy = (hotel) => ({
+  collect: hotel?.balancePolicy?.collect || 'before_check_in',
+  daysBeforeCheckIn: hotel?.balancePolicy?.daysBeforeCheckIn ?? 7
+});
+
+// @desc  What is left to pay on a booking and when it is due
+const getBalance = async (booking) => {
+  const { summary } = await getLedger(booking._id);
+  return {
+    totalDue: summary.totalDue,
+    paid: summary.netPaid,
+    balanceDue: Math.max(summary.balanceDue, 0),
+    currency: booking.pricing.currency,
+    dueAt: booking.pricing.balanceDueAt,
+    overdue: summary.balanceDue > 0 && !!booking.pricing.balanceDueAt && booking.pricing.balanceDueAt <= new Date(),
+    paymentStatus: booking.pricing.paymentStatus
+  };
+};
+
+// @desc  Email guests whose balance after a deposit is due soon or overdue.
+//        Each booking gets at most one of each reminder (tracked in
+//        booking.notifications); bookings already sent the reminder they are
+//        due are left out of the query, so they cannot crowd out the rest.
+const sendBalanceReminders = async ({ at = new Date() } = {}) => {
+  const bookings = await Booking.find({
+    status: { $in: ['pending', 'confirmed', 'checked_in', 'checked_out'] },
+    'pricing.paymentStatus': 'partially_paid',
+    $or: [
+      {
+        'pricing.balanceDueAt': { $gt: at, $lte: new Date(at.getTime() + BALANCE_REMINDER_LEAD_DAYS * DAY_MS) },
+        'notifications.type': { $ne: 'balance_reminder' }
+      },
+      {
+        'pricing.balanceDueAt': { $lte: at },
+        'notifications.type': { $ne: 'balance_overdue' }
+      }
+    ]
+  })
+    .sort({ 'pricing.balanceDueAt': 1 })
+    .populate({ path: 'customerId', select: 'firstName lastName userId', populate: { path: 'userId', select: 'email' } })
+    .populate('hotelId', 'name')
+    .limit(200);
+
+  let sent = 0;
+  for (const booking of bookings) {
+    try {
+      const overdue = booking.pricing.balanceDueAt <= at;
+      const type = overdue ? 'balance_overdue' : 'balance_reminder';
+
+      const { summary } = await getLedger(booking._id);
+      if (summary.balanceDue <= 0) continue;
+
+      const email = booking.contactDetails?.email || booking.customerId?.userId?.email;
+      if (!email) continue;
+
+      await sendBalanceReminderEmail(email, booking.customerId?.firstName || 'Guest', {
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        hotelName: booking.hotelId?.name || 'your hotel',
+        checkIn: booking.bookingDetails.checkIn,
+        dueAt: booking.pricing.balanceDueAt,
+        balanceDue: summary.balanceDue,
+        currency: booking.pricing.currency || 'INR',
+        overdue
+      });
+
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $push: { notifications: { type, sentAt: new Date(), method: 'email' } } }
+      );
+      sent += 1;
+    } catch (error) {
+      logger.error('Balance reminder error:', error);
+    }
+  }
+
+  if (sent) logger.info(`Sent ${sent} balance reminders`);
+  return sent;
+};
+
+module.exports = {
+  BALANCE_REMINDER_LEAD_DAYS,
+  buildBalancePolicy,
+  getBalance,
+  sendBalanceReminders
+};
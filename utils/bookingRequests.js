@@ -0,0 +1,103 @@
+const Booking = require('../models/Booking');
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const Customer = require('../models/Customer');
+const { settleAuthorizations } = require('./payments');
+const { sendBookingRequestEmail, sendBookingRequestDeclinedEmail, sendBookingConfirmationEmail } = require('./email');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// @desc  'instant' or 'request' for booking `room` at `hotel`
+const bookingModeFor = (hotel, room) => room?.bookingMode || hotel?.bookingMode?.mode || 'instant';
+
+// @desc  When the hotel must answer a request made at `at`: responseHours
+//        later, but by check-in (and never in less than an hour)
+const responseDueAtFor = (hotel, checkIn, at = new Date()) => {
+  const hours = hotel?.bookingMode?.responseHours || 24;
+  const due = Math.min(at.getTime() + hours * HOUR_MS, new Date(checkIn).getTime());
+  return new Date(Math.max(due, at.getTime() + HOUR_MS));
+};
+
+const recordNotification = (booking, type) => Booking.updateOne(
+  { _id: booking._id },
+  { $push: { notifications: { type, sentAt: new Date(), method: 'email' } } }
+);
+
+// @desc  Tell the hotel about a new booking request. Failures are logged; the
+//        request stands either way.
+const notifyBookingRequest = async (booking) => {
+  try {
+    const hotel = await Hotel.findById(booking.hotelId).select('name contactInfo userId').populate('userId', 'email');
+    const email = hotel?.contactInfo?.email || hotel?.userId?.email;
+    if (!email) return;
+
+    const room = await Room.findById(booking.roomId).select('name');
+    await sendBookingRequestEmail(email, hotel.name, {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      roomName: booking.items?.length
+        ? booking.items.map(item => `${item.roomName || 'Room'} x${item.numberOfRooms}`).join(', ')
+        : room?.name || 'Room',
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut,
+      numberOfRooms: booking.bookingDetails.numberOfRooms,
+      totalAmount: booking.pricing.totalAmount,
+      currency: booking.pricing.currency || 'INR',
+      responseDueAt: booking.responseDueAt
+    });
+    await recordNotification(booking, 'booking_request');
+  } catch (error) {
+    logger.error('Booking request notification error:', error);
+  }
+};
+
+// @desc  Follow up a pending booking once it has been answered: capture or
+//        release the card authorizations on it and tell the guest whether
+//        the hotel accepted. Call after the new status is saved; does nothing
+//        unless the booking was pending. `expired` when nobody answered.
+const completeBookingRequest = async (booking, previousStatus, { expired = false } = {}) => {
+  if (previousStatus !== 'pending' || booking.status === 'pending') return;
+
+  try {
+    await settleAuthorizations(booking);
+  } catch (error) {
+    logger.error('Settle booking authorizations error:', error);
+  }
+  if (!['confirmed', 'rejected'].includes(booking.status)) return;
+
+  try {
+    const [customer, hotel] = await Promise.all([
+      Customer.findById(booking.customerId).select('firstName userId').populate('userId', 'email'),
+      Hotel.findById(booking.hotelId).select('name')
+    ]);
+    const email = booking.contactDetails?.email || customer?.userId?.email;
+    if (!email) return;
+
+    const details = {
+      bookingReference: booking.bookingReference,
+      hotelName: hotel?.name || 'the hotel',
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut,
+      guests: booking.bookingDetails.guests,
+      numberOfRooms: booking.bookingDetails.numberOfRooms,
+      totalAmount: booking.pricing.totalAmount
+    };
+    if (booking.status === 'confirmed') {
+      await sendBookingConfirmationEmail(email, customer?.firstName || 'Guest', details);
+      await recordNotification(booking, 'booking_confirmed');
+    } else {
+      await sendBookingRequestDeclinedEmail(email, customer?.firstName || 'Guest', { ...details, expired });
+      await recordNotification(booking, 'booking_rejected');
+    }
+  } catch (error) {
+    logger.error('Booking request answer notification error:', error);
+  }
+};
+
+module.exports = {
+  bookingModeFor,
+  responseDueAtFor,
+  notifyBookingRequest,
+  completeBookingRequest
+};
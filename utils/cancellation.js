@@ -0,0 +1,164 @@
+const Hotel = require('../models/Hotel');
+const { roundMoney } = require('./pricing');
+const { getLedger } = require('./ledger');
+
+// Used for hotels that have not set their own tiers
+const DEFAULT_CANCELLATION_TIERS = [
+  { hoursBeforeCheckIn: 24, refundPercentage: 80 },
+  { hoursBeforeCheckIn: 12, refundPercentage: 50 }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const describeWindow = (hours) =>
+  hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours} hours`;
+
+const describeTier = (tier) => {
+  const refund = tier.refundPercentage >= 100 ? 'Full refund' : `${tier.refundPercentage}% refund`;
+  return tier.hoursBeforeCheckIn > 0
+    ? `${refund} up to ${describeWindow(tier.hoursBeforeCheckIn)} before check-in`
+    : `${refund} until check-in`;
+};
+
+// @desc  Combine a hotel's tiers with the terms of the rate plan sold. A
+//        non-refundable plan overrides everything; a plan's free-cancellation
+//        window adds a full-refund tier.
+const buildCancellationPolicy = (hotel, ratePlan) => {
+  if (ratePlan?.cancellation?.refundable === false) {
+    return { refundable: false, tiers: [] };
+  }
+
+  const hotelTiers = hotel?.cancellationPolicy?.tiers || [];
+  const tiers = (hotelTiers.length ? hotelTiers : DEFAULT_CANCELLATION_TIERS)
+    .map(({ hoursBeforeCheckIn, refundPercentage }) => ({ hoursBeforeCheckIn, refundPercentage }));
+  if (ratePlan?.cancellation?.freeCancellationHours != null) {
+    tiers.push({ hoursBeforeCheckIn: ratePlan.cancellation.freeCancellationHours, refundPercentage: 100 });
+  }
+
+  return {
+    refundable: true,
+    tiers: tiers.sort((a, b) => b.hoursBeforeCheckIn - a.hoursBeforeCheckIn)
+  };
+};
+
+// @desc  Policy a booking is cancelled under: the snapshot taken at sale, or
+//        for older bookings the hotel's current tiers
+const resolveCancellationPolicy = async (booking) => {
+  if (booking.cancellationPolicy) return booking.cancellationPolicy;
+  const hotel = await Hotel.findById(booking.hotelId?._id || booking.hotelId).select('cancellationPolicy');
+  return buildCancellationPolicy(hotel, booking.ratePlan);
+};
+
+// What the guest has actually paid so far (less refunds, unless `gross`),
+// from the ledger; bookings paid before the ledger existed fall back to
+// their payment status
+const amountPaid = async (booking, { gross = false } = {}) => {
+  const { summary } = await getLedger(booking._id);
+  if (summary.paid > 0) return gross ? summary.paid : summary.netPaid;
+  const { pricing } = booking;
+  if (pricing.paymentStatus === 'paid') return pricing.totalAmount;
+  if (pricing.paymentStatus === 'partially_paid' || pricing.depositPaid) return pricing.depositAmount || 0;
+  return 0;
+};
+
+// @desc  Share of the price refunded under `policy` when cancelling
+//        `hoursBeforeCheckIn` ahead, and why. Hotel-initiated cancellations
+//        always refund in full.
+const refundTermsFor = (policy, hoursBeforeCheckIn, cancelledBy) => {
+  if (cancelledBy === 'hotel') {
+    return { refundPercentage: 100, description: 'Cancelled by the hotel: full refund' };
+  }
+  if (!policy.refundable) {
+    return { refundPercentage: 0, description: 'Non-refundable rate' };
+  }
+  const tier = policy.tiers
+    .filter(t => hoursBeforeCheckIn >= t.hoursBeforeCheckIn)
+    .sort((a, b) => b.refundPercentage - a.refundPercentage)[0];
+  return tier
+    ? { refundPercentage: tier.refundPercentage, description: describeTier(tier) }
+    : { refundPercentage: 0, description: 'No refund' };
+};
+
+// A multi-room reservation's fee is what its cancelled items already cost
+// plus each active item on its own rate plan's terms
+const itemizedFee = (booking, hoursBeforeCheckIn, cancelledBy) => {
+  let fee = 0;
+  const descriptions = [];
+  for (const item of booking.items) {
+    if (item.status === 'cancelled') {
+      fee += item.cancellation?.cancellationFee || 0;
+      continue;
+    }
+    const terms = refundTermsFor(item.cancellationPolicy || booking.cancellationPolicy, hoursBeforeCheckIn, cancelledBy);
+    fee += item.pricing.totalAmount * (100 - terms.refundPercentage) / 100;
+    descriptions.push(`${item.roomName || 'Room'}: ${terms.description}`);
+  }
+  return { fee: roundMoney(fee), description: descriptions.join('; ') };
+};
+
+// @desc  Work out the refund for cancelling `booking` at `at`. The policy's
+//        percentage decides the cancellation fee (charged on the booking
+//        total); the guest gets back whatever they paid above that fee.
+//        Hotel-initiated cancellations always refund everything paid.
+const calculateRefund = async (booking, { at = new Date(), cancelledBy = 'customer' } = {}) => {
+  const policy = await resolveCancellationPolicy(booking);
+  const hoursBeforeCheckIn = (new Date(booking.bookingDetails.checkIn) - at) / HOUR_MS;
+
+  const totalAmount = booking.pricing.totalAmount || 0;
+  let { refundPercentage, description } = refundTermsFor(policy, hoursBeforeCheckIn, cancelledBy);
+  let cancellationFee = roundMoney(totalAmount * (100 - refundPercentage) / 100);
+  if (booking.items?.length) {
+    ({ fee: cancellationFee, description } = itemizedFee(booking, hoursBeforeCheckIn, cancelledBy));
+    refundPercentage = totalAmount > 0 ? Math.round((1 - cancellationFee / totalAmount) * 100) : 100;
+  }
+  const paidAmount = await amountPaid(booking);
+
+  return {
+    refundable: policy.refundable !== false,
+    hoursBeforeCheckIn: Math.max(0, Math.floor(hoursBeforeCheckIn)),
+    refundPercentage,
+    description,
+    totalAmount,
+    paidAmount,
+    cancellationFee,
+    refundAmount: roundMoney(Math.max(0, paidAmount - cancellationFee)),
+    // Refunds already made for items cancelled earlier, which
+    // cancellation.refundAmount (the booking's refund overall) includes
+    refundedBefore: booking.items?.length
+      ? roundMoney(await amountPaid(booking, { gross: true }) - paidAmount)
+      : undefined,
+    tiers: policy.tiers.map(tier => ({
+      hoursBeforeCheckIn: tier.hoursBeforeCheckIn,
+      refundPercentage: tier.refundPercentage,
+      description: describeTier(tier)
+    }))
+  };
+};
+
+// @desc  Mark a booking cancelled with the refund from calculateRefund. The
+//        caller releases inventory and saves in its transaction; a refund
+//        owed is left pending for the cancellation-refunds job to send.
+//        Throws TRANSITION_INVALID when the booking can no longer be cancelled.
+const applyCancellation = (booking, refund, { cancelledBy, reason, user }) => {
+  booking.transitionTo('cancelled', { user, role: cancelledBy, reason });
+  booking.set('cancellation', {
+    isCancelled: true,
+    cancelledAt: new Date(),
+    cancelledBy,
+    reason,
+    refundPercentage: refund.refundPercentage,
+    cancellationFee: refund.cancellationFee,
+    refundAmount: roundMoney(refund.refundAmount + (refund.refundedBefore || 0)),
+    refundStatus: refund.refundAmount > 0 ? 'pending' : undefined
+  });
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_TIERS,
+  buildCancellationPolicy,
+  resolveCancellationPolicy,
+  refundTermsFor,
+  amountPaid,
+  calculateRefund,
+  applyCancellation
+};
@@ -0,0 +1,145 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { appError } = require('./errors');
+
+// Exchange rates are stored against this currency, and prices in different
+// currencies are compared in it
+const BASE_CURRENCY = 'INR';
+const { SUPPORTED_CURRENCIES } = ExchangeRate;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const currencyError = (message) => appError('CURRENCY_INVALID', message);
+
+// @desc  Current rates as { CODE: units per one BASE_CURRENCY }
+const getRates = async () => {
+  const rows = await ExchangeRate.find().select('currency rate').lean();
+  return rows.reduce((rates, row) => {
+    rates[row.currency] = row.rate;
+    return rates;
+  }, { [BASE_CURRENCY]: 1 });
+};
+
+// @desc  Replace the rates for the currencies given. Rates may be quoted
+//        against another base (e.g. a EUR-based feed); they are rebased onto
+//        BASE_CURRENCY, which the feed must then include.
+const setRates = async (rates, { base = BASE_CURRENCY, source = 'admin', user } = {}) => {
+  const quoted = Object.entries(rates || {}).map(([code, rate]) => [String(code).toUpperCase(), Number(rate)]);
+  const baseCode = String(base).toUpperCase();
+  const baseRate = baseCode === BASE_CURRENCY ? 1 : quoted.find(([code]) => code === BASE_CURRENCY)?.[1];
+  if (!baseRate) {
+    throw currencyError(`Rates quoted against ${baseCode} must include ${BASE_CURRENCY}`);
+  }
+
+  const updates = quoted
+    .filter(([code]) => code !== BASE_CURRENCY && code !== baseCode)
+    .concat(baseCode === BASE_CURRENCY ? [] : [[baseCode, 1]]);
+  for (const [code, rate] of updates) {
+    if (!SUPPORTED_CURRENCIES.includes(code)) throw currencyError(`Unsupported currency ${code}`);
+    if (!(rate > 0)) throw currencyError(`Rate for ${code} must be greater than zero`);
+  }
+
+  if (updates.length) {
+    await ExchangeRate.bulkWrite(updates.map(([code, rate]) => ({
+      updateOne: {
+        filter: { currency: code },
+        update: { $set: { rate: rate / baseRate, source, updatedBy: user?._id } },
+        upsert: true
+      }
+    })));
+  }
+  return getRates();
+};
+
+// @desc  Convert an amount between currencies with the given rates
+const convertAmount = (amount, from, to, rates) => {
+  const source = from || BASE_CURRENCY;
+  if (source === to) return roundMoney(amount);
+  if (!rates[source] || !rates[to]) {
+    throw currencyError(`No exchange rate between ${source} and ${to}`);
+  }
+  return roundMoney(Number(amount) / rates[source] * rates[to]);
+};
+
+// @desc  Converter for a `currency` query parameter, with the rates it uses.
+//        Null when no currency was asked for.
+const getConverter = async (currency) => {
+  if (!currency) return null;
+  const to = String(currency).trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(to)) throw currencyError(`Unsupported currency ${to}`);
+  const rates = await getRates();
+  if (!rates[to]) throw currencyError(`No exchange rate for ${to}`);
+  return {
+    currency: to,
+    rates,
+    convert: (amount, from) => convertAmount(amount, from, to, rates)
+  };
+};
+
+// @desc  A priceStay quote restated in another currency. Components are
+//        converted one by one and the totals re-added, so the lines still sum.
+const convertQuote = (quote, currency, rates) => {
+  const convert = (amount) => convertAmount(amount, quote.currency, currency, rates);
+  const sum = (items) => roundMoney(items.reduce((total, item) => total + item.amount, 0));
+
+  const roomPrice = convert(quote.roomPrice);
+  const discounts = quote.discounts.map(d => ({ ...d, amount: convert(d.amount) }));
+  const taxLines = quote.taxLines.map(line => ({ ...line, amount: convert(line.amount) }));
+  const serviceFee = convert(quote.serviceFee);
+  const discountTotal = sum(discounts);
+  const taxes = sum(taxLines);
+
+  return {
+    ...quote,
+    currency,
+    exchangeRate: { from: quote.currency, rate: rates[currency] / rates[quote.currency || BASE_CURRENCY] },
+    nightlyRates: quote.nightlyRates.map(night => ({ ...night, rate: convert(night.rate) })),
+    roomPrice,
+    discounts,
+    discountTotal,
+    taxLines,
+    taxes,
+    serviceFee,
+    totalAmount: roundMoney(roomPrice - discountTotal + taxes + serviceFee),
+    depositAmount: convert(quote.depositAmount),
+    promo: quote.promo && { ...quote.promo, amount: convert(quote.promo.amount) },
+    loyalty: quote.loyalty && { ...quote.loyalty, amount: convert(quote.loyalty.amount) },
+    lineItems: quote.lineItems.map(item => ({ ...item, amount: convert(item.amount) }))
+  };
+};
+
+// @desc  Hotel filter for a price range given in `currency`: each hotel's
+//        priceRange is compared in its own currency
+const priceRangeQuery = ({ minPrice, maxPrice }, currency, rates) => ({
+  $or: SUPPORTED_CURRENCIES.filter(code => rates[code]).map(code => {
+    const clause = { 'priceRange.currency': code };
+    if (minPrice) clause['priceRange.min'] = { $gte: convertAmount(minPrice, currency, code, rates) };
+    if (maxPrice) clause['priceRange.max'] = { $lte: convertAmount(maxPrice, currency, code, rates) };
+    return clause;
+  })
+});
+
+// @desc  Aggregation expression for a hotel's lowest price in BASE_CURRENCY,
+//        for sorting hotels priced in different currencies. A currency with
+//        no rate is compared unconverted.
+const basePriceExpression = (rates) => ({
+  $switch: {
+    branches: Object.entries(rates).map(([code, rate]) => ({
+      case: { $eq: [{ $ifNull: ['$priceRange.currency', BASE_CURRENCY] }, code] },
+      then: { $divide: ['$priceRange.min', rate] }
+    })),
+    default: '$priceRange.min'
+  }
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  roundMoney,
+  getRates,
+  setRates,
+  convertAmount,
+  getConverter,
+  convertQuote,
+  priceRangeQuery,
+  basePriceExpression
+};
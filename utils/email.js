@@ -3,7 +3,7 @@ const logger = require('./logger');
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: process.env.EMAIL_SERVICE || 'gmail',
     auth: {
       user: process.env.EMAIL_USER,
@@ -140,6 +140,166 @@ const emailTemplates = {
     `
   }),
 
+  // Balance reminder (upcoming or overdue)
+  balanceReminder: (customerName, booking) => ({
+    subject: booking.overdue
+      ? `Payment Overdue - ${booking.bookingReference}`
+      : `Balance Due Soon - ${booking.bookingReference}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: ${booking.overdue ? '#dc3545' : '#ffc107'}; color: ${booking.overdue ? 'white' : '#333'}; padding: 20px; text-align: center;">
+          <h1 style="margin: 0;">${booking.overdue ? 'Your Balance Is Overdue' : 'Your Balance Is Due Soon'}</h1>
+          <p style="margin: 10px 0 0 0;">Reference: ${booking.bookingReference}</p>
+        </div>
+        <div style="padding: 30px 20px;">
+          <h2 style="color: #333;">Hi ${customerName},</h2>
+          <p style="color: #666; line-height: 1.6;">
+            Thank you for your deposit. The rest of your booking at ${booking.hotelName} is
+            ${booking.overdue ? 'now due' : `due by ${new Date(booking.dueAt).toLocaleDateString()}`}.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Check-in:</strong> ${new Date(booking.checkIn).toLocaleDateString()}</p>
+            <p><strong>Balance due:</strong> ${booking.currency} ${booking.balanceDue}</p>
+          </div>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${booking.paymentLink}" 
+               style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Pay Balance
+            </a>
+          </div>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>© 2024 Hotel Booking Portal. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  // New booking request for the hotel to answer
+  bookingRequest: (hotelName, booking) => ({
+    subject: `New Booking Request - ${booking.bookingReference}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #ffc107; color: #333; padding: 20px; text-align: center;">
+          <h1 style="margin: 0;">New Booking Request</h1>
+          <p style="margin: 10px 0 0 0;">Reference: ${booking.bookingReference}</p>
+        </div>
+        <div style="padding: 30px 20px;">
+          <p style="color: #666; line-height: 1.6;">
+            A guest has asked to stay at ${hotelName}. Please confirm or reject the request by
+            ${new Date(booking.responseDueAt).toLocaleString()}; it is rejected automatically after that.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Room:</strong> ${booking.roomName}</p>
+            <p><strong>Check-in:</strong> ${new Date(booking.checkIn).toLocaleDateString()}</p>
+            <p><strong>Check-out:</strong> ${new Date(booking.checkOut).toLocaleDateString()}</p>
+            <p><strong>Rooms:</strong> ${booking.numberOfRooms}</p>
+            <p><strong>Total Amount:</strong> ${booking.currency} ${booking.totalAmount}</p>
+          </div>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/hotel/bookings/${booking.bookingId}" 
+               style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Review Request
+            </a>
+          </div>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>© 2024 Hotel Booking Portal. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  // Booking request the hotel rejected or did not answer in time
+  bookingRequestDeclined: (customerName, booking) => ({
+    subject: `Booking Request Not Accepted - ${booking.bookingReference}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #6c757d; color: white; padding: 20px; text-align: center;">
+          <h1 style="margin: 0;">Booking Request Not Accepted</h1>
+          <p style="margin: 10px 0 0 0;">Reference: ${booking.bookingReference}</p>
+        </div>
+        <div style="padding: 30px 20px;">
+          <h2 style="color: #333;">Hi ${customerName},</h2>
+          <p style="color: #666; line-height: 1.6;">
+            ${booking.expired
+              ? `${booking.hotelName} did not answer your booking request in time, so it has been withdrawn.`
+              : `Unfortunately ${booking.hotelName} could not accept your booking request.`}
+            Any payment authorized on your card has been released and will not be taken.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Check-in:</strong> ${new Date(booking.checkIn).toLocaleDateString()}</p>
+            <p><strong>Check-out:</strong> ${new Date(booking.checkOut).toLocaleDateString()}</p>
+          </div>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>© 2024 Hotel Booking Portal. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  // Upcoming stay reminder
+  checkInReminder: (customerName, booking) => ({
+    subject: `Your Stay Starts Soon - ${booking.bookingReference}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #007bff; color: white; padding: 20px; text-align: center;">
+          <h1 style="margin: 0;">See You Soon!</h1>
+          <p style="margin: 10px 0 0 0;">Reference: ${booking.bookingReference}</p>
+        </div>
+        <div style="padding: 30px 20px;">
+          <h2 style="color: #333;">Hi ${customerName},</h2>
+          <p style="color: #666; line-height: 1.6;">
+            This is a reminder that your stay at ${booking.hotelName} starts on
+            ${new Date(booking.checkIn).toLocaleDateString()}.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Check-in:</strong> ${new Date(booking.checkIn).toLocaleDateString()}${booking.checkInTime ? ` from ${booking.checkInTime}` : ''}</p>
+            <p><strong>Check-out:</strong> ${new Date(booking.checkOut).toLocaleDateString()}</p>
+            ${booking.address ? `<p><strong>Address:</strong> ${booking.address}</p>` : ''}
+          </div>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${booking.bookingLink}" 
+               style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View Booking
+            </a>
+          </div>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>© 2024 Hotel Booking Portal. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  // Grievance past its response deadline
+  grievanceReminder: (grievance) => ({
+    subject: `Grievance Overdue - ${grievance.grievanceNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #dc3545; color: white; padding: 20px; text-align: center;">
+          <h1 style="margin: 0;">Grievance Needs Attention</h1>
+          <p style="margin: 10px 0 0 0;">${grievance.grievanceNumber}</p>
+        </div>
+        <div style="padding: 30px 20px;">
+          <p style="color: #666; line-height: 1.6;">
+            The grievance below was due for resolution by ${new Date(grievance.dueDate).toLocaleString()}
+            and is still ${grievance.status.replace('_', ' ')}.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Subject:</strong> ${grievance.subject}</p>
+            <p><strong>Priority:</strong> ${grievance.priority}</p>
+            <p><strong>Raised:</strong> ${new Date(grievance.createdAt).toLocaleString()}</p>
+          </div>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>© 2024 Hotel Booking Portal. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  }),
+
   // Hotel verification approved
   hotelVerificationApproved: (hotelName) => ({
     subject: 'Your Hotel Has Been Verified!',
@@ -204,6 +364,67 @@ const sendBookingConfirmationEmail = async (email, customerName, bookingDetails)
   });
 };
 
+// Send balance reminder email
+const sendBalanceReminderEmail = async (email, customerName, bookingDetails) => {
+  const template = emailTemplates.balanceReminder(customerName, {
+    ...bookingDetails,
+    paymentLink: `${process.env.FRONTEND_URL}/bookings/${bookingDetails.bookingId}/pay`
+  });
+
+  return await sendEmail({
+    email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send new booking request email to the hotel
+const sendBookingRequestEmail = async (email, hotelName, bookingDetails) => {
+  const template = emailTemplates.bookingRequest(hotelName, bookingDetails);
+
+  return await sendEmail({
+    email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send booking request rejected/expired email
+const sendBookingRequestDeclinedEmail = async (email, customerName, bookingDetails) => {
+  const template = emailTemplates.bookingRequestDeclined(customerName, bookingDetails);
+
+  return await sendEmail({
+    email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send check-in reminder email
+const sendCheckInReminderEmail = async (email, customerName, bookingDetails) => {
+  const template = emailTemplates.checkInReminder(customerName, {
+    ...bookingDetails,
+    bookingLink: `${process.env.FRONTEND_URL}/bookings/${bookingDetails.bookingId}`
+  });
+
+  return await sendEmail({
+    email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send overdue grievance reminder email
+const sendGrievanceReminderEmail = async (email, grievance) => {
+  const template = emailTemplates.grievanceReminder(grievance);
+
+  return await sendEmail({
+    email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
 // Send hotel verification email
 const sendHotelVerificationEmail = async (email, hotelName) => {
   const template = emailTemplates.hotelVerificationApproved(hotelName);
@@ -220,5 +441,10 @@ module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendBookingConfirmationEmail,
+  sendBalanceReminderEmail,
+  sendBookingRequestEmail,
+  sendBookingRequestDeclinedEmail,
+  sendCheckInReminderEmail,
+  sendGrievanceReminderEmail,
   sendHotelVerificationEmail
 };
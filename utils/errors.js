@@ -0,0 +1,27 @@
+// Errors the utils throw for a route to pass on to the client. `code` names
+// the kind of failure (e.g. PRICING_INVALID), `statusCode` is the HTTP status
+// to answer with and `details` carries anything the client needs to act on it.
+
+// @desc  Build a coded error
+const appError = (code, message, statusCode = 400, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+// @desc  Answer a coded error as { success: false, code, message, details }.
+//        Routes pick which codes they answer this way; anything else is
+//        theirs to log and turn into a 500.
+const sendAppError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  code: error.code,
+  message: error.message,
+  details: error.details
+});
+
+module.exports = {
+  appError,
+  sendAppError
+};
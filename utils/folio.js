@@ -0,0 +1,142 @@
+const { withTransaction } = require('./transaction');
+const { roundMoney } = require('./pricing');
+const { recordEntry } = require('./ledger');
+const { appError } = require('./errors');
+
+const folioError = (message, statusCode) => appError('FOLIO_INVALID', message, statusCode);
+
+// @desc  Net, tax and total of a folio line. With taxInclusive the unit
+//        price already contains the tax, which is backed out of it.
+const priceFolioItem = ({ quantity = 1, unitPrice, taxRate = 0, taxInclusive = false }) => {
+  const gross = Number(quantity) * Number(unitPrice);
+  const rate = Number(taxRate) / 100;
+  const amount = roundMoney(taxInclusive ? gross / (1 + rate) : gross);
+  const taxAmount = roundMoney(taxInclusive ? gross - amount : gross * rate);
+  return { amount, taxAmount, total: roundMoney(amount + taxAmount) };
+};
+
+// @desc  Folio lines (voided ones included, marked as such) with totals of
+//        what is charged
+const summarizeFolio = (booking) => {
+  const items = booking.folio || [];
+  const charged = items.filter(item => item.status !== 'voided');
+  const sum = (field) => roundMoney(charged.reduce((total, item) => total + (item[field] || 0), 0));
+  return {
+    items,
+    amount: sum('amount'),
+    taxAmount: sum('taxAmount'),
+    total: sum('total'),
+    settledAt: booking.checkOutDetails?.folioSettledAt
+  };
+};
+
+// Damage lines keep the older checkOutDetails.damageCharges total current
+const syncDamageCharges = (booking) => {
+  booking.checkOutDetails.damageCharges = roundMoney((booking.folio || [])
+    .filter(item => item.category === 'damage' && item.status !== 'voided')
+    .reduce((total, item) => total + item.total, 0));
+};
+
+const addFolioItem = (booking, { category, description, quantity = 1, unitPrice, taxRate = 0, taxInclusive = false }, user) => {
+  booking.folio.push({
+    category,
+    description,
+    quantity,
+    unitPrice,
+    taxRate,
+    taxInclusive,
+    ...priceFolioItem({ quantity, unitPrice, taxRate, taxInclusive }),
+    postedBy: user?._id
+  });
+  syncDamageCharges(booking);
+  return booking.folio[booking.folio.length - 1];
+};
+
+const chargeEntry = (item, user) => ({
+  type: 'charge',
+  category: 'folio',
+  amount: item.total,
+  description: `${item.description}${item.quantity > 1 ? ` x${item.quantity}` : ''}`,
+  folioItemId: item._id,
+  user,
+  role: 'hotel'
+});
+
+// @desc  Post an incidental charge to a checked-in guest's folio and account
+const postFolioCharge = async (booking, fields, { user } = {}) => {
+  if (booking.status !== 'checked_in') {
+    throw folioError('Charges can only be posted while the guest is checked in');
+  }
+
+  const item = addFolioItem(booking, fields, user);
+  await withTransaction(async (session) => {
+    await booking.save({ session, validateModifiedOnly: true });
+    await recordEntry(booking, chargeEntry(item, user), { session });
+  });
+  return item;
+};
+
+// @desc  Take back a charge posted in error; the account gets a matching credit
+const voidFolioCharge = async (booking, itemId, { reason, user } = {}) => {
+  if (booking.status !== 'checked_in') {
+    throw folioError('Charges can only be voided while the guest is checked in');
+  }
+  const item = booking.folio.id(itemId);
+  if (!item) throw folioError('Folio item not found', 404);
+  if (item.status !== 'open') throw folioError(`This charge is already ${item.status}`);
+
+  item.status = 'voided';
+  item.voidedAt = new Date();
+  item.voidReason = reason;
+  syncDamageCharges(booking);
+  await withTransaction(async (session) => {
+    await booking.save({ session, validateModifiedOnly: true });
+    await recordEntry(booking, {
+      type: 'adjustment',
+      category: 'folio',
+      amount: -item.total,
+      description: `Void: ${item.description}${reason ? ` (${reason})` : ''}`,
+      folioItemId: item._id,
+      user,
+      role: 'hotel'
+    }, { session });
+  });
+  return item;
+};
+
+// @desc  Close the folio at check-out: post any last charges (e.g. damages
+//        found on inspection), take a front-desk payment if one was made, and
+//        settle every open line. Runs in the check-out transaction; the
+//        caller saves the booking first.
+const settleFolio = async (booking, { charges = [], deskPayment, user, session }) => {
+  for (const fields of charges) {
+    const item = addFolioItem(booking, fields, user);
+    await recordEntry(booking, chargeEntry(item, user), { session });
+  }
+
+  if (deskPayment?.amount > 0) {
+    await recordEntry(booking, {
+      type: 'payment',
+      category: 'payment',
+      amount: deskPayment.amount,
+      description: `Paid at front desk (${deskPayment.method.replace('_', ' ')})`,
+      user,
+      role: 'hotel'
+    }, { session });
+  }
+
+  booking.folio.forEach(item => {
+    if (item.status === 'open') item.status = 'settled';
+  });
+  booking.checkOutDetails.folioSettledAt = new Date();
+  await booking.save({ session, validateModifiedOnly: true });
+  return summarizeFolio(booking);
+};
+
+module.exports = {
+  priceFolioItem,
+  summarizeFolio,
+  postFolioCharge,
+  voidFolioCharge,
+  settleFolio
+};
@@ -0,0 +1,56 @@
+const Grievance = require('../models/Grievance');
+const User = require('../models/User');
+const { sendGrievanceReminderEmail } = require('./email');
+const logger = require('./logger');
+
+const OPEN_STATUSES = ['open', 'acknowledged', 'in_progress', 'escalated'];
+
+const dueDateFor = (grievance) => new Date(
+  grievance.createdAt.getTime() + Grievance.SLA_HOURS[grievance.priority || 'medium'] * 60 * 60 * 1000
+);
+
+// @desc  Email the assignee (or, when unassigned, every active admin) about
+//        open grievances past their dueDate. Each grievance is chased once
+//        (reminderSent). Grievances filed before deadlines existed get theirs.
+const sendGrievanceReminders = async ({ at = new Date() } = {}) => {
+  const grievances = await Grievance.find({
+    status: { $in: OPEN_STATUSES },
+    reminderSent: { $ne: true },
+    $or: [{ dueDate: { $lte: at } }, { dueDate: { $exists: false } }, { dueDate: null }]
+  }).limit(200);
+
+  let admins = null;
+  let sent = 0;
+  for (const grievance of grievances) {
+    try {
+      if (!grievance.dueDate) {
+        grievance.dueDate = dueDateFor(grievance);
+        await Grievance.updateOne({ _id: grievance._id }, { $set: { dueDate: grievance.dueDate } });
+        if (grievance.dueDate > at) continue;
+      }
+
+      let recipients;
+      if (grievance.assignedTo?.userId) {
+        recipients = await User.find({ _id: grievance.assignedTo.userId, isActive: true }).select('email');
+      } else {
+        admins = admins || await User.find({ role: 'admin', isActive: true }).select('email');
+        recipients = admins;
+      }
+      for (const user of recipients) {
+        await sendGrievanceReminderEmail(user.email, grievance);
+      }
+
+      await Grievance.updateOne({ _id: grievance._id }, { $set: { reminderSent: true } });
+      sent += 1;
+    } catch (error) {
+      logger.error('Grievance reminder error:', error);
+    }
+  }
+
+  if (sent) logger.info(`Sent reminders for ${sent} overdue grievances`);
+  return sent;
+};
+
+module.exports = {
+  sendGrievanceReminders
+};
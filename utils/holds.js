@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const BookingHold = require('../models/BookingHold');
+const { withTransaction } = require('./transaction');
+const { toNight, reserveNights, releaseNights, reserveForBooking } = require('./inventory');
+const logger = require('./logger');
+const { appError } = require('./errors');
+
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 15;
+const MAX_ACTIVE_HOLDS = parseInt(process.env.BOOKING_MAX_ACTIVE_HOLDS) || 3;
+
+const holdError = (message, statusCode) => appError('HOLD_INVALID', message, statusCode);
+
+// Atomically move an active hold to a closed status and give its rooms back.
+// Returns null when the hold was already closed (e.g. the sweeper won the race).
+const closeHold = async (holdId, status, { session, update = {} } = {}) => {
+  const hold = await BookingHold.findOneAndUpdate(
+    { _id: holdId, status: 'active' },
+    { ...update, status, closedAt: new Date() },
+    { new: true, session }
+  );
+  if (!hold) return null;
+
+  await releaseNights(hold.roomId, hold.checkIn, hold.checkOut, hold.numberOfRooms, { session, field: 'held' });
+  return hold;
+};
+
+// @desc  Hold `numberOfRooms` of `room` for a customer for HOLD_MINUTES
+const createHold = async ({ customer, room, checkIn, checkOut, numberOfRooms }) => {
+  const activeHolds = await BookingHold.countDocuments({
+    customerId: customer._id,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+  if (activeHolds >= MAX_ACTIVE_HOLDS) {
+    throw holdError(`You can hold at most ${MAX_ACTIVE_HOLDS} rooms at a time`, 429);
+  }
+
+  const hold = new BookingHold({
+    token: crypto.randomBytes(24).toString('hex'),
+    customerId: customer._id,
+    hotelId: room.hotelId,
+    roomId: room._id,
+    checkIn: new Date(checkIn),
+    checkOut: new Date(checkOut),
+    numberOfRooms,
+    expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+  });
+
+  await withTransaction(async (session) => {
+    await reserveNights(room, checkIn, checkOut, numberOfRooms, { session, field: 'held' });
+    await hold.save({ session });
+  });
+
+  return hold;
+};
+
+// @desc  Give a hold's rooms back before it expires (guest abandoned checkout)
+const releaseHold = (hold) => withTransaction(session => closeHold(hold._id, 'released', { session }));
+
+// @desc  Turn an active hold into sold inventory for `booking`. Must run in
+//        the transaction that saves the booking.
+const redeemHold = async (hold, booking, room, { session }) => {
+  if (hold.status !== 'active' || hold.expiresAt <= new Date()) {
+    throw holdError('This hold has expired or was already used. Please check availability again.', 410);
+  }
+
+  const { checkIn, checkOut, numberOfRooms } = booking.bookingDetails;
+  const matches = hold.roomId.equals(room._id) &&
+    toNight(hold.checkIn).getTime() === toNight(checkIn).getTime() &&
+    toNight(hold.checkOut).getTime() === toNight(checkOut).getTime() &&
+    hold.numberOfRooms === Number(numberOfRooms);
+  if (!matches) {
+    throw holdError('Booking details do not match the held room and dates', 400);
+  }
+
+  const closed = await closeHold(hold._id, 'redeemed', { session, update: { bookingId: booking._id } });
+  if (!closed) {
+    throw holdError('This hold has expired or was already used. Please check availability again.', 410);
+  }
+  await reserveForBooking(booking, { session, room });
+};
+
+// @desc  Expire every hold past its expiry and release its rooms
+const sweepExpiredHolds = async () => {
+  const expired = await BookingHold.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(500);
+
+  let count = 0;
+  for (const { _id } of expired) {
+    try {
+      const closed = await withTransaction(session => closeHold(_id, 'expired', { session }));
+      if (closed) count += 1;
+    } catch (error) {
+      logger.error('Expire booking hold error:', error);
+    }
+  }
+
+  if (count) logger.info(`Expired ${count} booking holds`);
+  return count;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  createHold,
+  releaseHold,
+  redeemHold,
+  sweepExpiredHolds
+};
@@ -0,0 +1,212 @@
+const RoomInventory = require('../models/RoomInventory');
+const Room = require('../models/Room');
+const { appError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking statuses that occupy rooms in the ledger
+const INVENTORY_HOLDING_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+// Normalize any date-like value to the UTC midnight used as the ledger key
+const toNight = (value) => {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Longest range eachNight walks. A year covers any stay and any calendar
+// view; a longer range is a bad request, not something to allocate.
+const MAX_NIGHTS = 366;
+
+// Longest stay one booking, hold or quote may cover
+const MAX_STAY_NIGHTS = 90;
+
+// Nights between two dates, counted without walking them
+const countNights = (from, to) => Math.round((toNight(to) - toNight(from)) / DAY_MS);
+
+// Nights occupied by a stay: [checkIn, checkOut)
+const eachNight = (checkIn, checkOut) => {
+  if (countNights(checkIn, checkOut) > MAX_NIGHTS) {
+    throw appError('DATE_RANGE_INVALID', 'Date range cannot exceed one year');
+  }
+  const nights = [];
+  const end = toNight(checkOut);
+  for (let night = toNight(checkIn); night < end; night = new Date(night.getTime() + DAY_MS)) {
+    nights.push(night);
+  }
+  return nights;
+};
+
+const inventoryConflict = (message, details) => appError('ROOM_UNAVAILABLE', message, 409, details);
+
+// @desc  Map an error thrown inside a booking transaction to a 409 conflict,
+//        or null if it is not one. Transactions that keep losing write
+//        conflicts on the same nights are reported the same way, since the
+//        guest's only option is to retry or pick other dates.
+const asInventoryConflict = (error) => {
+  if (!error) return null;
+  if (error.statusCode === 409) return error;
+  const transient = typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+  if (error.code === 112 || transient) {
+    return inventoryConflict('The selected rooms were just booked by someone else. Please try again.');
+  }
+  return null;
+};
+
+const roomIdOf = (booking) => booking.roomId?._id || booking.roomId;
+
+// @desc  Per-night and overall availability of a room type for a stay
+const getAvailability = async (room, checkIn, checkOut, { session } = {}) => {
+  const nights = eachNight(checkIn, checkOut);
+  const rows = await RoomInventory.find({ roomId: room._id, date: { $in: nights } }).session(session || null);
+  const byNight = new Map(rows.map(row => [row.date.getTime(), row]));
+
+  const perNight = nights.map(date => {
+    const row = byNight.get(date.getTime());
+    const sold = row?.sold || 0;
+    const held = row?.held || 0;
+    const blocked = row?.blocked || 0;
+    return { date, sold, held, blocked, available: Math.max(0, room.totalRooms - sold - held - blocked) };
+  });
+
+  return {
+    available: perNight.length ? Math.min(...perNight.map(n => n.available)) : 0,
+    nights: perNight
+  };
+};
+
+// @desc  Take `count` rooms for every night of the stay, or throw a 409 error.
+//        Each night is a guarded increment, so concurrent writers can never
+//        push sold + held + blocked above room.totalRooms.
+const reserveNights = async (room, checkIn, checkOut, count, { session, field = 'sold' } = {}) => {
+  const nights = eachNight(checkIn, checkOut);
+  if (!nights.length) {
+    throw inventoryConflict('Stay must cover at least one night');
+  }
+
+  for (const date of nights) {
+    await RoomInventory.updateOne(
+      { roomId: room._id, date },
+      { $setOnInsert: { hotelId: room.hotelId } },
+      { upsert: true, session }
+    );
+
+    const updated = await RoomInventory.findOneAndUpdate(
+      {
+        roomId: room._id,
+        date,
+        $expr: { $lte: [{ $add: ['$sold', '$held', '$blocked', count] }, room.totalRooms] }
+      },
+      { $inc: { [field]: count } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      const { available } = await getAvailability(room, checkIn, checkOut, { session });
+      throw inventoryConflict(`Only ${available} rooms available for the selected dates`, {
+        roomId: room._id,
+        night: date,
+        requested: count,
+        available
+      });
+    }
+  }
+};
+
+// @desc  Give back `count` rooms for the nights in [from, to). Counts are
+//        clamped at zero so bookings made before the ledger existed are safe.
+const releaseNights = async (roomId, from, to, count, { session, field = 'sold' } = {}) => {
+  const nights = eachNight(from, to);
+  if (!nights.length) return;
+
+  await RoomInventory.updateMany(
+    { roomId, date: { $in: nights } },
+    [{ $set: { [field]: { $max: [0, { $subtract: [`$${field}`, count] }] } } }],
+    { session }
+  );
+};
+
+// @desc  Set the number of rooms taken out of sale for each night in [from, to)
+const setBlockedNights = async (room, from, to, count, { session } = {}) => {
+  for (const date of eachNight(from, to)) {
+    await RoomInventory.updateOne(
+      { roomId: room._id, date },
+      { $setOnInsert: { hotelId: room.hotelId } },
+      { upsert: true, session }
+    );
+
+    const updated = await RoomInventory.findOneAndUpdate(
+      {
+        roomId: room._id,
+        date,
+        $expr: { $lte: [{ $add: ['$sold', '$held', count] }, room.totalRooms] }
+      },
+      { $set: { blocked: count } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw inventoryConflict('Cannot block more rooms than are unsold', { roomId: room._id, night: date, requested: count });
+    }
+  }
+};
+
+// @desc  Room types and counts a booking holds: its active items for a
+//        multi-room reservation, otherwise roomId x numberOfRooms
+const bookedRooms = (booking) => (booking.items?.length
+  ? booking.items.filter(item => item.status !== 'cancelled')
+    .map(item => ({ roomId: roomIdOf(item), numberOfRooms: item.numberOfRooms }))
+  : [{ roomId: roomIdOf(booking), numberOfRooms: booking.bookingDetails.numberOfRooms }]);
+
+// `room` saves a lookup when the caller already has the booked room loaded
+const reserveForBooking = async (booking, { session, room } = {}) => {
+  const { checkIn, checkOut } = booking.bookingDetails;
+  for (const { roomId, numberOfRooms } of bookedRooms(booking)) {
+    const target = room && String(room._id) === String(roomId)
+      ? room
+      : await Room.findById(roomId).session(session || null);
+    if (!target) {
+      throw appError('ROOM_NOT_FOUND', 'Room not found', 404);
+    }
+    await reserveNights(target, checkIn, checkOut, numberOfRooms, { session });
+  }
+};
+
+// `from` releases only the remaining nights (early check-out, no-show)
+const releaseForBooking = async (booking, { session, from } = {}) => {
+  const { checkIn, checkOut } = booking.bookingDetails;
+  const start = from && toNight(from) > toNight(checkIn) ? from : checkIn;
+  for (const { roomId, numberOfRooms } of bookedRooms(booking)) {
+    await releaseNights(roomId, start, checkOut, numberOfRooms, { session });
+  }
+};
+
+// @desc  Keep the ledger in step with a booking status change. Call after
+//        booking.status has been updated, inside the same transaction.
+const syncBookingStatus = async (booking, previousStatus, { session, at = new Date() } = {}) => {
+  const wasHolding = INVENTORY_HOLDING_STATUSES.includes(previousStatus);
+  const isHolding = INVENTORY_HOLDING_STATUSES.includes(booking.status);
+
+  if (wasHolding && !isHolding) {
+    await releaseForBooking(booking, { session, from: at });
+  } else if (!wasHolding && isHolding) {
+    await reserveForBooking(booking, { session });
+  }
+};
+
+module.exports = {
+  INVENTORY_HOLDING_STATUSES,
+  MAX_NIGHTS,
+  MAX_STAY_NIGHTS,
+  asInventoryConflict,
+  toNight,
+  countNights,
+  eachNight,
+  getAvailability,
+  reserveNights,
+  releaseNights,
+  setBlockedNights,
+  bookedRooms,
+  reserveForBooking,
+  releaseForBooking,
+  syncBookingStatus
+};
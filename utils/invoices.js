@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Hotel = require('../models/Hotel');
+const Customer = require('../models/Customer');
+const Room = require('../models/Room');
+const { withTransaction } = require('./transaction');
+const { roundMoney } = require('./pricing');
+const { getLedger } = require('./ledger');
+const { summarizeFolio } = require('./folio');
+const { appError } = require('./errors');
+
+const invoiceError = (message, statusCode) => appError('INVOICE_INVALID', message, statusCode);
+
+// Nothing is owed on these, so there is nothing to invoice
+const NOT_INVOICEABLE_STATUSES = ['pending', 'rejected'];
+
+const formatInvoiceNumber = (year, seq) => `INV-${year}-${String(seq).padStart(6, '0')}`;
+
+// @desc  Everything printed on the invoice, worked out from the booking, its
+//        folio and its ledger
+const buildInvoiceData = async (booking) => {
+  const [hotel, customer, room, { entries, summary }] = await Promise.all([
+    Hotel.findById(booking.hotelId),
+    Customer.findById(booking.customerId).populate('userId', 'email'),
+    Room.findById(booking.roomId).select('name roomType'),
+    getLedger(booking._id)
+  ]);
+  const { pricing } = booking;
+
+  const stayLines = pricing.lineItems?.length
+    ? pricing.lineItems.map(item => ({ description: item.description, amount: item.amount }))
+    : [
+      { description: `Room charges (${booking.bookingDetails.totalNights} nights)`, amount: pricing.roomPrice },
+      { description: pricing.discount?.reason || 'Discount', amount: -(pricing.discount?.amount || 0) },
+      { description: 'Taxes', amount: pricing.taxes },
+      { description: 'Service fee', amount: pricing.serviceFee }
+    ].filter((line, i) => i === 0 || line.amount);
+
+  // The ledger's stay entries already follow price changes; what they add up
+  // to beyond the current price is a cancellation or rejection
+  const stayEntries = entries.filter(entry => entry.category === 'stay');
+  const stayCharged = stayEntries.length
+    ? roundMoney(stayEntries.reduce((sum, entry) => sum + entry.amount, 0))
+    : pricing.totalAmount;
+  const stayDifference = roundMoney(stayCharged - pricing.totalAmount);
+  if (stayDifference) {
+    stayLines.push({ description: booking.status === 'cancelled' ? 'Cancellation' : 'Adjustment', amount: stayDifference });
+  }
+
+  const folio = summarizeFolio(booking);
+  const folioLines = folio.items
+    .filter(item => item.status !== 'voided')
+    .map(item => ({
+      description: `${item.description}${item.quantity > 1 ? ` x${item.quantity}` : ''}`,
+      amount: item.amount,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      total: item.total
+    }));
+
+  const adjustmentLines = entries
+    .filter(entry => entry.category === 'manual')
+    .map(entry => ({ description: entry.description, amount: entry.amount }));
+
+  const paymentLines = entries
+    .filter(entry => entry.type === 'payment' || entry.type === 'refund')
+    .map(entry => ({
+      date: entry.createdAt,
+      description: entry.description,
+      amount: entry.type === 'refund' ? -entry.amount : entry.amount
+    }));
+
+  // Tax summary: the stay's taxes as priced (nothing is left of them once a
+  // cancellation fee replaces the stay) and incidentals' tax by rate
+  const stayTaxLines = stayDifference && booking.status === 'cancelled'
+    ? []
+    : pricing.lineItems?.length
+      ? pricing.lineItems.filter(item => item.type === 'tax').map(item => ({ description: item.description, amount: item.amount }))
+      : [{ description: 'Taxes', amount: pricing.taxes || 0 }];
+  const folioTaxByRate = folioLines.reduce((rates, line) => {
+    if (line.taxAmount) rates.set(line.taxRate, (rates.get(line.taxRate) || 0) + line.taxAmount);
+    return rates;
+  }, new Map());
+  const taxLines = [
+    ...stayTaxLines,
+    ...[...folioTaxByRate].map(([rate, amount]) => ({ description: `Tax on incidentals (${rate}%)`, amount: roundMoney(amount) }))
+  ].filter(line => line.amount);
+
+  const total = roundMoney(stayCharged + folio.total + adjustmentLines.reduce((sum, line) => sum + line.amount, 0));
+  const netPaid = summary.netPaid;
+
+  return {
+    hotel,
+    customer,
+    room,
+    currency: pricing.currency || 'INR',
+    stay: {
+      description: booking.items?.length
+        ? `Rooms: ${booking.items.filter(item => item.status !== 'cancelled').map(item => `${item.roomName || 'Room'} x${item.numberOfRooms}`).join(', ')}`
+        : `Room: ${room?.name || '-'}${booking.ratePlan?.name ? ` (${booking.ratePlan.name})` : ''}`,
+      checkIn: booking.bookingDetails.checkIn,
+      checkOut: booking.bookingDetails.checkOut,
+      nights: booking.bookingDetails.totalNights
+    },
+    stayLines,
+    folioLines,
+    adjustmentLines,
+    paymentLines,
+    taxLines,
+    taxes: roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    total,
+    netPaid,
+    balanceDue: roundMoney(total - netPaid)
+  };
+};
+
+// @desc  What an invoice number fixes: the stay and every charge on it
+const invoiceSnapshot = (data) => ({
+  currency: data.currency,
+  stay: data.stay,
+  stayLines: data.stayLines,
+  folioLines: data.folioLines,
+  adjustmentLines: data.adjustmentLines,
+  taxLines: data.taxLines,
+  taxes: data.taxes,
+  total: data.total
+});
+
+const hashSnapshot = (snapshot) => crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+
+// Issues lost to a concurrent request (the same booking's invoice, or the
+// first number of a year) are looked at again this many times
+const MAX_ISSUE_ATTEMPTS = 3;
+
+// @desc  The booking's current invoice for `data` (from buildInvoiceData),
+//        numbering it on first use and again whenever the charges have
+//        changed since, superseding the earlier number. Numbers run in
+//        sequence per calendar year; the counter and the invoice are written
+//        together, so a failed issue does not burn a number.
+const issueInvoice = async (booking, data) => {
+  if (NOT_INVOICEABLE_STATUSES.includes(booking.status)) {
+    throw invoiceError(`A ${booking.status} booking cannot be invoiced`);
+  }
+
+  const snapshot = invoiceSnapshot(data || await buildInvoiceData(booking));
+  const contentHash = hashSnapshot(snapshot);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const current = await Invoice.findOne({ bookingId: booking._id, status: 'issued' });
+    if (current?.contentHash === contentHash) return current;
+
+    try {
+      return await withTransaction(async (session) => {
+        const issuedAt = new Date();
+        const year = issuedAt.getUTCFullYear();
+        const counter = await Counter.findOneAndUpdate(
+          { _id: `invoice-${year}` },
+          { $inc: { seq: 1 } },
+          { new: true, upsert: true, session }
+        );
+        if (current) {
+          await Invoice.updateOne(
+            { _id: current._id, status: 'issued' },
+            { $set: { status: 'superseded', supersededAt: issuedAt } },
+            { session }
+          );
+        }
+        const [invoice] = await Invoice.create([{
+          invoiceNumber: formatInvoiceNumber(year, counter.seq),
+          bookingId: booking._id,
+          hotelId: booking.hotelId,
+          customerId: booking.customerId,
+          issuedAt,
+          supersedes: current?._id,
+          ...snapshot,
+          contentHash
+        }], { session });
+        return invoice;
+      });
+    } catch (error) {
+      // A concurrent request issued this booking's invoice or created this
+      // year's counter first; look again
+      if (error.code !== 11000 || attempt >= MAX_ISSUE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw(doc);
+  doc.end();
+});
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+// @desc  Render a booking's invoice as a PDF: the charges fixed under its
+//        number, and payments as they stand. Returns the invoice record and
+//        the PDF bytes.
+const generateInvoicePdf = async (booking) => {
+  const data = await buildInvoiceData(booking);
+  const invoice = await issueInvoice(booking, data);
+  const superseded = invoice.supersedes && await Invoice.findById(invoice.supersedes).select('invoiceNumber');
+  const { hotel, customer } = data;
+  const { currency } = invoice;
+  const balanceDue = roundMoney(invoice.total - data.netPaid);
+  const money = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+  const pdf = await renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    const row = (label, value, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, left, y, { width: width - 120 })
+        .text(value, left + width - 120, y, { width: 120, align: 'right' });
+      doc.moveDown(0.3);
+    };
+    const section = (title) => {
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).text(title, left);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).stroke();
+      doc.moveDown(0.5).font('Helvetica').fontSize(10);
+    };
+
+    // Seller and invoice header
+    const legal = hotel?.legalDetails || {};
+    const address = legal.registeredAddress || (hotel
+      ? [hotel.address.street, hotel.address.city, hotel.address.state, hotel.address.zipCode, hotel.address.country].filter(Boolean).join(', ')
+      : '');
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`Invoice no: ${invoice.invoiceNumber}`, { align: 'right' })
+      .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+    if (superseded) doc.text(`Replaces invoice no: ${superseded.invoiceNumber}`, { align: 'right' });
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(legal.legalName || hotel?.name || 'Hotel', left);
+    doc.font('Helvetica').fontSize(10).text(address);
+    if (legal.taxId) doc.text(`Tax ID: ${legal.taxId}`);
+    if (legal.registrationNumber) doc.text(`Registration no: ${legal.registrationNumber}`);
+    if (hotel?.contactInfo) doc.text(`${hotel.contactInfo.phone || ''}  ${hotel.contactInfo.email || ''}`.trim());
+
+    section('Billed to');
+    doc.text(`${customer?.firstName || ''} ${customer?.lastName || ''}`.trim() || 'Guest')
+      .text(booking.contactDetails?.email || customer?.userId?.email || '');
+
+    section('Stay');
+    doc.text(`Booking reference: ${booking.bookingReference}`)
+      .text(invoice.stay.description)
+      .text(`Check-in: ${formatDate(invoice.stay.checkIn)}   Check-out: ${formatDate(invoice.stay.checkOut)}   Nights: ${invoice.stay.nights}`);
+
+    section('Room charges');
+    invoice.stayLines.forEach(line => row(line.description, money(line.amount)));
+
+    if (invoice.folioLines.length) {
+      section('Incidentals');
+      invoice.folioLines.forEach(line => {
+        row(line.description, money(line.amount));
+        if (line.taxAmount) row(`   Tax (${line.taxRate}%)`, money(line.taxAmount));
+      });
+    }
+
+    if (invoice.adjustmentLines.length) {
+      section('Adjustments');
+      invoice.adjustmentLines.forEach(line => row(line.description, money(line.amount)));
+    }
+
+    if (invoice.taxLines.length) {
+      section('Tax summary');
+      invoice.taxLines.forEach(line => row(line.description, money(line.amount)));
+    }
+
+    doc.moveDown(0.5);
+    row('Total taxes', money(invoice.taxes));
+    row('Total', money(invoice.total), { bold: true });
+
+    section('Payments received');
+    if (data.paymentLines.length) {
+      data.paymentLines.forEach(line => row(`${formatDate(line.date)}  ${line.description}`, money(line.amount)));
+    } else {
+      doc.text('None');
+    }
+    doc.moveDown(0.5);
+    row('Net paid', money(data.netPaid));
+    row(balanceDue < 0 ? 'Due to guest' : 'Balance due', money(Math.abs(balanceDue)), { bold: true });
+
+    doc.moveDown(2).fontSize(8).fillColor('#666')
+      .text('This invoice was generated electronically and is valid without a signature.', left, doc.y, { align: 'center', width });
+  });
+
+  return { invoice, pdf };
+};
+
+// @desc  Send a booking's invoice PDF as a download
+const sendInvoicePdf = async (res, booking) => {
+  const { invoice, pdf } = await generateInvoicePdf(booking);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+module.exports = {
+  issueInvoice,
+  buildInvoiceData,
+  generateInvoicePdf,
+  sendInvoicePdf
+};
@@ -0,0 +1,234 @@
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledJob = require('../models/ScheduledJob');
+const { sweepExpiredHolds } = require('./holds');
+const { retryPendingRefunds, startCancellationRefunds } = require('./refunds');
+const { sendBalanceReminders } = require('./balance');
+const { settlePayouts } = require('./payouts');
+const { expirePoints } = require('./loyalty');
+const { autoCompleteBookings, markNoShows, expirePendingBookings, sendCheckInReminders } = require('./lifecycle');
+const { sendGrievanceReminders } = require('./grievances');
+const logger = require('./logger');
+const { appError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How often each instance looks for jobs that are due
+const JOB_TICK_MS = MINUTE_MS;
+// A lock left by an instance that died mid-run is taken over after this
+const DEFAULT_LOCK_MS = 15 * MINUTE_MS;
+
+// Background jobs by name. intervalMs is the time between the start of one
+// run and the next, across all instances.
+const JOBS = {
+  'hold-sweeper': {
+    description: 'Release checkout holds that were never redeemed',
+    intervalMs: MINUTE_MS,
+    run: sweepExpiredHolds
+  },
+  'cancellation-refunds': {
+    description: 'Send the refunds cancelled bookings are owed to the gateway',
+    intervalMs: 5 * MINUTE_MS,
+    run: startCancellationRefunds
+  },
+  'refund-retrier': {
+    description: 'Resubmit gateway refunds that failed or never got an answer',
+    intervalMs: 5 * MINUTE_MS,
+    run: retryPendingRefunds
+  },
+  'balance-reminders': {
+    description: 'Remind guests who paid a deposit that the rest is due',
+    intervalMs: HOUR_MS,
+    run: sendBalanceReminders
+  },
+  'payout-settlement': {
+    description: 'Settle what hotels are owed for the last ended payout period',
+    intervalMs: 24 * HOUR_MS,
+    lockMs: HOUR_MS,
+    run: settlePayouts
+  },
+  'points-expiry': {
+    description: 'Expire loyalty points past their expiry date',
+    intervalMs: 24 * HOUR_MS,
+    run: expirePoints
+  },
+  'booking-auto-complete': {
+    description: 'Complete stays a day after check-out',
+    intervalMs: HOUR_MS,
+    run: autoCompleteBookings
+  },
+  'booking-no-show': {
+    description: 'Mark confirmed guests who never checked in as no-shows',
+    intervalMs: HOUR_MS,
+    run: markNoShows
+  },
+  'pending-booking-expiry': {
+    description: 'Reject pending bookings the hotel did not answer in time',
+    intervalMs: 15 * MINUTE_MS,
+    run: expirePendingBookings
+  },
+  'check-in-reminders': {
+    description: 'Remind guests of stays starting within a day',
+    intervalMs: HOUR_MS,
+    run: sendCheckInReminders
+  },
+  'grievance-sla-reminders': {
+    description: 'Chase grievances past their resolution deadline',
+    intervalMs: HOUR_MS,
+    run: sendGrievanceReminders
+  }
+};
+
+// Identifies this process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobError = (message, statusCode) => appError('JOB_INVALID', message, statusCode);
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// @desc  Take the job's lock if nobody holds it (and, unless `force`, its next
+//        run is due). Returns the job document, or null when not taken.
+const acquireLock = async (name, { force = false, at = new Date() } = {}) => {
+  const job = JOBS[name];
+  const filter = {
+    _id: name,
+    $and: [{ $or: [{ lockedUntil: { $lte: at } }, { lockedUntil: null }] }]
+  };
+  if (!force) filter.$and.push({ $or: [{ nextRunAt: { $lte: at } }, { nextRunAt: null }] });
+
+  try {
+    return await ScheduledJob.findOneAndUpdate(
+      filter,
+      { $set: { lockedUntil: new Date(at.getTime() + (job.lockMs || DEFAULT_LOCK_MS)), lockedBy: INSTANCE_ID, lastStartedAt: at } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The document exists but did not match: locked or not due
+    if (isDuplicateKey(error)) return null;
+    throw error;
+  }
+};
+
+// @desc  Run a job whose lock is held and record the outcome. `options` are
+//        passed to the job's run function.
+const execute = async (name, startedAt, options) => {
+  const job = JOBS[name];
+  let result;
+  let failure;
+  try {
+    result = await job.run(options);
+  } catch (error) {
+    failure = error;
+    logger.error(`Job ${name} error:`, error);
+  }
+
+  const finishedAt = new Date();
+  await ScheduledJob.updateOne(
+    { _id: name, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        lockedUntil: null,
+        nextRunAt: new Date(startedAt.getTime() + job.intervalMs),
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        lastStatus: failure ? 'failed' : 'succeeded',
+        lastError: failure ? failure.message : null,
+        lastResult: failure ? null : result ?? null
+      },
+      $inc: { runs: 1, failures: failure ? 1 : 0 }
+    }
+  );
+  if (failure) throw failure;
+  return result;
+};
+
+// Jobs this process is running, so a slow run is not started again by the
+// next tick
+const running = new Set();
+
+const runIfDue = async (name) => {
+  if (running.has(name)) return;
+  running.add(name);
+  try {
+    const startedAt = new Date();
+    if (await acquireLock(name, { at: startedAt })) {
+      await execute(name, startedAt);
+    }
+  } catch (error) {
+    logger.error(`Job scheduler error for ${name}:`, error);
+  } finally {
+    running.delete(name);
+  }
+};
+
+// @desc  Run a job now, whatever its schedule (admin action), with `options`
+//        for its run function. Fails while another run holds the lock.
+const runJob = async (name, options) => {
+  if (!JOBS[name]) throw jobError('Job not found', 404);
+  if (running.has(name)) throw jobError('This job is already running', 409);
+
+  running.add(name);
+  try {
+    const startedAt = new Date();
+    if (!await acquireLock(name, { force: true, at: startedAt })) {
+      throw jobError('This job is already running', 409);
+    }
+    return await execute(name, startedAt, options);
+  } finally {
+    running.delete(name);
+  }
+};
+
+// @desc  Every job with its schedule, lock and last outcome
+const getJobStatus = async () => {
+  const now = new Date();
+  const rows = new Map((await ScheduledJob.find({ _id: { $in: Object.keys(JOBS) } }).lean())
+    .map(row => [row._id, row]));
+
+  return Object.entries(JOBS).map(([name, job]) => {
+    const row = rows.get(name) || {};
+    return {
+      name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      running: !!row.lockedUntil && row.lockedUntil > now,
+      lockedBy: row.lockedUntil > now ? row.lockedBy : undefined,
+      nextRunAt: row.nextRunAt || null,
+      lastStartedAt: row.lastStartedAt || null,
+      lastFinishedAt: row.lastFinishedAt || null,
+      lastDurationMs: row.lastDurationMs,
+      lastStatus: row.lastStatus || null,
+      lastError: row.lastError || null,
+      lastResult: row.lastResult ?? null,
+      runs: row.runs || 0,
+      failures: row.failures || 0
+    };
+  });
+};
+
+let schedulerTimer = null;
+
+const tick = () => Promise.all(Object.keys(JOBS).map(runIfDue));
+
+// @desc  Check for due jobs every JOB_TICK_MS for the lifetime of the process
+const startJobs = (tickMs = JOB_TICK_MS) => {
+  if (schedulerTimer) return schedulerTimer;
+  schedulerTimer = setInterval(tick, tickMs);
+  schedulerTimer.unref();
+  tick();
+  return schedulerTimer;
+};
+
+const stopJobs = () => {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  getJobStatus,
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,181 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('./pricing');
+
+const sumOf = (entries) => roundMoney(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+// @desc  Totals of a booking's entries. balanceDue is what the guest still
+//        owes; a negative balance is owed back to the guest.
+const summarizeLedger = (entries) => {
+  const charges = sumOf(entries.filter(entry => entry.type === 'charge'));
+  const adjustments = sumOf(entries.filter(entry => entry.type === 'adjustment'));
+  const paid = sumOf(entries.filter(entry => entry.type === 'payment'));
+  const refunded = sumOf(entries.filter(entry => entry.type === 'refund'));
+  const totalDue = roundMoney(charges + adjustments);
+
+  return {
+    charges,
+    adjustments,
+    totalDue,
+    paid,
+    refunded,
+    netPaid: roundMoney(paid - refunded),
+    balanceDue: roundMoney(totalDue - paid + refunded)
+  };
+};
+
+// @desc  Entries of a booking, oldest first, with their summary
+const getLedger = async (bookingId, { session } = {}) => {
+  const entries = await LedgerEntry.find({ bookingId }).sort({ createdAt: 1 }).session(session || null);
+  return { entries, summary: summarizeLedger(entries) };
+};
+
+const entryFor = (booking, fields) => ({
+  bookingId: booking._id,
+  customerId: booking.customerId,
+  hotelId: booking.hotelId,
+  currency: booking.pricing?.currency || 'INR',
+  ...fields
+});
+
+// @desc  Payment status a live booking's ledger implies: paid only once
+//        nothing is left to pay
+const paymentStatusFor = (summary) => {
+  if (summary.netPaid <= 0) return 'pending';
+  return summary.balanceDue <= 0 ? 'paid' : 'partially_paid';
+};
+
+// @desc  Move paymentStatus back to partially_paid (or on to paid) when what
+//        is owed changes after payment. Cancelled, rejected and refunded
+//        bookings keep their status.
+const syncPaymentStatus = async (booking, { session } = {}) => {
+  const current = booking.pricing.paymentStatus;
+  if (['cancelled', 'rejected'].includes(booking.status) || current === 'refunded') return current;
+
+  const { summary } = await getLedger(booking._id, { session });
+  const status = paymentStatusFor(summary);
+  if (status === current || (status === 'pending' && current === 'failed')) return current;
+
+  booking.pricing.paymentStatus = status;
+  await booking.save({ session, validateModifiedOnly: true });
+  return status;
+};
+
+// What the guest owes for the stay itself. A cancelled booking owes its
+// cancellation fee, but never more than was paid before cancelling; a
+// rejected one owes nothing.
+const stayChargeTarget = async (booking, { session }) => {
+  if (booking.status === 'rejected') return 0;
+  if (booking.status === 'cancelled') {
+    const payments = await LedgerEntry.find({ bookingId: booking._id, type: 'payment' }).session(session || null);
+    return roundMoney(Math.min(booking.cancellation?.cancellationFee || 0, sumOf(payments)));
+  }
+  return booking.pricing.totalAmount;
+};
+
+// @desc  Bring the booking's stay entries in line with its current price or
+//        cancellation: the first is the room charge, every later change an
+//        adjustment for the difference. Call after the booking is saved,
+//        inside the same transaction. Safe to call repeatedly.
+const syncStayCharge = async (booking, { session, user, role } = {}) => {
+  const entries = await LedgerEntry.find({ bookingId: booking._id, category: 'stay' }).session(session || null);
+  const target = await stayChargeTarget(booking, { session });
+  const delta = roundMoney(target - sumOf(entries));
+  if (!delta) return null;
+
+  let description = 'Booking changed';
+  if (!entries.length) description = `Room charges (${booking.bookingDetails.totalNights} nights)`;
+  else if (booking.status === 'cancelled') description = 'Cancellation';
+  else if (booking.status === 'rejected') description = 'Booking rejected';
+
+  const [entry] = await LedgerEntry.create([entryFor(booking, {
+    type: entries.length ? 'adjustment' : 'charge',
+    category: 'stay',
+    amount: delta,
+    description,
+    createdBy: user?._id,
+    createdByRole: role || 'system'
+  })], { session });
+  await syncPaymentStatus(booking, { session });
+  return entry;
+};
+
+// @desc  Enter a succeeded gateway payment (once)
+const recordPayment = async (booking, payment, { session } = {}) => {
+  await LedgerEntry.updateOne(
+    { paymentId: payment._id, type: 'payment' },
+    {
+      $setOnInsert: entryFor(booking, {
+        type: 'payment',
+        category: 'payment',
+        amount: payment.amount,
+        currency: payment.currency,
+        description: `${payment.purpose.charAt(0).toUpperCase()}${payment.purpose.slice(1)} payment`,
+        paymentId: payment._id
+      })
+    },
+    { upsert: true, session }
+  );
+};
+
+// @desc  Enter whatever the gateway has refunded on a payment beyond the
+//        refunds already entered. `refund` links the entry to the Refund that
+//        caused it, when known (refunds made on the Stripe dashboard have none).
+const recordRefunds = async (booking, payment, { session, refund } = {}) => {
+  const entered = await LedgerEntry.find({ paymentId: payment._id, type: 'refund' }).session(session || null);
+  const delta = roundMoney((payment.amountRefunded || 0) - sumOf(entered));
+  if (delta <= 0) return null;
+
+  const [entry] = await LedgerEntry.create([entryFor(booking, {
+    type: 'refund',
+    category: 'refund',
+    amount: delta,
+    currency: payment.currency,
+    description: refund?.reason || 'Refund',
+    paymentId: payment._id,
+    refundId: refund?._id
+  })], { session });
+  return entry;
+};
+
+// @desc  Enter a line on the booking's account and update its payment status
+const recordEntry = async (booking, { user, role = 'system', ...fields }, { session } = {}) => {
+  const [entry] = await LedgerEntry.create([entryFor(booking, {
+    ...fields,
+    amount: roundMoney(fields.amount),
+    createdBy: user?._id,
+    createdByRole: role
+  })], { session });
+  await syncPaymentStatus(booking, { session });
+  return entry;
+};
+
+// @desc  Post a manual adjustment (negative credits the guest)
+const recordAdjustment = (booking, { amount, description, user, role = 'admin' }, { session } = {}) =>
+  recordEntry(booking, { type: 'adjustment', category: 'manual', amount, description, user, role }, { session });
+
+// @desc  Net amount paid (payments less refunds) per booking, for lists
+const netPaidByBooking = async (bookingIds) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { bookingId: { $in: bookingIds }, type: { $in: ['payment', 'refund'] } } },
+    {
+      $group: {
+        _id: '$bookingId',
+        netPaid: { $sum: { $cond: [{ $eq: ['$type', 'payment'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), roundMoney(row.netPaid)]));
+};
+
+module.exports = {
+  summarizeLedger,
+  getLedger,
+  paymentStatusFor,
+  syncPaymentStatus,
+  syncStayCharge,
+  recordPayment,
+  recordRefunds,
+  recordEntry,
+  recordAdjustment,
+  netPaidByBooking
+};
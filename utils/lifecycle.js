@@ -0,0 +1,167 @@
+const Booking = require('../models/Booking');
+const { withTransaction } = require('./transaction');
+const { syncBookingStatus } = require('./inventory');
+const { syncStayCharge } = require('./ledger');
+const { syncLoyalty } = require('./loyalty');
+const { releasePromoRedemptions } = require('./promotions');
+const { completeBookingRequest } = require('./bookingRequests');
+const { sendCheckInReminderEmail } = require('./email');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Checked-out stays are completed (and can be reviewed and earn points) this
+// long after the guest left, leaving time to post late folio charges
+const AUTO_COMPLETE_AFTER_HOURS = 24;
+// A confirmed guest who has not checked in this long after the start of
+// their check-in day is a no-show
+const NO_SHOW_AFTER_HOURS = 24;
+// Pending bookings without a responseDueAt (made before request-to-book)
+// are rejected when the hotel has not answered in this time
+const PENDING_EXPIRY_HOURS = 24;
+// Guests are reminded of their stay this long before check-in
+const CHECK_IN_REMINDER_HOURS = 24;
+
+// @desc  Move one booking on as the platform, with the same inventory, ledger
+//        and loyalty follow-up as the routes. Skipped when someone else
+//        changed its status first. Returns whether the booking was moved.
+const applySystemTransition = async (booking, status, reason) => {
+  const previousStatus = booking.transitionTo(status, { role: 'system', reason });
+  return withTransaction(async (session) => {
+    const unchanged = await Booking.exists({ _id: booking._id, status: previousStatus }).session(session);
+    if (!unchanged) return false;
+    await syncBookingStatus(booking, previousStatus, { session });
+    // Past check-in dates and other since-tightened rules must not stop the
+    // platform from moving old bookings on
+    await booking.save({ session, validateModifiedOnly: true });
+    await releasePromoRedemptions(booking, { session });
+    await syncStayCharge(booking, { session, role: 'system' });
+    await syncLoyalty(booking, { session, role: 'system' });
+    return true;
+  });
+};
+
+// Bookings loaded per page; a run pages through every match so bookings
+// that keep failing do not hold back the ones behind them
+const TRANSITION_PAGE_SIZE = 200;
+
+// @desc  Move every booking matching `filter` to `status`. Returns the number
+//        moved and the bookings that failed ({ bookingId, error }), which the
+//        job runner keeps as the run's result.
+const transitionAll = async (filter, status, reason, label, afterEach) => {
+  let count = 0;
+  const failed = [];
+  let lastId;
+  for (;;) {
+    const page = lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter;
+    const bookings = await Booking.find(page).sort({ _id: 1 }).limit(TRANSITION_PAGE_SIZE);
+    for (const booking of bookings) {
+      try {
+        const previousStatus = booking.status;
+        if (await applySystemTransition(booking, status, reason)) {
+          count += 1;
+          if (afterEach) await afterEach(booking, previousStatus);
+        }
+      } catch (error) {
+        logger.error(`${label} error for booking ${booking._id}:`, error);
+        failed.push({ bookingId: booking._id, error: error.message });
+      }
+    }
+    if (bookings.length < TRANSITION_PAGE_SIZE) break;
+    lastId = bookings[bookings.length - 1]._id;
+  }
+  if (count) logger.info(`${label}: ${count} bookings`);
+  return { count, failed };
+};
+
+// @desc  Complete stays checked out more than AUTO_COMPLETE_AFTER_HOURS ago
+const autoCompleteBookings = ({ at = new Date() } = {}) => {
+  const cutoff = new Date(at.getTime() - AUTO_COMPLETE_AFTER_HOURS * HOUR_MS);
+  return transitionAll({
+    status: 'checked_out',
+    $or: [
+      { 'checkOutDetails.actualCheckOut': { $lte: cutoff } },
+      { 'checkOutDetails.actualCheckOut': { $exists: false }, 'bookingDetails.checkOut': { $lte: cutoff } }
+    ]
+  }, 'completed', 'Completed automatically after check-out', 'Auto-complete');
+};
+
+// @desc  Mark confirmed bookings no-show once NO_SHOW_AFTER_HOURS have passed
+//        since check-in day began, releasing their rooms
+const markNoShows = ({ at = new Date() } = {}) => transitionAll({
+  status: 'confirmed',
+  'bookingDetails.checkIn': { $lte: new Date(at.getTime() - NO_SHOW_AFTER_HOURS * HOUR_MS) }
+}, 'no_show', 'Guest did not check in', 'Auto no-show');
+
+// @desc  Reject pending bookings the hotel left unanswered past their
+//        responseDueAt (or PENDING_EXPIRY_HOURS), releasing card
+//        authorizations and telling the guest. responseDueAt is already no
+//        later than check-in, and a same-day request still gets its hour.
+const expirePendingBookings = ({ at = new Date() } = {}) => transitionAll(
+  {
+    status: 'pending',
+    $or: [
+      { responseDueAt: { $lte: at } },
+      { responseDueAt: { $exists: false }, createdAt: { $lte: new Date(at.getTime() - PENDING_EXPIRY_HOURS * HOUR_MS) } }
+    ]
+  },
+  'rejected',
+  'Not confirmed by the hotel in time',
+  'Pending booking expiry',
+  (booking, previousStatus) => completeBookingRequest(booking, previousStatus, { expired: true })
+);
+
+// @desc  Email guests whose confirmed stay starts within
+//        CHECK_IN_REMINDER_HOURS. Each booking is reminded once (tracked in
+//        booking.notifications).
+const sendCheckInReminders = async ({ at = new Date() } = {}) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    'bookingDetails.checkIn': { $gt: at, $lte: new Date(at.getTime() + CHECK_IN_REMINDER_HOURS * HOUR_MS) },
+    'notifications.type': { $ne: 'check_in_reminder' }
+  })
+    .populate({ path: 'customerId', select: 'firstName lastName userId', populate: { path: 'userId', select: 'email' } })
+    .populate('hotelId', 'name address checkInTime')
+    .limit(200);
+
+  let sent = 0;
+  for (const booking of bookings) {
+    try {
+      const email = booking.contactDetails?.email || booking.customerId?.userId?.email;
+      if (!email) continue;
+
+      const hotel = booking.hotelId;
+      await sendCheckInReminderEmail(email, booking.customerId?.firstName || 'Guest', {
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        hotelName: hotel?.name || 'your hotel',
+        address: hotel?.address && [hotel.address.street, hotel.address.city, hotel.address.country].filter(Boolean).join(', '),
+        checkIn: booking.bookingDetails.checkIn,
+        checkOut: booking.bookingDetails.checkOut,
+        checkInTime: hotel?.checkInTime
+      });
+
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $push: { notifications: { type: 'check_in_reminder', sentAt: new Date(), method: 'email' } } }
+      );
+      sent += 1;
+    } catch (error) {
+      logger.error('Check-in reminder error:', error);
+    }
+  }
+
+  if (sent) logger.info(`Sent ${sent} check-in reminders`);
+  return sent;
+};
+
+module.exports = {
+  AUTO_COMPLETE_AFTER_HOURS,
+  NO_SHOW_AFTER_HOURS,
+  PENDING_EXPIRY_HOURS,
+  CHECK_IN_REMINDER_HOURS,
+  autoCompleteBookings,
+  markNoShows,
+  expirePendingBookings,
+  sendCheckInReminders
+};
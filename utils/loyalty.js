@@ -0,0 +1,276 @@
+const Customer = require('../models/Customer');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const LoyaltyRule = require('../models/LoyaltyRule');
+const LedgerEntry = require('../models/LedgerEntry');
+const { withTransaction } = require('./transaction');
+const { BASE_CURRENCY, roundMoney, getRates, convertAmount } = require('./currency');
+const logger = require('./logger');
+const { appError } = require('./errors');
+
+// Points per unit of base-currency spend when no earn rule is set
+const DEFAULT_POINTS_PER_UNIT = 0.01;
+// What one point is worth when redeemed, in the base currency
+const POINT_VALUE = 1;
+// Lots expire this many months after they are credited
+const POINTS_EXPIRY_MONTHS = 24;
+
+// Fields admins may set on a LoyaltyRule
+const LOYALTY_RULE_FIELDS = [
+  'name', 'type', 'pointsPerUnit', 'multiplier', 'bonusPoints', 'hotelId',
+  'minSpend', 'validFrom', 'validTo', 'isActive'
+];
+
+const pickLoyaltyRuleFields = (body) => LOYALTY_RULE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const loyaltyError = (message, statusCode = 409) => appError('LOYALTY_INVALID', message, statusCode);
+
+const expiryFrom = (date) => {
+  const expiresAt = new Date(date);
+  expiresAt.setUTCMonth(expiresAt.getUTCMonth() + POINTS_EXPIRY_MONTHS);
+  return expiresAt;
+};
+
+const sumPoints = (transactions) => transactions.reduce((sum, t) => sum + t.points, 0);
+
+// Points redeemed on a booking and not yet given back
+const redeemedOn = async (bookingId, { session } = {}) => {
+  if (!bookingId) return 0;
+  const transactions = await LoyaltyTransaction.find({ bookingId, type: { $in: ['redeem', 'return'] } }).session(session || null);
+  return -sumPoints(transactions);
+};
+
+// @desc  Check a points redemption against a stay and work out its discount
+//        on `subtotal` (in `currency`). Points already redeemed on the booking
+//        being repriced count as available. Points beyond what the subtotal
+//        can absorb are not used. Read-only: points are only taken by
+//        syncLoyalty when the booking is saved.
+const evaluateLoyaltyRedemption = async (rawPoints, { customerId, bookingId, subtotal, currency }) => {
+  const requested = parseInt(rawPoints) || 0;
+  if (requested <= 0) return null;
+  if (!customerId) throw loyaltyError('Sign in as a customer to redeem points', 400);
+
+  const customer = await Customer.findById(customerId).select('loyaltyPoints');
+  const available = (customer?.loyaltyPoints || 0) + await redeemedOn(bookingId);
+  if (requested > available) {
+    throw loyaltyError(`You have ${available} points available`);
+  }
+
+  const rates = await getRates();
+  const valueOf = (points) => convertAmount(points * POINT_VALUE, BASE_CURRENCY, currency || BASE_CURRENCY, rates);
+  const pointValue = valueOf(requested) / requested;
+  const points = pointValue > 0 ? Math.min(requested, Math.floor(Math.max(subtotal, 0) / pointValue)) : 0;
+  return {
+    requested,
+    points,
+    amount: Math.min(valueOf(points), roundMoney(Math.max(subtotal, 0)))
+  };
+};
+
+const creditPoints = async (customerId, points, { type, bookingId, spend, description, user, role, session, at = new Date() }) => {
+  const [transaction] = await LoyaltyTransaction.create([{
+    customerId,
+    bookingId,
+    type,
+    points,
+    remaining: points,
+    expiresAt: expiryFrom(at),
+    spend,
+    description,
+    createdBy: user?._id,
+    createdByRole: role || 'system'
+  }], { session });
+  await Customer.updateOne({ _id: customerId }, { $inc: { loyaltyPoints: points } }, { session });
+  return transaction;
+};
+
+// Take points from the lots expiring soonest. A redeem fails without enough
+// points; other debits take what there is and return how many they took.
+const debitPoints = async (customerId, points, { type, bookingId, description, user, role, session }) => {
+  const customer = await Customer.findById(customerId).select('loyaltyPoints').session(session || null);
+  const taken = Math.min(points, Math.max(customer?.loyaltyPoints || 0, 0));
+  if (type === 'redeem' && taken < points) {
+    throw loyaltyError(`You have ${taken} points available`);
+  }
+  if (taken <= 0) return 0;
+
+  const lots = await LoyaltyTransaction.find({ customerId, remaining: { $gt: 0 } })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .session(session || null);
+  let left = taken;
+  for (const lot of lots) {
+    if (!left) break;
+    const used = Math.min(lot.remaining, left);
+    lot.remaining -= used;
+    left -= used;
+    await lot.save({ session });
+  }
+
+  await LoyaltyTransaction.create([{
+    customerId,
+    bookingId,
+    type,
+    points: -taken,
+    description,
+    createdBy: user?._id,
+    createdByRole: role || 'system'
+  }], { session });
+  await Customer.updateOne({ _id: customerId }, { $inc: { loyaltyPoints: -taken } }, { session });
+  return taken;
+};
+
+// @desc  Base-currency spend and the points it earns at a booking's hotel
+//        under the earn and bonus rules in force at check-out
+const pointsForStay = async (booking, spend) => {
+  const rates = await getRates();
+  const baseSpend = convertAmount(spend, booking.pricing.currency || BASE_CURRENCY, BASE_CURRENCY, rates);
+  const at = booking.bookingDetails.checkOut;
+
+  const rules = (await LoyaltyRule.find({
+    isActive: true,
+    $or: [{ hotelId: null }, { hotelId: booking.hotelId }]
+  })).filter(rule =>
+    (!rule.validFrom || rule.validFrom <= at) &&
+    (!rule.validTo || rule.validTo >= at) &&
+    (!rule.minSpend || baseSpend >= rule.minSpend)
+  );
+
+  const earnRule = rules
+    .filter(rule => rule.type === 'earn')
+    .sort((a, b) => Number(!!b.hotelId) - Number(!!a.hotelId) || b.updatedAt - a.updatedAt)[0];
+  const basePoints = baseSpend * (earnRule ? earnRule.pointsPerUnit : DEFAULT_POINTS_PER_UNIT);
+  const bonus = rules
+    .filter(rule => rule.type === 'bonus')
+    .reduce((sum, rule) => sum + basePoints * ((rule.multiplier || 1) - 1) + (rule.bonusPoints || 0), 0);
+
+  return Math.floor(basePoints + bonus);
+};
+
+// What the guest has paid and kept paid on a booking
+const netPaidFor = async (booking, { session }) => {
+  const entries = await LedgerEntry.find({ bookingId: booking._id, type: { $in: ['payment', 'refund'] } }).session(session || null);
+  return roundMoney(entries.reduce((sum, entry) => sum + (entry.type === 'payment' ? entry.amount : -entry.amount), 0));
+};
+
+// @desc  Bring a booking's points in line with its state: take the points
+//        redeemed on it (given back if it is cancelled, rejected or repriced
+//        to use fewer), credit points once it is completed, and take back the
+//        refunded share of those points after a refund. Call after the
+//        booking is saved, inside the same transaction. Safe to call repeatedly.
+const syncLoyalty = async (booking, { session, user, role } = {}) => {
+  const customerId = booking.customerId?._id || booking.customerId;
+  const reference = booking.bookingReference ? ` ${booking.bookingReference}` : '';
+
+  const redeemTarget = ['cancelled', 'rejected'].includes(booking.status)
+    ? 0
+    : booking.pricing.loyaltyPointsRedeemed || 0;
+  const redeemDelta = redeemTarget - await redeemedOn(booking._id, { session });
+  if (redeemDelta > 0) {
+    await debitPoints(customerId, redeemDelta, { type: 'redeem', bookingId: booking._id, description: `Redeemed on booking${reference}`, user, role, session });
+  } else if (redeemDelta < 0) {
+    await creditPoints(customerId, -redeemDelta, { type: 'return', bookingId: booking._id, description: `Returned from booking${reference}`, user, role, session });
+  }
+
+  const earned = await LoyaltyTransaction.find({ bookingId: booking._id, type: { $in: ['earn', 'reverse'] } }).session(session || null);
+  const earn = earned.find(t => t.type === 'earn');
+  const netPaid = await netPaidFor(booking, { session });
+
+  if (!earn) {
+    if (booking.status !== 'completed' || netPaid <= 0) return;
+    const points = await pointsForStay(booking, netPaid);
+    if (points > 0) {
+      await creditPoints(customerId, points, { type: 'earn', bookingId: booking._id, spend: netPaid, description: `Earned on booking${reference}`, session });
+    }
+    return;
+  }
+
+  // Refunded (or no longer completed): keep only the share still paid for
+  const keep = booking.status === 'completed' && earn.spend > 0
+    ? Math.floor(earn.points * Math.min(Math.max(netPaid, 0) / earn.spend, 1))
+    : 0;
+  const excess = sumPoints(earned) - keep;
+  if (excess > 0) {
+    await debitPoints(customerId, excess, { type: 'reverse', bookingId: booking._id, description: `Reversed on booking${reference}`, session });
+  }
+};
+
+// @desc  Admin correction of a customer's points (negative takes points away)
+const adjustPoints = async (customerId, points, { description, user }) => {
+  const amount = parseInt(points);
+  if (!amount) throw loyaltyError('Points must be a non-zero whole number', 400);
+  return withTransaction(async (session) => {
+    if (amount > 0) {
+      await creditPoints(customerId, amount, { type: 'adjust', description, user, role: 'admin', session });
+    } else {
+      await debitPoints(customerId, -amount, { type: 'adjust', description, user, role: 'admin', session });
+    }
+    return Customer.findById(customerId).select('loyaltyPoints').session(session);
+  });
+};
+
+// @desc  A customer's balance, points expiring soon and recent transactions
+const getLoyaltySummary = async (customerId, { limit = 50, expiringWithinDays = 90 } = {}) => {
+  const [customer, transactions, lots] = await Promise.all([
+    Customer.findById(customerId).select('loyaltyPoints'),
+    LoyaltyTransaction.find({ customerId })
+      .populate('bookingId', 'bookingReference')
+      .sort({ createdAt: -1 })
+      .limit(limit),
+    LoyaltyTransaction.find({
+      customerId,
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date(Date.now() + expiringWithinDays * 24 * 60 * 60 * 1000) }
+    }).sort({ expiresAt: 1 })
+  ]);
+  return {
+    balance: customer?.loyaltyPoints || 0,
+    pointValue: POINT_VALUE,
+    currency: BASE_CURRENCY,
+    expiringSoon: lots.map(lot => ({ points: lot.remaining, expiresAt: lot.expiresAt })),
+    transactions
+  };
+};
+
+// @desc  Expire what is left of lots past their expiry date
+const expirePoints = async ({ at = new Date() } = {}) => {
+  const lots = await LoyaltyTransaction.find({ remaining: { $gt: 0 }, expiresAt: { $lte: at } }).limit(500);
+  let expired = 0;
+  for (const lot of lots) {
+    try {
+      await withTransaction(async (session) => {
+        const current = await LoyaltyTransaction.findOne({ _id: lot._id, remaining: { $gt: 0 } }).session(session);
+        if (!current) return;
+        const points = current.remaining;
+        current.remaining = 0;
+        await current.save({ session });
+        await LoyaltyTransaction.create([{
+          customerId: current.customerId,
+          type: 'expire',
+          points: -points,
+          description: `Expired (credited ${current.createdAt.toISOString().slice(0, 10)})`
+        }], { session });
+        await Customer.updateOne({ _id: current.customerId }, { $inc: { loyaltyPoints: -points } }, { session });
+        expired += points;
+      });
+    } catch (error) {
+      logger.error('Points expiry error:', error);
+    }
+  }
+  if (expired) logger.info(`Expired ${expired} loyalty points`);
+  return expired;
+};
+
+module.exports = {
+  DEFAULT_POINTS_PER_UNIT,
+  POINT_VALUE,
+  POINTS_EXPIRY_MONTHS,
+  pickLoyaltyRuleFields,
+  evaluateLoyaltyRedemption,
+  pointsForStay,
+  syncLoyalty,
+  adjustPoints,
+  getLoyaltySummary,
+  expirePoints
+};
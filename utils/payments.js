@@ -0,0 +1,264 @@
+const Stripe = require('stripe');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { withTransaction } = require('./transaction');
+const { DEPOSIT_RATE, roundMoney } = require('./pricing');
+const { getLedger, paymentStatusFor, syncStayCharge, recordPayment, recordRefunds } = require('./ledger');
+const { syncLoyalty } = require('./loyalty');
+const { appError } = require('./errors');
+
+const STRIPE_API_VERSION = '2023-08-16';
+
+const paymentError = (message, statusCode) => appError('PAYMENT_INVALID', message, statusCode);
+
+// Stripe amounts are integers in the currency's minor unit; every currency
+// we sell in has two decimals
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+let stripeClient = null;
+
+// @desc  Stripe client. STRIPE_API_BASE sends requests somewhere other than
+//        api.stripe.com, e.g. the offline stub in scripts/stripeStub.js.
+const getStripe = () => {
+  if (stripeClient) return stripeClient;
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw paymentError('Online payments are not configured', 503);
+  }
+
+  const options = { apiVersion: STRIPE_API_VERSION };
+  if (process.env.STRIPE_API_BASE) {
+    const url = new URL(process.env.STRIPE_API_BASE);
+    options.protocol = url.protocol.replace(':', '');
+    options.host = url.hostname;
+    options.port = url.port || (options.protocol === 'https' ? 443 : 80);
+  }
+  stripeClient = Stripe(process.env.STRIPE_SECRET_KEY, options);
+  return stripeClient;
+};
+
+// PaymentIntent status -> Payment status
+const statusFromIntent = (intent) => {
+  if (intent.status === 'succeeded') return 'succeeded';
+  if (intent.status === 'processing') return 'processing';
+  if (intent.status === 'canceled') return 'canceled';
+  if (intent.status === 'requires_capture') return 'authorized';
+  return intent.last_payment_error ? 'failed' : 'requires_payment';
+};
+
+// @desc  Create (or reuse) a PaymentIntent for the deposit or for everything
+//        still owed on a booking. Returns the Payment and the client secret
+//        the frontend confirms the card payment with.
+const startPayment = async (booking, { type = 'full' } = {}) => {
+  // A balance may still be settled during or after the stay
+  const payable = type === 'deposit' ? ['pending', 'confirmed'] : ['pending', 'confirmed', 'checked_in', 'checked_out'];
+  if (!payable.includes(booking.status)) {
+    throw paymentError('This booking can no longer be paid for');
+  }
+
+  // Bookings made before the ledger get their room charge entered here
+  await syncStayCharge(booking);
+  const { summary } = await getLedger(booking._id);
+  let purpose;
+  let amount;
+  if (type === 'deposit') {
+    if (summary.paid > 0) throw paymentError('Deposit already paid');
+    purpose = 'deposit';
+    amount = booking.pricing.depositAmount || roundMoney(booking.pricing.totalAmount * DEPOSIT_RATE);
+  } else {
+    purpose = summary.paid > 0 ? 'balance' : 'full';
+    amount = summary.balanceDue;
+  }
+  if (amount <= 0) {
+    throw paymentError('Nothing is left to pay on this booking');
+  }
+
+  // A booking awaiting the hotel is only authorized, once
+  const captureMethod = booking.status === 'pending' ? 'manual' : 'automatic';
+  if (captureMethod === 'manual' && await Payment.exists({ bookingId: booking._id, status: 'authorized' })) {
+    throw paymentError('Payment is already authorized and will be taken once the hotel confirms');
+  }
+
+  const stripe = getStripe();
+
+  // A guest retrying checkout gets the intent already open for this amount
+  const open = await Payment.findOne({ bookingId: booking._id, purpose, amount, captureMethod, status: 'requires_payment' })
+    .sort({ createdAt: -1 });
+  if (open) {
+    const intent = await stripe.paymentIntents.retrieve(open.providerPaymentId);
+    if (statusFromIntent(intent) === 'requires_payment') {
+      return { payment: open, clientSecret: intent.client_secret };
+    }
+  }
+
+  const intent = await stripe.paymentIntents.create({
+    amount: toMinorUnits(amount),
+    currency: (booking.pricing.currency || 'INR').toLowerCase(),
+    payment_method_types: ['card'],
+    capture_method: captureMethod,
+    description: `Booking ${booking.bookingReference} (${purpose})`,
+    metadata: {
+      bookingId: booking._id.toString(),
+      bookingReference: booking.bookingReference,
+      purpose
+    }
+  });
+
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    customerId: booking.customerId,
+    hotelId: booking.hotelId,
+    providerPaymentId: intent.id,
+    purpose,
+    amount,
+    currency: booking.pricing.currency || 'INR',
+    captureMethod
+  });
+
+  booking.pricing.stripePaymentIntentId = intent.id;
+  if (purpose === 'deposit') booking.pricing.depositAmount = amount;
+  await booking.save({ validateModifiedOnly: true });
+
+  return { payment, clientSecret: intent.client_secret };
+};
+
+// @desc  Bring a Payment and its booking in line with a PaymentIntent as
+//        reported by Stripe. Only ever called with intents fetched from (or
+//        sent by) Stripe, never with client data; a booking is only marked
+//        paid once its intent has succeeded. Safe to call repeatedly.
+const syncPaymentIntent = async (intent) => {
+  const status = statusFromIntent(intent);
+  const existing = await Payment.findOne({ providerPaymentId: intent.id });
+  if (!existing || existing.status === 'succeeded' || existing.status === status) return existing;
+
+  if (status === 'succeeded' && intent.amount_received < toMinorUnits(existing.amount)) {
+    throw paymentError(`PaymentIntent ${intent.id} received less than the amount due`, 409);
+  }
+
+  return withTransaction(async (session) => {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: existing._id, status: { $ne: 'succeeded' } },
+      {
+        status,
+        failureMessage: intent.last_payment_error?.message,
+        ...(status === 'succeeded' && { paidAt: new Date() })
+      },
+      { new: true, session }
+    );
+    if (!payment || status !== 'succeeded') return payment;
+
+    const booking = await Booking.findById(payment.bookingId).session(session);
+    await syncStayCharge(booking, { session });
+    await recordPayment(booking, payment, { session });
+    const { summary } = await getLedger(booking._id, { session });
+    booking.pricing.paymentMethod = 'stripe';
+    booking.pricing.stripePaymentIntentId = intent.id;
+    if (payment.purpose === 'deposit') booking.pricing.depositPaid = true;
+    booking.pricing.paymentStatus = paymentStatusFor(summary);
+    // Balances may be paid after check-in, when the check-in date validator
+    // would reject a full validation
+    await booking.save({ session, validateModifiedOnly: true });
+    return payment;
+  });
+};
+
+// @desc  Mark the booking refunded once everything paid has come back, and
+//        close a pending cancellation refund once the refunded total covers it
+const applyRefundedTotals = async (bookingId, { session }) => {
+  const booking = await Booking.findById(bookingId).session(session);
+  if (!booking) return null;
+
+  const payments = await Payment.find({ bookingId, status: 'succeeded' }).session(session);
+  const paid = roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const refunded = roundMoney(payments.reduce((sum, payment) => sum + (payment.amountRefunded || 0), 0));
+
+  if (paid > 0 && refunded >= paid) {
+    booking.pricing.paymentStatus = 'refunded';
+  }
+  if (booking.cancellation?.refundStatus !== 'processed' && refunded > 0 &&
+      refunded >= (booking.cancellation?.refundAmount || 0)) {
+    booking.cancellation.refundStatus = 'processed';
+  }
+  await booking.save({ session, validateModifiedOnly: true });
+  return booking;
+};
+
+// @desc  PaymentIntent id of a charge or refund object
+const intentIdOf = (object) =>
+  typeof object.payment_intent === 'string' ? object.payment_intent : object.payment_intent?.id;
+
+// @desc  Apply the refunded total Stripe reports on a charge (charge.refunded)
+const syncChargeRefund = async (charge) => {
+  const existing = await Payment.findOne({ providerPaymentId: intentIdOf(charge) });
+  const amountRefunded = roundMoney((charge.amount_refunded || 0) / 100);
+  if (!existing || existing.amountRefunded >= amountRefunded) return existing;
+
+  return withTransaction(async (session) => {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: existing._id, amountRefunded: { $lt: amountRefunded } },
+      { amountRefunded },
+      { new: true, session }
+    );
+    if (!payment) return payment;
+    const booking = await applyRefundedTotals(payment.bookingId, { session });
+    if (booking) {
+      await recordRefunds(booking, payment, { session });
+      await syncLoyalty(booking, { session });
+    }
+    return payment;
+  });
+};
+
+// @desc  Once a booking awaiting the hotel has been answered, capture the card
+//        authorizations on it (confirmed) or release them (rejected,
+//        cancelled or expired). Unpaid authorize-only intents are cancelled
+//        either way; later payments are taken straight away. Safe to call
+//        repeatedly.
+const settleAuthorizations = async (booking) => {
+  if (booking.status === 'pending') return [];
+  const payments = await Payment.find({
+    bookingId: booking._id,
+    captureMethod: 'manual',
+    status: { $in: ['authorized', 'requires_payment'] }
+  });
+  if (!payments.length) return [];
+
+  const stripe = getStripe();
+  const capture = !['rejected', 'cancelled'].includes(booking.status);
+  const results = [];
+  for (const payment of payments) {
+    const intent = capture && payment.status === 'authorized'
+      ? await stripe.paymentIntents.capture(payment.providerPaymentId)
+      : await stripe.paymentIntents.cancel(payment.providerPaymentId);
+    results.push((await syncPaymentIntent(intent)) || payment);
+  }
+  return results;
+};
+
+// @desc  Apply an authorization reported by Stripe; one that arrives after
+//        the hotel answered is captured or released straight away
+const syncAuthorizedIntent = async (intent) => {
+  const payment = await syncPaymentIntent(intent);
+  if (payment?.status === 'authorized') {
+    const booking = await Booking.findById(payment.bookingId);
+    if (booking) await settleAuthorizations(booking);
+  }
+  return payment;
+};
+
+// @desc  Re-read a payment's PaymentIntent from Stripe and apply it
+const refreshPayment = async (payment) => {
+  const intent = await getStripe().paymentIntents.retrieve(payment.providerPaymentId);
+  return (await syncAuthorizedIntent(intent)) || payment;
+};
+
+module.exports = {
+  getStripe,
+  intentIdOf,
+  startPayment,
+  syncPaymentIntent,
+  syncChargeRefund,
+  settleAuthorizations,
+  syncAuthorizedIntent,
+  applyRefundedTotals,
+  refreshPayment
+};
@@ -0,0 +1,216 @@
+const Payout = require('../models/Payout');
+const Booking = require('../models/Booking');
+const Hotel = require('../models/Hotel');
+const LedgerEntry = require('../models/LedgerEntry');
+const { withTransaction } = require('./transaction');
+const { roundMoney } = require('./currency');
+const logger = require('./logger');
+const { appError } = require('./errors');
+
+// Commission for hotels without their own Hotel.commissionRate, in percent
+const DEFAULT_COMMISSION_RATE = 15;
+
+const payoutError = (message, statusCode) => appError('PAYOUT_INVALID', message, statusCode);
+
+const commissionRateFor = (hotel) => hotel?.commissionRate ?? DEFAULT_COMMISSION_RATE;
+
+// @desc  The payout period (a UTC calendar month) containing `at`
+const payoutPeriod = (at = new Date()) => {
+  const date = new Date(at);
+  return {
+    start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+  };
+};
+
+// @desc  The last period that has ended
+const previousPayoutPeriod = (at = new Date()) => {
+  const { start } = payoutPeriod(at);
+  return payoutPeriod(new Date(start.getTime() - 1));
+};
+
+// Front-desk payments are money the hotel already holds
+const isDeskPayment = (entry) => entry.type === 'payment' && !entry.paymentId && entry.createdByRole === 'hotel';
+
+// @desc  Payout line for a completed booking from its ledger. Commission is
+//        charged on everything the guest paid and kept paid, wherever it was
+//        paid; only what came through the platform is passed on.
+const bookingLine = (booking, entries, rate) => {
+  const sum = (match) => roundMoney(entries.filter(match).reduce((total, entry) => total + entry.amount, 0));
+  const collected = sum(entry => entry.type === 'payment' && !isDeskPayment(entry));
+  const collectedByHotel = sum(isDeskPayment);
+  const refunded = sum(entry => entry.type === 'refund');
+  const commission = roundMoney((collected + collectedByHotel - refunded) * rate / 100);
+  return {
+    type: 'booking',
+    bookingId: booking._id,
+    bookingReference: booking.bookingReference,
+    checkOut: booking.bookingDetails.checkOut,
+    collected,
+    collectedByHotel,
+    refunded,
+    commissionRate: rate,
+    commission,
+    amount: roundMoney(collected - refunded - commission)
+  };
+};
+
+// @desc  Payout line taking back a refund made after the booking was paid out.
+//        The commission on the refunded part is returned to the hotel.
+const refundLine = (booking, entry, rate) => {
+  const commission = -roundMoney(entry.amount * rate / 100);
+  return {
+    type: 'refund',
+    bookingId: booking._id,
+    bookingReference: booking.bookingReference,
+    checkOut: booking.bookingDetails.checkOut,
+    ledgerEntryId: entry._id,
+    refunded: entry.amount,
+    commissionRate: rate,
+    commission,
+    amount: roundMoney(-entry.amount - commission)
+  };
+};
+
+const addTotals = (payout) => {
+  const sum = (field) => roundMoney(payout.lines.reduce((total, line) => total + (line[field] || 0), 0));
+  payout.totals = {
+    collected: sum('collected'),
+    collectedByHotel: sum('collectedByHotel'),
+    refunded: sum('refunded'),
+    commission: sum('commission'),
+    amount: sum('amount')
+  };
+};
+
+// Refund entries on bookings already paid out that no payout has taken back yet
+const unsettledRefunds = async (before) => {
+  const settled = await Payout.distinct('lines.ledgerEntryId', { 'lines.type': 'refund' });
+  return LedgerEntry.aggregate([
+    { $match: { type: 'refund', createdAt: { $lt: before }, _id: { $nin: settled } } },
+    { $lookup: { from: 'bookings', localField: 'bookingId', foreignField: '_id', as: 'booking' } },
+    { $unwind: '$booking' },
+    { $match: { 'booking.payout.settledAt': { $exists: true }, $expr: { $gt: ['$createdAt', '$booking.payout.settledAt'] } } }
+  ]);
+};
+
+// @desc  Settle a payout period: completed bookings that checked out before
+//        it ended and have not been paid out, plus refunds made since on
+//        bookings that have. One payout per hotel and currency; lines are added
+//        to the period's payout while it is pending, and left for the next
+//        period once it has been paid. Safe to run repeatedly.
+const settlePayouts = async ({ period = previousPayoutPeriod() } = {}) => {
+  // Anything entered in the ledger after this is left for a later run
+  const settledAt = new Date();
+
+  const bookings = await Booking.find({
+    status: 'completed',
+    'payout.payoutId': { $exists: false },
+    'bookingDetails.checkOut': { $lt: period.end }
+  }).select('hotelId bookingReference bookingDetails.checkOut pricing.currency');
+  const entries = await LedgerEntry.find({ bookingId: { $in: bookings.map(b => b._id) }, createdAt: { $lte: settledAt } });
+  const refunds = await unsettledRefunds(period.end);
+
+  const hotelIds = [...new Set([...bookings, ...refunds.map(r => r.booking)].map(b => String(b.hotelId)))];
+  const hotels = new Map((await Hotel.find({ _id: { $in: hotelIds } }).select('commissionRate'))
+    .map(hotel => [String(hotel._id), hotel]));
+
+  // Refunds are taken back at the commission rate their booking was paid out at
+  const paidOutRates = new Map();
+  for (const payout of await Payout.find({ _id: { $in: refunds.map(r => r.booking.payout.payoutId) } }).select('lines')) {
+    payout.lines.filter(line => line.type === 'booking').forEach(line => paidOutRates.set(String(line.bookingId), line.commissionRate));
+  }
+
+  const groups = new Map();
+  const groupFor = (hotelId, currency) => {
+    const key = `${hotelId}:${currency}`;
+    if (!groups.has(key)) groups.set(key, { hotelId, currency, lines: [] });
+    return groups.get(key);
+  };
+  for (const booking of bookings) {
+    const rate = commissionRateFor(hotels.get(String(booking.hotelId)));
+    const bookingEntries = entries.filter(entry => String(entry.bookingId) === String(booking._id));
+    groupFor(booking.hotelId, booking.pricing.currency || 'INR').lines.push(bookingLine(booking, bookingEntries, rate));
+  }
+  for (const entry of refunds) {
+    const rate = paidOutRates.get(String(entry.bookingId)) ?? commissionRateFor(hotels.get(String(entry.booking.hotelId)));
+    groupFor(entry.booking.hotelId, entry.currency || 'INR').lines.push(refundLine(entry.booking, entry, rate));
+  }
+
+  const result = { payouts: 0, bookings: 0, refunds: 0 };
+  for (const { hotelId, currency, lines } of groups.values()) {
+    try {
+      // Retry-safe: the payout is loaded afresh on every attempt, lines are
+      // copied onto it, and nothing outside the transaction changes until it
+      // commits
+      const settled = await withTransaction(async (session) => {
+        let payout = await Payout.findOne({ hotelId, periodStart: period.start, currency }).session(session);
+        if (payout?.status === 'paid') return null;
+        if (!payout) {
+          payout = new Payout({ hotelId, periodStart: period.start, periodEnd: period.end, currency });
+        }
+
+        // Another run (the daily job and an admin at once) may have settled
+        // some of these lines since they were read; give the group up for
+        // the next run rather than pay anything out twice
+        const bookingIds = lines.filter(line => line.type === 'booking').map(line => line.bookingId);
+        const ledgerEntryIds = lines.filter(line => line.type === 'refund').map(line => line.ledgerEntryId);
+        const { modifiedCount } = await Booking.updateMany(
+          { _id: { $in: bookingIds }, 'payout.payoutId': { $exists: false } },
+          { $set: { 'payout.payoutId': payout._id, 'payout.settledAt': settledAt } },
+          { session }
+        );
+        if (modifiedCount !== bookingIds.length) {
+          throw payoutError('Some bookings were paid out by another settlement run', 409);
+        }
+        if (ledgerEntryIds.length && await Payout.exists({ 'lines.ledgerEntryId': { $in: ledgerEntryIds } }).session(session)) {
+          throw payoutError('Some refunds were taken back by another settlement run', 409);
+        }
+
+        payout.lines.push(...lines.map(line => ({ ...line })));
+        addTotals(payout);
+        await payout.save({ session });
+        return { bookings: bookingIds.length, refunds: ledgerEntryIds.length };
+      });
+      if (settled) {
+        result.payouts += 1;
+        result.bookings += settled.bookings;
+        result.refunds += settled.refunds;
+      }
+    } catch (error) {
+      logger.error(`Payout settlement error for hotel ${hotelId}:`, error);
+    }
+  }
+
+  if (result.payouts) {
+    logger.info(`Settled ${result.bookings} bookings and ${result.refunds} refunds into ${result.payouts} payouts`);
+  }
+  return result;
+};
+
+// @desc  Record that a payout has been transferred to the hotel
+const markPayoutPaid = async (payout, { paymentReference, notes, user } = {}) => {
+  if (payout.status === 'paid') {
+    throw payoutError('This payout has already been paid');
+  }
+  if (payout.periodEnd > new Date()) {
+    throw payoutError('A payout cannot be paid before its period has ended');
+  }
+
+  payout.status = 'paid';
+  payout.paidAt = new Date();
+  payout.paidBy = user?._id;
+  payout.paymentReference = paymentReference;
+  if (notes !== undefined) payout.notes = notes;
+  await payout.save();
+  return payout;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  commissionRateFor,
+  payoutPeriod,
+  previousPayoutPeriod,
+  settlePayouts,
+  markPayoutPaid
+};
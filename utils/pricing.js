@@ -0,0 +1,266 @@
+const { toNight, eachNight } = require('./inventory');
+const { resolveNightlyRates } = require('./rateCalendar');
+const { evaluatePromoCode } = require('./promotions');
+const { evaluateLoyaltyRedemption } = require('./loyalty');
+const { findHotelTaxRules, calculateTaxes } = require('./taxes');
+const { roundMoney, getRates, convertQuote } = require('./currency');
+const { appError } = require('./errors');
+
+// Share of the total collected up front when a guest pays a deposit
+const DEPOSIT_RATE = 0.2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead-time defaults for rules that do not set their own window
+const EARLY_BIRD_MIN_LEAD_DAYS = 30;
+const LAST_MINUTE_MAX_LEAD_DAYS = 3;
+
+const DISCOUNT_LABELS = {
+  early_bird: 'Early bird discount',
+  last_minute: 'Last minute discount',
+  extended_stay: 'Extended stay discount',
+  seasonal: 'Seasonal discount'
+};
+
+const pricingError = (message) => appError('PRICING_INVALID', message);
+
+// @desc  Look up the Room.ratePlans entry a guest picked. No id means the
+//        standard rate; an unknown or inactive plan is a pricing error.
+const findRatePlan = (room, ratePlanId) => {
+  if (!ratePlanId) return null;
+  const plan = (room.ratePlans || []).find(p => String(p._id) === String(ratePlanId));
+  if (!plan || !plan.isActive) {
+    throw pricingError('The selected rate plan is not available for this room');
+  }
+  return plan;
+};
+
+// @desc  Booking.ratePlan copy of a plan (or of an existing snapshot)
+const snapshotRatePlan = (plan) => plan ? {
+  planId: plan.planId || plan._id,
+  name: plan.name,
+  description: plan.description,
+  adjustment: {
+    type: plan.adjustment?.type || 'percentage',
+    value: Number(plan.adjustment?.value) || 0
+  },
+  mealPlan: plan.mealPlan || 'room_only',
+  cancellation: {
+    refundable: plan.cancellation?.refundable !== false,
+    freeCancellationHours: plan.cancellation?.freeCancellationHours ?? 24
+  }
+} : null;
+
+const applyRatePlan = (rate, plan) => {
+  if (!plan) return rate;
+  const value = Number(plan.adjustment?.value) || 0;
+  const adjusted = plan.adjustment?.type === 'fixed' ? rate + value : rate * (1 + value / 100);
+  return Math.max(0, roundMoney(adjusted));
+};
+
+// Whether a Room.pricing.discounts rule applies to the stay as a whole
+const isRuleEligible = (rule, { nights, leadDays }) => {
+  if (!rule.value) return false;
+  if (nights < (rule.minStay || 1)) return false;
+  if (rule.type === 'early_bird') {
+    return leadDays >= (rule.minLeadDays ?? EARLY_BIRD_MIN_LEAD_DAYS);
+  }
+  if (rule.type === 'last_minute') {
+    return leadDays <= (rule.maxLeadDays ?? LAST_MINUTE_MAX_LEAD_DAYS);
+  }
+  return true;
+};
+
+const isNightInRule = (rule, night) =>
+  (!rule.validFrom || night >= toNight(rule.validFrom)) &&
+  (!rule.validTo || night <= toNight(rule.validTo));
+
+// @desc  Evaluate Room.pricing.discounts against the stay. Only nights inside
+//        a rule's validity window are discounted. Under the room's 'best'
+//        policy the single most valuable rule wins; under 'stack' every
+//        eligible rule is applied in turn to what is left of each night.
+const evaluateRoomDiscounts = (room, nightlyRates, roomsCount, { bookedAt = new Date() } = {}) => {
+  const rules = (room.pricing?.discounts || []).filter(rule => DISCOUNT_LABELS[rule.type]);
+  if (!rules.length || !nightlyRates.length) return [];
+
+  const leadDays = Math.floor((nightlyRates[0].date - toNight(bookedAt)) / DAY_MS);
+  const eligible = rules.filter(rule => isRuleEligible(rule, { nights: nightlyRates.length, leadDays }));
+
+  const discountFor = (rule, remaining) => {
+    let amount = 0;
+    nightlyRates.forEach((night, i) => {
+      if (!isNightInRule(rule, night.date)) return;
+      const cut = remaining[i] * (rule.value / 100);
+      remaining[i] -= cut;
+      amount += cut * roomsCount;
+    });
+    return {
+      type: rule.type,
+      description: `${DISCOUNT_LABELS[rule.type]} (${rule.value}%)`,
+      amount: roundMoney(amount),
+      rule: {
+        value: rule.value,
+        validFrom: rule.validFrom,
+        validTo: rule.validTo,
+        minStay: rule.minStay
+      }
+    };
+  };
+
+  if ((room.pricing?.discountPolicy || 'best') === 'stack') {
+    const remaining = nightlyRates.map(night => night.rate);
+    return eligible.map(rule => discountFor(rule, remaining)).filter(d => d.amount > 0);
+  }
+
+  const best = eligible
+    .map(rule => discountFor(rule, nightlyRates.map(night => night.rate)))
+    .sort((a, b) => b.amount - a.amount)[0];
+  return best && best.amount > 0 ? [best] : [];
+};
+
+// @desc  Price a stay. This is the only place booking totals are computed;
+//        quote, booking creation, modification and rebook all call it, and
+//        the result is what gets stored on Booking.pricing. `ratePlan` is a
+//        Room.ratePlans entry or the snapshot already on a booking;
+//        customerId / bookingId let promo codes check their usage limits
+//        and loyaltyPoints (points to redeem) check the customer's balance.
+//        `currency` is the currency an existing booking was sold in; if the
+//        room has since been repriced in another, the stay is converted back.
+const priceStay = async ({ room, checkIn, checkOut, numberOfRooms = 1, guests = {}, ratePlan = null, promoCode, loyaltyPoints, customerId, bookingId, bookedAt = new Date(), currency }) => {
+  const nights = eachNight(checkIn, checkOut);
+  if (!nights.length) {
+    throw pricingError('Check-out date must be after check-in date');
+  }
+
+  const roomsCount = parseInt(numberOfRooms);
+  if (!roomsCount || roomsCount < 1) {
+    throw pricingError('At least one room is required');
+  }
+
+  const adults = parseInt(guests.adults) || 0;
+  const children = parseInt(guests.children) || 0;
+  if (adults > room.capacity.adults * roomsCount) {
+    throw pricingError(`${room.name} sleeps at most ${room.capacity.adults} adults per room`);
+  }
+  if (children > (room.capacity.children || 0) * roomsCount) {
+    throw pricingError(`${room.name} allows at most ${room.capacity.children || 0} children per room`);
+  }
+
+  // Each night is priced from the room's rate calendar (basePrice if unset),
+  // then adjusted for the rate plan
+  const plan = snapshotRatePlan(ratePlan);
+  const nightlyRates = (await resolveNightlyRates(room, nights)).map(night =>
+    plan ? { ...night, calendarRate: night.rate, rate: applyRatePlan(night.rate, plan) } : night
+  );
+  const roomPrice = roundMoney(nightlyRates.reduce((sum, night) => sum + night.rate, 0) * roomsCount);
+
+  // Room rules first, then any promo code on what remains
+  const discounts = evaluateRoomDiscounts(room, nightlyRates, roomsCount, { bookedAt });
+  const ruleTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
+  const promo = await evaluatePromoCode(promoCode, {
+    room,
+    nights: nights.length,
+    subtotal: roomPrice - ruleTotal,
+    customerId,
+    bookingId,
+    at: bookedAt
+  });
+  if (promo?.applied) {
+    promo.amount = roundMoney(promo.amount);
+    discounts.push({ type: 'promo', code: promo.code, description: `Promo code ${promo.code}`, amount: promo.amount });
+  }
+
+  // Loyalty points come off last, on what is left after every discount
+  const roomCurrency = room.pricing?.currency || 'INR';
+  const loyalty = await evaluateLoyaltyRedemption(loyaltyPoints, {
+    customerId,
+    bookingId,
+    subtotal: roomPrice - discounts.reduce((sum, d) => sum + d.amount, 0),
+    currency: roomCurrency
+  });
+  if (loyalty?.points) {
+    discounts.push({ type: 'loyalty', description: `${loyalty.points} loyalty points`, amount: loyalty.amount });
+  }
+  const discountTotal = roundMoney(discounts.reduce((sum, d) => sum + d.amount, 0));
+
+  // Taxes come from the rules for the hotel's location (the room's own rate
+  // if there are none) and are charged on the room charge after discounts;
+  // the service fee is flat and untaxed
+  const taxLines = calculateTaxes({
+    rules: await findHotelTaxRules(room.hotelId),
+    room,
+    nightlyRates,
+    roomsCount,
+    adults,
+    children,
+    roomPrice,
+    discountTotal
+  }).map(line => ({ ...line, amount: roundMoney(line.amount) }));
+  const taxes = roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0));
+  const taxableAmount = roomPrice - discountTotal;
+  const serviceFee = roundMoney(room.pricing?.serviceFee);
+  const totalAmount = roundMoney(roomPrice - discountTotal + taxes + serviceFee);
+
+  const lineItems = [
+    { type: 'room', description: `${room.name}${plan ? ` (${plan.name})` : ''} x ${roomsCount} room(s) x ${nights.length} night(s)`, amount: roomPrice },
+    ...discounts.map(d => ({ type: 'discount', description: d.description, amount: -d.amount })),
+    ...taxLines.map(line => ({ type: 'tax', description: line.description, amount: line.amount })),
+    { type: 'fee', description: 'Service fee', amount: serviceFee }
+  ].filter(item => item.type === 'room' || item.amount !== 0);
+
+  const quote = {
+    currency: roomCurrency,
+    nights: nights.length,
+    numberOfRooms: roomsCount,
+    ratePlan: plan,
+    nightlyRates,
+    roomPrice,
+    discounts,
+    discountTotal,
+    // Overall rate on the room charge, for display
+    taxRate: taxableAmount > 0 ? roundMoney(taxes / taxableAmount * 100) : 0,
+    taxLines,
+    taxes,
+    serviceFee,
+    totalAmount,
+    depositAmount: roundMoney(totalAmount * DEPOSIT_RATE),
+    promo,
+    loyalty,
+    lineItems
+  };
+  return currency && currency !== quote.currency
+    ? convertQuote(quote, currency, await getRates())
+    : quote;
+};
+
+// @desc  Booking.pricing fields for a priced stay (payment fields untouched)
+const toBookingPricing = (quote) => ({
+  roomPrice: quote.roomPrice,
+  taxes: quote.taxes,
+  serviceFee: quote.serviceFee,
+  discount: {
+    amount: quote.discountTotal,
+    reason: quote.discounts.map(d => d.code || d.description).join(', ') || undefined
+  },
+  promoCode: quote.promo?.applied ? quote.promo.code : undefined,
+  loyaltyPointsRedeemed: quote.loyalty?.points || 0,
+  totalAmount: quote.totalAmount,
+  currency: quote.currency,
+  lineItems: quote.lineItems
+});
+
+// @desc  Write a priced stay onto an existing booking document
+const applyBookingPricing = (booking, quote) => {
+  for (const [key, value] of Object.entries(toBookingPricing(quote))) {
+    booking.set(`pricing.${key}`, value);
+  }
+};
+
+module.exports = {
+  DEPOSIT_RATE,
+  roundMoney,
+  findRatePlan,
+  priceStay,
+  toBookingPricing,
+  applyBookingPricing
+};
@@ -0,0 +1,159 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { toNight } = require('./inventory');
+const { appError } = require('./errors');
+
+// Fields admins and hotels may set on a PromoCode (hotelId is admin-only and
+// handled by the routes)
+const PROMO_CODE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount',
+  'validFrom', 'validTo', 'usageLimit', 'perCustomerLimit',
+  'roomTypes', 'minNights', 'minSpend', 'isActive'
+];
+
+const pickPromoCodeFields = (body) => PROMO_CODE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const promoError = (message, statusCode = 409) => appError('PROMO_INVALID', message, statusCode);
+
+const rejected = (code, message) => ({ code, applied: false, amount: 0, message });
+
+// @desc  Check a code against a stay and work out its discount on `subtotal`
+//        (room charge after room discounts). Read-only: the use is only
+//        counted by syncPromoRedemption when the booking is saved.
+const evaluatePromoCode = async (rawCode, { room, nights, subtotal, customerId, bookingId, at = new Date() }) => {
+  if (!rawCode) return null;
+  const code = String(rawCode).trim().toUpperCase();
+  const promo = await PromoCode.findOne({ code });
+  if (!promo) return rejected(code, 'Invalid promo code');
+
+  // A code already redeemed on this booking keeps applying when the stay is
+  // changed, even if it has since expired or run out of uses
+  const redeemed = bookingId && await PromoRedemption.exists({ promoCodeId: promo._id, bookingId, status: 'applied' });
+  if (!redeemed) {
+    const today = toNight(at);
+    if (!promo.isActive) return rejected(code, 'This promo code is no longer active');
+    if (promo.validFrom && today < toNight(promo.validFrom)) return rejected(code, 'This promo code is not valid yet');
+    if (promo.validTo && today > toNight(promo.validTo)) return rejected(code, 'This promo code has expired');
+    if (promo.usageLimit && promo.timesUsed >= promo.usageLimit) {
+      return rejected(code, 'This promo code has reached its usage limit');
+    }
+    if (customerId) {
+      const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id, customerId, status: 'applied' });
+      if (used >= promo.perCustomerLimit) return rejected(code, 'You have already used this promo code');
+    }
+  }
+
+  if (promo.hotelId && String(promo.hotelId) !== String(room.hotelId)) {
+    return rejected(code, 'This promo code is not valid for this hotel');
+  }
+  if (promo.roomTypes?.length && !promo.roomTypes.includes(room.roomType)) {
+    return rejected(code, 'This promo code is not valid for this room type');
+  }
+  if (nights < promo.minNights) {
+    return rejected(code, `This promo code requires a stay of at least ${promo.minNights} nights`);
+  }
+  if (subtotal < promo.minSpend) {
+    return rejected(code, `This promo code requires a minimum spend of ${promo.minSpend}`);
+  }
+
+  let amount = promo.discountType === 'percentage' ? subtotal * (promo.value / 100) : promo.value;
+  if (promo.maxDiscount != null) amount = Math.min(amount, promo.maxDiscount);
+
+  return {
+    code,
+    applied: true,
+    amount: Math.max(0, Math.min(amount, subtotal)),
+    promoCodeId: promo._id,
+    description: promo.description
+  };
+};
+
+const reverseRedemption = async (redemption, { session }) => {
+  redemption.status = 'reversed';
+  redemption.reversedAt = new Date();
+  await redemption.save({ session });
+  await PromoCode.updateOne(
+    { _id: redemption.promoCodeId, timesUsed: { $gt: 0 } },
+    { $inc: { timesUsed: -1 } },
+    { session }
+  );
+};
+
+// @desc  Make the booking's redemptions match the promo on its latest quote:
+//        keep a code that still applies, reverse any other, and claim a use
+//        of a newly applied code. Must run in the transaction that saves the
+//        booking. Claiming increments PromoCode.timesUsed, so concurrent
+//        redemptions of one code conflict on that document and are retried
+//        one after the other, which keeps both limits exact.
+const syncPromoRedemption = async (booking, promo, { session }) => {
+  const applied = promo?.applied ? promo : null;
+  const current = await PromoRedemption.find({ bookingId: booking._id, status: 'applied' }).session(session);
+
+  let kept = false;
+  for (const redemption of current) {
+    if (applied && redemption.promoCodeId.equals(applied.promoCodeId)) {
+      redemption.amount = applied.amount;
+      await redemption.save({ session });
+      kept = true;
+    } else {
+      await reverseRedemption(redemption, { session });
+    }
+  }
+  if (!applied || kept) return;
+
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: applied.promoCodeId,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$timesUsed', '$usageLimit'] } }]
+    },
+    { $inc: { timesUsed: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw promoError('This promo code has reached its usage limit');
+  }
+
+  const used = await PromoRedemption.countDocuments({
+    promoCodeId: claimed._id,
+    customerId: booking.customerId,
+    status: 'applied'
+  }).session(session);
+  if (used >= claimed.perCustomerLimit) {
+    throw promoError('You have already used this promo code');
+  }
+
+  await PromoRedemption.create([{
+    promoCodeId: claimed._id,
+    code: claimed.code,
+    customerId: booking.customerId,
+    bookingId: booking._id,
+    hotelId: booking.hotelId,
+    amount: applied.amount
+  }], { session });
+};
+
+// Booking statuses that give a promo code's use back
+const PROMO_RELEASING_STATUSES = ['cancelled', 'rejected'];
+
+// @desc  Reverse the booking's redemptions once it is cancelled or rejected
+//        (by anyone, or expired by the platform), so the use counts again
+//        towards the code's limits. A no-op for any other status; run it in
+//        the transaction that saves the status change.
+const releasePromoRedemptions = async (booking, { session }) => {
+  if (!PROMO_RELEASING_STATUSES.includes(booking.status)) return;
+  const current = await PromoRedemption.find({ bookingId: booking._id, status: 'applied' }).session(session);
+  for (const redemption of current) {
+    await reverseRedemption(redemption, { session });
+  }
+};
+
+module.exports = {
+  pickPromoCodeFields,
+  evaluatePromoCode,
+  syncPromoRedemption,
+  releasePromoRedemptions
+};
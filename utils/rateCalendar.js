@@ -0,0 +1,34 @@
+const RoomRate = require('../models/RoomRate');
+
+// Pick the rate for one night out of rates already sorted by precedence
+const rateForNight = (rates, night) => rates.find(rate =>
+  night >= rate.startDate &&
+  night <= rate.endDate &&
+  (!rate.daysOfWeek?.length || rate.daysOfWeek.includes(night.getUTCDay()))
+);
+
+// @desc  Nightly price of a room type for each night (UTC midnight keys from
+//        utils/inventory eachNight). Returns [{ date, rate, source }] where
+//        source is the rate name, or 'base' for Room.pricing.basePrice.
+const resolveNightlyRates = async (room, nights) => {
+  const basePrice = Number(room.pricing?.basePrice) || 0;
+  if (!nights.length) return [];
+
+  const rates = await RoomRate.find({
+    roomId: room._id,
+    isActive: true,
+    startDate: { $lte: nights[nights.length - 1] },
+    endDate: { $gte: nights[0] }
+  }).sort({ priority: -1, updatedAt: -1 });
+
+  return nights.map(date => {
+    const rate = rateForNight(rates, date);
+    return rate
+      ? { date, rate: rate.price, source: rate.name, rateId: rate._id }
+      : { date, rate: basePrice, source: 'base' };
+  });
+};
+
+module.exports = {
+  resolveNightlyRates
+};
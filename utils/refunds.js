@@ -0,0 +1,312 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { withTransaction } = require('./transaction');
+const { getStripe, intentIdOf, applyRefundedTotals } = require('./payments');
+const { getLedger, recordRefunds, recordAdjustment } = require('./ledger');
+const { syncLoyalty } = require('./loyalty');
+const { roundMoney } = require('./pricing');
+const logger = require('./logger');
+const { appError } = require('./errors');
+
+const MAX_REFUND_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 10;
+
+const refundError = (message, statusCode) => appError('REFUND_INVALID', message, statusCode);
+
+// Succeeded payments of a booking, newest first, with what can still be
+// refunded on each (refunds in flight count as already taken)
+const refundableByPayment = async (bookingId, { session } = {}) => {
+  const payments = await Payment.find({ bookingId, status: 'succeeded' }).sort({ paidAt: -1 }).session(session || null);
+  const refunds = await Refund.find({ bookingId, status: { $in: ['pending', 'succeeded'] } }).session(session || null);
+
+  return payments.map(payment => {
+    const committed = refunds
+      .filter(refund => refund.paymentId.equals(payment._id))
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const taken = Math.max(committed, payment.amountRefunded || 0);
+    return { payment, taken, refundable: roundMoney(Math.max(payment.amount - taken, 0)) };
+  });
+};
+
+const markBookingRefundFailed = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.cancellation?.refundStatus === 'failed') return;
+  booking.cancellation.refundStatus = 'failed';
+  await booking.save({ validateModifiedOnly: true });
+};
+
+const markRefundSucceeded = (refund) => withTransaction(async (session) => {
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $ne: 'succeeded' } },
+    { status: 'succeeded', succeededAt: new Date(), $unset: { nextRetryAt: 1, failureMessage: 1 } },
+    { new: true, session }
+  );
+  if (!updated) return refund;
+
+  const succeeded = await Refund.find({ paymentId: updated.paymentId, status: 'succeeded' }).session(session);
+  const refunded = roundMoney(succeeded.reduce((sum, r) => sum + r.amount, 0));
+  const payment = await Payment.findOneAndUpdate(
+    { _id: updated.paymentId },
+    { $max: { amountRefunded: refunded } },
+    { new: true, session }
+  );
+  const booking = await applyRefundedTotals(updated.bookingId, { session });
+  if (booking) {
+    await recordRefunds(booking, payment, { session, refund: updated });
+    await syncLoyalty(booking, { session });
+  }
+  return updated;
+});
+
+// A gateway refund failed: try again later, or give up after the last attempt
+const retryLaterOrFail = async (refund, message) => {
+  refund.failureMessage = message;
+  if (refund.attempts.length >= MAX_REFUND_ATTEMPTS) {
+    refund.status = 'failed';
+    refund.nextRetryAt = undefined;
+    await refund.save();
+    await markBookingRefundFailed(refund.bookingId);
+    return refund;
+  }
+  refund.status = 'pending';
+  refund.nextRetryAt = new Date(Date.now() + RETRY_DELAY_MINUTES * refund.attempts.length * 60 * 1000);
+  await refund.save();
+  return refund;
+};
+
+const applyGatewayStatus = (refund, gatewayRefund) => {
+  if (gatewayRefund.status === 'succeeded') return markRefundSucceeded(refund);
+  if (['failed', 'canceled'].includes(gatewayRefund.status)) {
+    return retryLaterOrFail(refund, gatewayRefund.failure_reason || `Refund ${gatewayRefund.status}`);
+  }
+  // pending / requires_action: the outcome arrives by webhook
+  return refund;
+};
+
+// @desc  Send one refund attempt to the gateway. Every attempt counts towards
+//        MAX_REFUND_ATTEMPTS. Each gateway answer moves on to a new
+//        idempotency key; an attempt whose outcome is unknown (network or
+//        gateway outage) is retried with the same key so it cannot pay twice.
+const submitRefund = async (refund) => {
+  const payment = await Payment.findById(refund.paymentId);
+  const answered = refund.attempts.filter(attempt => attempt.providerRefundId).length;
+
+  try {
+    const gatewayRefund = await getStripe().refunds.create({
+      payment_intent: payment.providerPaymentId,
+      amount: Math.round(refund.amount * 100),
+      metadata: {
+        refundId: refund._id.toString(),
+        bookingId: refund.bookingId.toString()
+      }
+    }, { idempotencyKey: `refund-${refund._id}-${answered}` });
+
+    refund.providerRefundId = gatewayRefund.id;
+    refund.attempts.push({ providerRefundId: gatewayRefund.id, status: gatewayRefund.status });
+    refund.nextRetryAt = undefined;
+    await refund.save();
+    return applyGatewayStatus(refund, gatewayRefund);
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      // The gateway refused the request itself (e.g. already refunded);
+      // sending it again will not help
+      refund.attempts.push({ status: 'rejected', error: error.message });
+      refund.status = 'failed';
+      refund.failureMessage = error.message;
+      refund.nextRetryAt = undefined;
+      await refund.save();
+      await markBookingRefundFailed(refund.bookingId);
+      return refund;
+    }
+
+    logger.error('Refund submission error:', error);
+    refund.attempts.push({ status: 'error', error: error.message });
+    return retryLaterOrFail(refund, error.message);
+  }
+};
+
+// @desc  Refund `amount` of a booking through the gateway, spread over its
+//        payments newest first. Without an amount, refunds what is still owed
+//        on booking.cancellation.refundAmount.
+const startRefund = async (booking, { amount, reason, user, role = 'admin' }) => {
+  // Fail before recording anything when the gateway is not configured
+  getStripe();
+
+  // Checked and recorded in one transaction: the booking is written every
+  // time, so two refunds started at once conflict and the second is checked
+  // again against what the first took. Everything is read afresh inside, so
+  // a retried attempt starts over.
+  const { refunds, refundAmount, refundRequestedAt } = await withTransaction(async (session) => {
+    const current = await Booking.findById(booking._id).select('cancellation').session(session);
+    const owedBefore = current?.cancellation?.refundAmount || 0;
+    const available = await refundableByPayment(booking._id, { session });
+    const refundable = roundMoney(available.reduce((sum, entry) => sum + entry.refundable, 0));
+    const committed = roundMoney(available.reduce((sum, entry) => sum + entry.taken, 0));
+
+    const requested = amount != null
+      ? roundMoney(amount)
+      : roundMoney(owedBefore - committed);
+    if (!(requested > 0)) {
+      throw refundError('Refund amount is required');
+    }
+    if (requested > refundable) {
+      throw refundError(`At most ${refundable} can be refunded on this booking`);
+    }
+
+    let remaining = requested;
+    const created = [];
+    for (const { payment, refundable: onPayment } of available) {
+      if (remaining <= 0) break;
+      const part = roundMoney(Math.min(remaining, onPayment));
+      if (part <= 0) continue;
+      const [refund] = await Refund.create([{
+        bookingId: booking._id,
+        paymentId: payment._id,
+        amount: part,
+        currency: payment.currency,
+        reason,
+        initiatedBy: user?._id,
+        initiatedByRole: role
+      }], { session });
+      created.push(refund);
+      remaining = roundMoney(remaining - part);
+    }
+
+    // Whatever goes back beyond what the ledger already owes the guest (less
+    // refunds still in flight) is a credit, e.g. a goodwill refund on a stay
+    const { summary } = await getLedger(booking._id, { session });
+    const inFlight = Math.max(committed - summary.refunded, 0);
+    const owed = Math.max(-summary.balanceDue - inFlight, 0);
+    const credit = roundMoney(requested - Math.min(requested, owed));
+
+    const refundAmount = Math.max(owedBefore, roundMoney(committed + requested));
+    const refundRequestedAt = new Date();
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { 'cancellation.refundAmount': refundAmount, 'cancellation.refundStatus': 'pending', 'cancellation.refundRequestedAt': refundRequestedAt } },
+      { session }
+    );
+    if (credit > 0) {
+      await recordAdjustment(booking, { amount: -credit, description: `Refund credit: ${reason || 'refund'}`, user, role }, { session });
+    }
+    return { refunds: created, refundAmount, refundRequestedAt };
+  });
+  booking.set('cancellation.refundAmount', refundAmount);
+  booking.set('cancellation.refundStatus', 'pending');
+  booking.set('cancellation.refundRequestedAt', refundRequestedAt);
+
+  const results = [];
+  for (const refund of refunds) {
+    results.push(await submitRefund(refund));
+  }
+  return results;
+};
+
+// @desc  Give a failed refund another attempt (admin action). Another refund
+//        may have returned the money since, so the refund is checked against
+//        what the booking still owes back and the payment still allows, and
+//        put back to pending in one transaction, as startRefund does.
+const retryRefund = async (refund) => {
+  getStripe();
+
+  const retried = await withTransaction(async (session) => {
+    const current = await Refund.findById(refund._id).session(session);
+    if (!current || current.status !== 'failed') {
+      throw refundError('Only failed refunds can be retried');
+    }
+    const booking = await Booking.findById(current.bookingId).select('cancellation').session(session);
+    const available = await refundableByPayment(current.bookingId, { session });
+    const committed = roundMoney(available.reduce((sum, entry) => sum + entry.taken, 0));
+    const onPayment = available.find(entry => entry.payment._id.equals(current.paymentId));
+    const owed = roundMoney((booking?.cancellation?.refundAmount || 0) - committed);
+    const allowed = Math.max(Math.min(onPayment ? onPayment.refundable : 0, owed), 0);
+    if (current.amount > allowed) {
+      throw refundError(`At most ${allowed} can still be refunded by this refund`);
+    }
+
+    current.status = 'pending';
+    current.failureMessage = undefined;
+    await current.save({ session });
+
+    // Written every time, so a refund started meanwhile conflicts with this one
+    const update = { 'cancellation.refundRequestedAt': new Date() };
+    if (booking?.cancellation?.refundStatus === 'failed') {
+      update['cancellation.refundStatus'] = 'pending';
+    }
+    await Booking.updateOne({ _id: current.bookingId }, { $set: update }, { session });
+    return current;
+  });
+  return submitRefund(retried);
+};
+
+// @desc  Apply a refund status update from the gateway (refund.updated,
+//        refund.failed, charge.refund.updated webhooks)
+const syncGatewayRefund = async (gatewayRefund) => {
+  const refund = await Refund.findOne({ providerRefundId: gatewayRefund.id });
+  if (!refund) {
+    // Made outside the platform (e.g. the Stripe dashboard); successes arrive
+    // through charge.refunded, so only a failure needs recording here
+    if (gatewayRefund.status === 'failed') {
+      const payment = await Payment.findOne({ providerPaymentId: intentIdOf(gatewayRefund) });
+      if (payment) await markBookingRefundFailed(payment.bookingId);
+    }
+    return null;
+  }
+
+  const attempt = refund.attempts.find(a => a.providerRefundId === gatewayRefund.id);
+  if (attempt && attempt.status !== gatewayRefund.status) {
+    attempt.status = gatewayRefund.status;
+    await refund.save();
+  }
+  if (refund.status !== 'pending') return refund;
+  return applyGatewayStatus(refund, gatewayRefund);
+};
+
+// @desc  Send the refunds cancellations leave owing: refundStatus pending with
+//        nothing requested from the gateway since (startRefund stamps
+//        refundRequestedAt; a cancellation clears it). One the gateway
+//        payments cannot cover is marked failed for an admin to settle.
+const startCancellationRefunds = async () => {
+  const due = await Booking.find({
+    'cancellation.refundStatus': 'pending',
+    'cancellation.refundAmount': { $gt: 0 },
+    'cancellation.refundRequestedAt': { $exists: false }
+  }).sort({ 'cancellation.cancelledAt': 1 }).limit(100);
+
+  let started = 0;
+  for (const booking of due) {
+    try {
+      await startRefund(booking, { reason: 'Cancellation refund', role: 'system' });
+      started += 1;
+    } catch (error) {
+      logger.error('Cancellation refund error:', error);
+      if (error.code === 'REFUND_INVALID') await markBookingRefundFailed(booking._id);
+    }
+  }
+  if (started) logger.info(`Started ${started} cancellation refunds`);
+  return started;
+};
+
+// @desc  Resubmit refunds whose retry time has come
+const retryPendingRefunds = async () => {
+  const due = await Refund.find({ status: 'pending', nextRetryAt: { $lte: new Date() } }).limit(100);
+  for (const refund of due) {
+    try {
+      await submitRefund(refund);
+    } catch (error) {
+      logger.error('Refund retry error:', error);
+    }
+  }
+  if (due.length) logger.info(`Retried ${due.length} refunds`);
+  return due.length;
+};
+
+module.exports = {
+  MAX_REFUND_ATTEMPTS,
+  startRefund,
+  retryRefund,
+  startCancellationRefunds,
+  syncGatewayRefund,
+  retryPendingRefunds
+};
@@ -0,0 +1,234 @@
+const Room = require('../models/Room');
+const { DEPOSIT_RATE, roundMoney, findRatePlan, priceStay } = require('./pricing');
+const { buildCancellationPolicy, resolveCancellationPolicy, refundTermsFor, amountPaid } = require('./cancellation');
+const { appError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Room types a single reservation may hold
+const MAX_RESERVATION_ITEMS = 10;
+
+const reservationError = (message, statusCode) => appError('RESERVATION_INVALID', message, statusCode);
+
+// @desc  Whether a booking is a multi-room reservation (has line items)
+const isMultiRoom = (booking) => booking.items?.length > 0;
+
+// @desc  Add up priced lines ({ roomName, pricing }) into booking totals. Each
+//        line's discounts, taxes and fees are labelled with its room.
+const sumLines = (lines) => {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + (line.pricing[field] || 0), 0));
+  return {
+    roomPrice: sum('roomPrice'),
+    discountTotal: sum('discountTotal'),
+    taxes: sum('taxes'),
+    serviceFee: sum('serviceFee'),
+    totalAmount: sum('totalAmount'),
+    lineItems: lines.flatMap(({ roomName, pricing }) => pricing.lineItems.map(line => ({
+      type: line.type,
+      description: line.type === 'room' ? line.description : `${roomName}: ${line.description}`,
+      amount: line.amount
+    })))
+  };
+};
+
+// @desc  Price every line of a multi-room reservation at `hotel`. `items` are
+//        { roomId, numberOfRooms, guests, ratePlanId }; each is priced with
+//        priceStay on its own room and rate plan, in the first room's
+//        currency. Promo codes and loyalty points are for single bookings.
+const priceReservation = async ({ hotel, checkIn, checkOut, items }) => {
+  if (!Array.isArray(items) || !items.length) {
+    throw reservationError('At least one room is required');
+  }
+  if (items.length > MAX_RESERVATION_ITEMS) {
+    throw reservationError(`A reservation can hold at most ${MAX_RESERVATION_ITEMS} room types`);
+  }
+
+  const rooms = await Room.find({
+    _id: { $in: items.map(item => item.roomId) },
+    hotelId: hotel._id,
+    isActive: true,
+    isAvailable: true
+  });
+  const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+
+  const lines = [];
+  let currency;
+  for (const item of items) {
+    const room = roomsById.get(String(item.roomId));
+    if (!room) {
+      throw reservationError('Room not found or unavailable', 404);
+    }
+    const quote = await priceStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfRooms: item.numberOfRooms,
+      guests: item.guests,
+      ratePlan: findRatePlan(room, item.ratePlanId),
+      currency
+    });
+    currency = currency || quote.currency;
+    lines.push({ room, quote, roomName: room.name, pricing: quote });
+  }
+
+  const totals = sumLines(lines);
+  return {
+    lines,
+    // Shaped like a priceStay quote so toBookingPricing can store it
+    quote: {
+      ...totals,
+      currency,
+      nights: lines[0].quote.nights,
+      numberOfRooms: lines.reduce((sum, line) => sum + line.quote.numberOfRooms, 0),
+      discounts: lines.flatMap(line => line.quote.discounts),
+      depositAmount: roundMoney(totals.totalAmount * DEPOSIT_RATE),
+      promo: null,
+      loyalty: null
+    }
+  };
+};
+
+// Booking.items[].pricing for a priceStay quote
+const itemPricing = (quote) => ({
+  roomPrice: quote.roomPrice,
+  discountTotal: quote.discountTotal,
+  taxes: quote.taxes,
+  serviceFee: quote.serviceFee,
+  totalAmount: quote.totalAmount,
+  lineItems: quote.lineItems
+});
+
+// @desc  Booking.items entry for a priced line
+const toBookingItem = (hotel, { room, quote }, guests = {}) => ({
+  roomId: room._id,
+  roomName: room.name,
+  numberOfRooms: quote.numberOfRooms,
+  guests: {
+    adults: parseInt(guests.adults) || 1,
+    children: parseInt(guests.children) || 0
+  },
+  ratePlan: quote.ratePlan || undefined,
+  cancellationPolicy: buildCancellationPolicy(hotel, quote.ratePlan),
+  pricing: itemPricing(quote)
+});
+
+// @desc  Booking fields that follow from its items: the first active room,
+//        room and guest counts, and pricing. The total is the active items
+//        plus the fees kept on cancelled ones.
+const applyItemTotals = (booking) => {
+  const active = booking.items.filter(item => item.status !== 'cancelled');
+  const cancelled = booking.items.filter(item => item.status === 'cancelled' && item.cancellation?.cancellationFee > 0);
+  const totals = sumLines(active.map(item => ({ roomName: item.roomName, pricing: item.pricing })));
+  const fees = cancelled.map(item => ({
+    type: 'fee',
+    description: `Cancellation fee: ${item.roomName || 'Room'}`,
+    amount: item.cancellation.cancellationFee
+  }));
+
+  booking.roomId = active[0].roomId;
+  booking.bookingDetails.numberOfRooms = active.reduce((sum, item) => sum + item.numberOfRooms, 0);
+  booking.bookingDetails.guests.adults = active.reduce((sum, item) => sum + item.guests.adults, 0);
+  booking.bookingDetails.guests.children = active.reduce((sum, item) => sum + (item.guests.children || 0), 0);
+  booking.set('pricing.roomPrice', totals.roomPrice);
+  booking.set('pricing.discount.amount', totals.discountTotal);
+  booking.set('pricing.taxes', totals.taxes);
+  booking.set('pricing.serviceFee', totals.serviceFee);
+  booking.set('pricing.totalAmount', roundMoney(totals.totalAmount + fees.reduce((sum, fee) => sum + fee.amount, 0)));
+  booking.set('pricing.lineItems', [...totals.lineItems, ...fees]);
+};
+
+// @desc  Reprice every active item of a multi-room reservation for its
+//        current dates (after they were changed), on the rate plan terms each
+//        was sold with and in the booking's currency, then update the
+//        booking totals. Cancelled items keep their fees.
+const repriceReservation = async (booking) => {
+  const { checkIn, checkOut } = booking.bookingDetails;
+  const active = booking.items.filter(item => item.status !== 'cancelled');
+  const rooms = await Room.find({ _id: { $in: active.map(item => item.roomId) }, hotelId: booking.hotelId });
+  const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+
+  for (const item of active) {
+    const room = roomsById.get(String(item.roomId));
+    if (!room) {
+      throw reservationError('Room not found', 404);
+    }
+    const quote = await priceStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfRooms: item.numberOfRooms,
+      guests: item.guests,
+      ratePlan: item.ratePlan,
+      currency: booking.pricing.currency
+    });
+    item.pricing = itemPricing(quote);
+  }
+  applyItemTotals(booking);
+};
+
+// @desc  Cancel one room type of a multi-room reservation at `at`, on that
+//        item's own cancellation terms. The booking total drops to what is
+//        left plus the item's fee; whatever the guest has paid beyond the new
+//        total is added to cancellation.refundAmount for refunding. The
+//        caller releases the item's nights and saves in its transaction.
+//        The last active item cannot be cancelled this way.
+const cancelBookingItem = async (booking, itemId, { cancelledBy, reason, at = new Date() }) => {
+  if (!isMultiRoom(booking)) {
+    throw reservationError('This booking has a single room type; cancel the booking instead');
+  }
+  const item = booking.items.id(itemId);
+  if (!item) {
+    throw reservationError('Room not found on this booking', 404);
+  }
+  if (item.status === 'cancelled') {
+    throw reservationError('This room has already been cancelled');
+  }
+  if (!booking.nextStatuses(cancelledBy).includes('cancelled')) {
+    throw reservationError('Only pending or confirmed bookings can be changed');
+  }
+  if (booking.items.filter(i => i.status !== 'cancelled').length === 1) {
+    throw reservationError('This is the last room on the booking; cancel the booking instead');
+  }
+
+  const hoursBeforeCheckIn = (new Date(booking.bookingDetails.checkIn) - at) / HOUR_MS;
+  const policy = item.cancellationPolicy || await resolveCancellationPolicy(booking);
+  const { refundPercentage, description } = refundTermsFor(policy, hoursBeforeCheckIn, cancelledBy);
+  const cancellationFee = roundMoney(item.pricing.totalAmount * (100 - refundPercentage) / 100);
+
+  item.status = 'cancelled';
+  item.cancellation = { cancelledAt: at, cancelledBy, reason, refundPercentage, cancellationFee };
+  applyItemTotals(booking);
+
+  // refundAmount is cumulative over the booking, so it is set against
+  // everything paid rather than what is left after earlier refunds
+  const paid = await amountPaid(booking, { gross: true });
+  const owed = roundMoney(Math.max(0, paid - booking.pricing.totalAmount));
+  const refundAmount = roundMoney(Math.max(0, owed - (booking.cancellation?.refundAmount || 0)));
+  item.cancellation.refundAmount = refundAmount;
+  if (refundAmount > 0) {
+    booking.set('cancellation.refundAmount', owed);
+    booking.set('cancellation.refundStatus', 'pending');
+    // Picked up by the cancellation-refunds job
+    booking.set('cancellation.refundRequestedAt', undefined);
+  }
+
+  return {
+    itemId: item._id,
+    roomName: item.roomName,
+    refundPercentage,
+    description,
+    cancellationFee,
+    refundAmount,
+    totalAmount: booking.pricing.totalAmount
+  };
+};
+
+module.exports = {
+  MAX_RESERVATION_ITEMS,
+  isMultiRoom,
+  priceReservation,
+  toBookingItem,
+  applyItemTotals,
+  repriceReservation,
+  cancelBookingItem
+};
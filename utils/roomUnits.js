@@ -0,0 +1,157 @@
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomUnit = require('../models/RoomUnit');
+const { INVENTORY_HOLDING_STATUSES, bookedRooms } = require('./inventory');
+const { appError } = require('./errors');
+
+// Fields hotels may set on a RoomUnit (housekeeping has its own route)
+const ROOM_UNIT_FIELDS = ['roomId', 'number', 'floor', 'isActive'];
+
+const pickRoomUnitFields = (body) => ROOM_UNIT_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const unitError = (message, statusCode, details) => appError('ROOM_UNIT_INVALID', message, statusCode, details);
+
+// @desc  Check that `unit` may be an active unit of its room type at
+//        `hotelId`: the type belongs to the hotel and does not get more
+//        active units than its totalRooms. Run it in the transaction that
+//        saves the unit: the room type is written, so two units added at
+//        once conflict and the second is counted again with the first.
+const checkUnitRoom = async (unit, hotelId, { session } = {}) => {
+  const room = await Room.findOne({ _id: unit.roomId, hotelId }).select('name totalRooms').session(session || null);
+  if (!room) {
+    throw unitError('Room not found', 404);
+  }
+  if (!unit.isActive) return room;
+
+  await Room.updateOne({ _id: room._id }, { $set: { unitsChangedAt: new Date() } }, { session });
+  const others = await RoomUnit.countDocuments({ _id: { $ne: unit._id }, roomId: room._id, isActive: true }).session(session || null);
+  if (others >= room.totalRooms) {
+    throw unitError(`${room.name} already has ${room.totalRooms} numbered rooms; raise its total rooms first`);
+  }
+  return room;
+};
+
+// Rooms booked per room type id
+const bookedCounts = (booking) => {
+  const booked = new Map();
+  for (const { roomId, numberOfRooms } of bookedRooms(booking)) {
+    booked.set(String(roomId), (booked.get(String(roomId)) || 0) + numberOfRooms);
+  }
+  return booked;
+};
+
+// Units must be of the room types the booking holds, no more per type than
+// were booked (a multi-room reservation may since have lost an item)
+const checkUnitTypes = (booking, units) => {
+  const booked = bookedCounts(booking);
+  const assigned = new Map();
+  for (const unit of units) {
+    const key = String(unit.roomId);
+    if (!booked.has(key)) {
+      throw unitError(`Room ${unit.number} is not of a room type on this booking`);
+    }
+    assigned.set(key, (assigned.get(key) || 0) + 1);
+    if (assigned.get(key) > booked.get(key)) {
+      throw unitError(`Only ${booked.get(key)} rooms of room ${unit.number}'s type were booked`);
+    }
+  }
+};
+
+// @desc  Assign numbered rooms to a booking, replacing any assigned before.
+//        Each unit must be an active unit of a room type the booking holds,
+//        with no more per type than were booked, and not assigned to another
+//        live booking whose stay overlaps. Run it in the transaction that
+//        saves the booking: every unit is written, so two bookings taking the
+//        same unit at once conflict and the second sees the first.
+const assignUnits = async (booking, unitIds, { session } = {}) => {
+  if (!INVENTORY_HOLDING_STATUSES.includes(booking.status)) {
+    throw unitError('Rooms can only be assigned to pending, confirmed or checked-in bookings');
+  }
+
+  const ids = [...new Set(unitIds.map(String))];
+  const units = await RoomUnit.find({ _id: { $in: ids }, hotelId: booking.hotelId, isActive: true }).session(session || null);
+  if (units.length !== ids.length) {
+    throw unitError('Room unit not found', 404);
+  }
+
+  checkUnitTypes(booking, units);
+
+  const clash = await Booking.findOne({
+    _id: { $ne: booking._id },
+    hotelId: booking.hotelId,
+    roomUnits: { $in: units.map(unit => unit._id) },
+    status: { $in: INVENTORY_HOLDING_STATUSES },
+    'bookingDetails.checkIn': { $lt: booking.bookingDetails.checkOut },
+    'bookingDetails.checkOut': { $gt: booking.bookingDetails.checkIn }
+  }).select('bookingReference roomUnits').session(session || null);
+  if (clash) {
+    const taken = units.filter(unit => clash.roomUnits.some(id => id.equals(unit._id)));
+    throw unitError(
+      `Room ${taken.map(unit => unit.number).join(', ')} is already assigned to booking ${clash.bookingReference} for these dates`,
+      409,
+      { bookingReference: clash.bookingReference, unitIds: taken.map(unit => unit._id) }
+    );
+  }
+
+  await RoomUnit.updateMany({ _id: { $in: ids } }, { $set: { assignedAt: new Date() } }, { session });
+  booking.roomUnits = units.map(unit => unit._id);
+  return units;
+};
+
+// @desc  Throw a 409 unless the booking can be checked in to its rooms:
+//        each booked room has a unit assigned, as far as the hotel has
+//        numbered rooms of its type, and every assigned unit is active and
+//        ready. Room types without units (and the rooms of a partly numbered
+//        type booked beyond its units) check in as before.
+const checkUnitsReady = async (booking, { session } = {}) => {
+  const booked = bookedCounts(booking);
+  const units = booking.roomUnits?.length
+    ? await RoomUnit.find({ _id: { $in: booking.roomUnits } }).session(session || null)
+    : [];
+  checkUnitTypes(booking, units);
+
+  const unassigned = [];
+  for (const [roomId, count] of booked) {
+    const numbered = await RoomUnit.countDocuments({ roomId, isActive: true }).session(session || null);
+    const required = Math.min(count, numbered);
+    const assigned = units.filter(unit => String(unit.roomId) === roomId).length;
+    if (assigned < required) {
+      unassigned.push({ roomId, booked: count, required, assigned });
+    }
+  }
+  if (unassigned.length) {
+    throw unitError('Assign a room to every booked room before checking in', 409, unassigned);
+  }
+
+  const notReady = units.filter(unit => !unit.isActive || unit.housekeeping?.status !== 'ready');
+  if (notReady.length) {
+    throw unitError(
+      `Room ${notReady.map(unit => unit.number).join(', ')} is not ready for check-in`,
+      409,
+      notReady.map(unit => ({ unitId: unit._id, number: unit.number, status: unit.isActive ? unit.housekeeping?.status : 'inactive' }))
+    );
+  }
+  return units;
+};
+
+// @desc  Record a housekeeping change on every unit of a booking (occupied at
+//        check-in, dirty at check-out)
+const setBookingUnitsStatus = async (booking, status, { session, user } = {}) => {
+  if (!booking.roomUnits?.length) return;
+  await RoomUnit.updateMany(
+    { _id: { $in: booking.roomUnits } },
+    { $set: { 'housekeeping.status': status, 'housekeeping.updatedAt': new Date(), 'housekeeping.updatedBy': user?._id } },
+    { session }
+  );
+};
+
+module.exports = {
+  pickRoomUnitFields,
+  checkUnitRoom,
+  assignUnits,
+  checkUnitsReady,
+  setBookingUnitsStatus
+};
@@ -0,0 +1,102 @@
+const TaxRule = require('../models/TaxRule');
+const Hotel = require('../models/Hotel');
+const { toNight } = require('./inventory');
+
+// Fields admins may set on a TaxRule
+const TAX_RULE_FIELDS = [
+  'name', 'country', 'state', 'city', 'type', 'rate', 'slabs', 'amount',
+  'includeChildren', 'maxNights', 'validFrom', 'validTo', 'isActive'
+];
+
+const pickTaxRuleFields = (body) => TAX_RULE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const samePlace = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// @desc  Active rules for an address. The country must match; a rule's state
+//        and city only narrow it when set. Names compare case-insensitively.
+const findTaxRules = async (address = {}) => {
+  if (!address.country) return [];
+  const rules = await TaxRule.find({ country: address.country.trim(), isActive: true })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ createdAt: 1 });
+  return rules.filter(rule =>
+    (!rule.state || samePlace(rule.state, address.state)) &&
+    (!rule.city || samePlace(rule.city, address.city))
+  );
+};
+
+// @desc  Rules charged on stays at a hotel
+const findHotelTaxRules = async (hotelId) => {
+  const hotel = await Hotel.findById(hotelId).select('address');
+  return hotel ? findTaxRules(hotel.address) : [];
+};
+
+const slabRate = (slabs, tariff) => {
+  const slab = [...slabs]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find(s => s.upTo === undefined || s.upTo === null || tariff <= s.upTo);
+  return slab ? slab.rate : 0;
+};
+
+const taxedNights = (rule, nightlyRates) => {
+  const from = rule.validFrom && toNight(rule.validFrom);
+  const to = rule.validTo && toNight(rule.validTo);
+  const nights = nightlyRates.filter(night => (!from || night.date >= from) && (!to || night.date <= to));
+  return rule.maxNights ? nights.slice(0, rule.maxNights) : nights;
+};
+
+const describe = (rule, rates) => {
+  if (rule.type === 'per_night') return `${rule.name} (${rule.amount} per room per night)`;
+  if (rule.type === 'per_guest') return `${rule.name} (${rule.amount} per guest per night)`;
+  return `${rule.name} (${rates.join('%, ')}%)`;
+};
+
+// @desc  Tax owed under each rule on a priced stay, one line per rule.
+//        Percentage taxes are charged on each night's tariff less its share
+//        of the discounts, which is also the tariff a slab is picked by.
+//        With no rules the room's own pricing.taxes percentage applies.
+//        Amounts are not rounded; priceStay does that.
+const calculateTaxes = ({ rules, room, nightlyRates, roomsCount, adults, children, roomPrice, discountTotal }) => {
+  const applied = rules.length
+    ? rules
+    : [{ name: 'Taxes', type: 'percentage', rate: Number(room.pricing?.taxes) || 0, slabs: [] }];
+  const payable = roomPrice > 0 ? (roomPrice - discountTotal) / roomPrice : 0;
+
+  return applied.map(rule => {
+    const nights = taxedNights(rule, nightlyRates);
+    let amount = 0;
+    const rates = new Set();
+
+    if (rule.type === 'percentage') {
+      nights.forEach(night => {
+        const tariff = night.rate * payable;
+        const rate = rule.slabs?.length ? slabRate(rule.slabs, tariff) : rule.rate;
+        rates.add(rate);
+        amount += tariff * roomsCount * (rate / 100);
+      });
+    } else if (rule.type === 'per_night') {
+      amount = rule.amount * roomsCount * nights.length;
+    } else {
+      amount = rule.amount * (adults + (rule.includeChildren ? children : 0)) * nights.length;
+    }
+
+    return {
+      ruleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      rate: rule.type === 'percentage' && rates.size === 1 ? [...rates][0] : undefined,
+      description: describe(rule, rates.size ? [...rates].sort((a, b) => a - b) : [rule.rate || 0]),
+      amount
+    };
+  });
+};
+
+module.exports = {
+  pickTaxRuleFields,
+  findTaxRules,
+  findHotelTaxRules,
+  calculateTaxes
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Run `work(session)` inside a MongoDB transaction and return its result.
+// Transactions need a replica set (a single-node replica set is enough in
+// development). Transient errors and write conflicts retry `work`; Mongoose
+// puts documents saved with the session back to their unsaved state before a
+// retry, so a booking built outside `work` is inserted or updated again
+// rather than skipped. Anything else `work` does must be safe to repeat.
+const withTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+module.exports = {
+  withTransaction
+};